@@ -2,9 +2,25 @@ const core = require('@actions/core');
 const github = require('@actions/github');
 const Yogile = require('./src/yogile');
 const metricsModule = require('./src/metrics');
-const { generateChangelog, addProjectHeader } = require('./src/changelog');
-const { sendMessage } = require('./src/telegram');
+const { collectChangelog } = require('./src/changelog');
+const {
+  parseNotifiersConfig,
+  readLegacyNotifierConfigs,
+  createNotifiers,
+  runPackageNotifiers,
+  logDeliveryReport
+} = require('./src/notifiers');
 const { escapeMarkdown } = require('./src/parsing');
+const { parsePrefixCatalogue, createPrefixCatalogue, resolvePrefixes } = require('./src/prefixes');
+const { loadLocale } = require('./src/locales');
+const { fetchLastVersionTag, computeNextVersion, MODES } = require('./src/versions');
+const { parsePackagesConfig, groupCommitsByPackage } = require('./src/packages');
+const { fetchReleaseCommits, COMMIT_SOURCES } = require('./src/commits');
+const { parseAuthorsConfig, createAuthorResolver } = require('./src/authors');
+const { createPullRequestLoader, collapsePullRequests, CHANGELOG_SOURCES } = require('./src/pulls');
+const { parseExclusionRules } = require('./src/exclusions');
+const { parseDescriptionLimit } = require('./src/richtext');
+const { buildChangelogOutputs } = require('./src/outputs');
 
 if (require.main === module) {
   main();
@@ -14,66 +30,154 @@ async function main() {
   const yogileInstance = new Yogile(core.getInput('yougile_api_key'));
 
   try {
-    const prefixes = core.getMultilineInput('prefixes');
+    const locale = loadLocale(core.getInput('locale'));
+    const prefixCatalogue = parsePrefixCatalogue(core.getInput('prefix_catalogue'), locale);
+    const catalogue = createPrefixCatalogue(prefixCatalogue, locale);
+    const prefixes = resolvePrefixes(core.getMultilineInput('prefixes'), catalogue, core);
     const projectName = escapeMarkdown(core.getInput('project_name'));
-    const commits =
-      core.getInput('commits') === ''
-        ? github.context.payload.commits
-        : JSON.parse(core.getInput('commits'));
+    const packages = parsePackagesConfig(core.getInput('packages'));
+    const commits = await readCommits(packages);
     const { repo } = github.context.repo;
-
-    // Push DORA metrics if configured
-    const clickhouseUrl = core.getInput('db_url');
-    if (clickhouseUrl) {
-      try {
-        await metricsModule.recordAndPushMetrics({
-          commits,
-          ref: github.context.ref,
-          projectName: projectName || repo,
-          repository: repo,
-          clickhouseUrl,
-          clickhouseUser: core.getInput('db_user') || 'default',
-          clickhousePassword: core.getInput('db_password'),
-          clickhouseDatabase: core.getInput('db_database') || 'default',
-          clickhouseTable: core.getInput('db_table') || 'dora_metrics',
-          environment: core.getInput('environment') || 'production',
-          githubToken: core.getInput('github_token') || process.env.GITHUB_TOKEN,
-          yogileInstance: yogileInstance
-        });
-
-        core.info('DORA metrics pushed to ClickHouse');
-      } catch (error) {
-        // Non-fatal: log warning but continue
-        core.warning(`Failed to push metrics: ${error.message}`);
-      }
+    const environment = core.getInput('environment') || 'production';
+    const mode = core.getInput('mode') || 'notify';
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unsupported mode: ${mode}, expected one of ${MODES.join(', ')}`);
     }
 
-    // Generate changelog
-    let changelogText = await generateChangelog(commits, prefixes, yogileInstance, core);
-    if (changelogText.trim() === '') {
-      core.info('No changes found');
+    await outputNextVersion(commits || [], mode);
+    if (mode === 'version') {
       return;
     }
 
-    changelogText = addProjectHeader(changelogText, projectName || repo);
+    const notifierConfigs = parseNotifiersConfig(core.getInput('notifiers'));
+    const notifiers = createNotifiers(
+      notifierConfigs.length > 0 ? notifierConfigs : readLegacyNotifierConfigs()
+    );
 
-    // Send to Telegram if configured
-    const token = core.getInput('token');
-    const chatId = core.getInput('chat_id');
+    for (const pkg of packages) {
+      const unknown = pkg.notifiers.filter(name => !notifiers.some(notifier => notifier.name === name));
+      if (unknown.length > 0) {
+        throw new Error(`Invalid packages input: package "${pkg.name}" uses unknown notifier ${unknown.join(', ')}`);
+      }
+    }
+    const githubToken = core.getInput('github_token') || process.env.GITHUB_TOKEN;
+    const resolveAuthors = createAuthorResolver({
+      directory: parseAuthorsConfig(core.getInput('authors')),
+      token: githubToken,
+      core
+    });
+    const exclusions = parseExclusionRules(core.getInput('exclude'));
+    const descriptionLimit = parseDescriptionLimit(core.getInput('description_limit'));
+    const changelogSource = core.getInput('changelog_source') || 'commits';
+    if (!CHANGELOG_SOURCES.includes(changelogSource)) {
+      throw new Error(`Unsupported changelog_source: ${changelogSource}, expected one of ${CHANGELOG_SOURCES.join(', ')}`);
+    }
+    const loadPull = changelogSource === 'pull_requests'
+      ? createPullRequestLoader({ token: githubToken, core })
+      : null;
+    const groups = packages.length > 0
+      ? groupCommitsByPackage(commits || [], packages)
+      : [{ package: null, commits }];
 
-    if (!(token && chatId)) {
-      console.log('Generated changelog:');
-      console.log(changelogText);
-      return;
+    // Push DORA metrics if configured, also under the project tag of each package that has one
+    const clickhouseUrl = core.getInput('db_url');
+    if (clickhouseUrl) {
+      const metricsRuns = [
+        { commits, projectName: projectName || repo },
+        ...groups
+          .filter(group => group.package && group.package.project)
+          .map(group => ({ commits: group.commits, projectName: group.package.project }))
+      ];
+
+      for (const run of metricsRuns) {
+        try {
+          await metricsModule.recordAndPushMetrics({
+            commits: run.commits,
+            ref: github.context.ref,
+            projectName: run.projectName,
+            repository: repo,
+            clickhouseUrl,
+            clickhouseUser: core.getInput('db_user') || 'default',
+            clickhousePassword: core.getInput('db_password'),
+            clickhouseDatabase: core.getInput('db_database') || 'default',
+            clickhouseTable: core.getInput('db_table') || 'dora_metrics',
+            environment,
+            githubToken,
+            yogileInstance: yogileInstance,
+            exclusions
+          });
+
+          core.info(`DORA metrics pushed to ClickHouse for ${run.projectName}`);
+        } catch (error) {
+          // Non-fatal: log warning but continue
+          core.warning(`Failed to push metrics for ${run.projectName}: ${error.message}`);
+        }
+      }
     }
 
-    await sendMessage({
-      token,
-      chatId,
-      text: changelogText
+    // Generate a changelog per package; commits of no package go under the project name
+    const packageReleases = [];
+    for (const group of groups) {
+      const pkg = group.package;
+      const entryCommits = loadPull
+        ? await collapsePullRequests(group.commits, loadPull, catalogue)
+        : group.commits;
+      const sections = await collectChangelog(entryCommits, prefixes, yogileInstance, core, {
+        untracked: core.getInput('untracked_commits') || 'skip',
+        groupBy: core.getInput('group_by') || 'commit',
+        locale,
+        catalogue,
+        resolveAuthors,
+        exclusions,
+        descriptionLimit,
+        body: core.getInput('commit_body') || 'none'
+      });
+      if (sections.length === 0) {
+        core.info(pkg ? `No changes found for ${pkg.name}` : 'No changes found');
+        continue;
+      }
+
+      packageReleases.push({
+        pkg,
+        release: {
+          projectName: pkg ? pkg.name : core.getInput('project_name') || repo,
+          repository: repo,
+          environment,
+          ref: github.context.ref,
+          sections,
+          locale,
+          prefixCatalogue,
+          targets: pkg ? pkg.targets : [],
+          package: pkg ? pkg.name : null
+        }
+      });
+    }
+    const releases = packageReleases.map(({ release }) => release);
+    const report = await runPackageNotifiers(notifiers, packageReleases, {
+      projectName: core.getInput('project_name') || repo
     });
+    if (releases.length > 0) {
+      const outputs = buildChangelogOutputs(releases, { packages: packages.length > 0 });
+      core.setOutput('changelog_json', outputs.json);
+      core.setOutput('changelog_markdown', outputs.markdown);
+      core.setOutput('changelog_text', outputs.text);
+    }
+    if (report.length === 0) {
+      return;
+    }
+    logDeliveryReport(report);
+
+    const delivered = report.flatMap(entry => entry.messageIds);
+    core.setOutput('message_ids', JSON.stringify(delivered));
+    core.setOutput('message_id', delivered[0]?.message_ids[0] ?? '');
+    core.setOutput('delivery_report', JSON.stringify(report));
 
-    core.info('Changelog sent to Telegram');
+    const failures = report
+      .filter(entry => entry.status === 'failed')
+      .map(entry => (entry.package ? `${entry.package}/${entry.name}` : entry.name));
+    if (failures.length > 0) {
+      core.setFailed(`Failed to deliver changelog to ${failures.join(', ')}`);
+    }
   } catch (error) {
     if (core && typeof core.setFailed === 'function') {
       core.setFailed(error.message);
@@ -82,4 +186,72 @@ async function main() {
   }
 }
 
+/**
+ * Read commits of the run from the configured source
+ * The payload source takes the commits input or the push payload; the compare source
+ * takes the range between the previous version tag (or base_ref) and the current ref.
+ * @param {Array<Object>} packages - Packages from parsePackagesConfig; changed files are fetched when one has paths
+ * @returns {Promise<Array>} - Array of commit objects
+ */
+async function readCommits(packages) {
+  const source = core.getInput('commit_source') || 'payload';
+  if (!COMMIT_SOURCES.includes(source)) {
+    throw new Error(`Unsupported commit_source: ${source}, expected one of ${COMMIT_SOURCES.join(', ')}`);
+  }
+
+  if (source === 'payload') {
+    return core.getInput('commits') === ''
+      ? github.context.payload.commits
+      : JSON.parse(core.getInput('commits'));
+  }
+
+  const { base, head, commits } = await fetchReleaseCommits({
+    token: core.getInput('github_token') || process.env.GITHUB_TOKEN,
+    ref: github.context.ref,
+    sha: github.context.sha,
+    base: core.getInput('base_ref'),
+    withFiles: packages.some(pkg => pkg.paths.length > 0)
+  });
+  core.info(`Compared ${base}...${head}: ${commits.length} commits`);
+  return commits;
+}
+
+/**
+ * Compute the next semantic version and set the version outputs
+ * The last version comes from the last_version input or the repository tags.
+ * In notify mode a missing token or a failed tag lookup only skips the outputs.
+ * @param {Array} commits - Array of commit objects
+ * @param {string} mode - notify or version
+ */
+async function outputNextVersion(commits, mode) {
+  let lastVersion = core.getInput('last_version');
+
+  if (!lastVersion) {
+    const token = core.getInput('github_token') || process.env.GITHUB_TOKEN;
+    if (!token) {
+      if (mode === 'version') {
+        throw new Error('github_token or last_version is required to compute the next version');
+      }
+      core.info('Next version is not computed: set github_token or last_version');
+      return;
+    }
+
+    try {
+      lastVersion = await fetchLastVersionTag({ token, ref: github.context.ref });
+    } catch (error) {
+      if (mode === 'version') {
+        throw error;
+      }
+      core.warning(`Failed to fetch the last version tag: ${error.message}`);
+      return;
+    }
+  }
+
+  const next = computeNextVersion(commits, lastVersion);
+  core.info(`Next version: ${next.nextVersion} (${next.bump} bump from ${next.lastVersion})`);
+  core.setOutput('next_version', next.nextVersion);
+  core.setOutput('bump', next.bump);
+  core.setOutput('last_version', next.lastVersion);
+}
+
 module.exports = { main };
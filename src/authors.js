@@ -0,0 +1,191 @@
+/**
+ * Author directory module
+ * Maps commit authors to people shown in the changelog: display name, Telegram
+ * username (rendered as a mention) and Slack user ID. Authors and Co-authored-by
+ * trailers are matched by GitHub login or email; a login missing from the commit
+ * is looked up by email through the GitHub API.
+ */
+
+const github = require('@actions/github');
+const { readConfigInput } = require('./config');
+const { parseCommitMessage } = require('./parsing');
+
+const AUTHOR_FIELDS = ['login', 'emails', 'name', 'telegram', 'slack'];
+const CO_AUTHOR_PATTERN = /^(.*?)\s*<([^>]+)>$/;
+const NOREPLY_PATTERN = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i;
+
+/**
+ * Parse the authors input
+ * @param {string} [input] - YAML or JSON list of authors ({ login?, emails?, name?, telegram?, slack? }),
+ *   or a path to such a file
+ * @returns {Array<{login: string|null, emails: string[], name: string|null, telegram: string|null, slack: string|null}>} - Authors;
+ *   emails are lowercase, telegram is without "@"
+ */
+function parseAuthorsConfig(input) {
+  if (!input || !input.trim()) {
+    return [];
+  }
+
+  const list = readConfigInput(input, 'authors');
+  if (!Array.isArray(list)) {
+    throw new Error('Invalid authors input: expected a list of authors');
+  }
+
+  return list.map((item, index) => {
+    const fail = message => {
+      throw new Error(`Invalid authors input: author #${index + 1} ${message}`);
+    };
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      fail('must be an object');
+    }
+
+    const unknown = Object.keys(item).filter(key => !AUTHOR_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      fail(`has unknown field ${unknown.join(', ')}, expected ${AUTHOR_FIELDS.join(', ')}`);
+    }
+    for (const field of ['login', 'name', 'telegram', 'slack']) {
+      if (field in item && (typeof item[field] !== 'string' || !item[field].trim())) {
+        fail(`${field} must be a non-empty string`);
+      }
+    }
+
+    const emails = item.emails === undefined ? [] : [item.emails].flat();
+    if (!emails.every(email => typeof email === 'string' && email.includes('@'))) {
+      fail('emails must be an email or a list of emails');
+    }
+    if (!item.login && emails.length === 0) {
+      fail('needs a login or emails');
+    }
+
+    return {
+      login: item.login ? item.login.trim() : null,
+      emails: emails.map(email => email.trim().toLowerCase()),
+      name: item.name ? item.name.trim() : null,
+      telegram: item.telegram ? item.telegram.trim().replace(/^@/, '') : null,
+      slack: item.slack ? item.slack.trim() : null
+    };
+  });
+}
+
+/**
+ * Parse Co-authored-by trailers of a commit message
+ * @param {string} message - Full commit message
+ * @returns {Array<{name: string, email: string}>} - Co-authors
+ */
+function parseCoAuthors(message) {
+  return parseCommitMessage(message).footers
+    .filter(footer => /^co-authored-by$/i.test(footer.token))
+    .map(footer => footer.value.match(CO_AUTHOR_PATTERN))
+    .filter(Boolean)
+    .map(match => ({ name: match[1], email: match[2].trim() }));
+}
+
+/**
+ * Get the login of a GitHub noreply email (e.g., "123+octocat@users.noreply.github.com")
+ * @param {string} [email] - Email
+ * @returns {string|null} - Login or null for other emails
+ */
+function getNoreplyLogin(email) {
+  const match = NOREPLY_PATTERN.exec(email || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Get everyone credited for a commit: the author, then co-authors from trailers
+ * @param {Object} commit - Commit object (author: { username, name, email })
+ * @returns {Array<{login: string|null, name: string|null, email: string|null}>} - People without duplicates
+ */
+function getCommitPeople(commit) {
+  const author = commit.author || {};
+  const people = [
+    { login: author.username || null, name: author.name || null, email: author.email || null },
+    ...parseCoAuthors(commit.message).map(({ name, email }) => ({ login: null, name, email }))
+  ];
+
+  const seen = new Set();
+  return people.filter(person => {
+    const key = (person.email || person.login || person.name || '').toLowerCase();
+    if (key && seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Find a person in the author directory by login or email
+ * @param {Array<Object>} directory - Authors from parseAuthorsConfig
+ * @param {Object} person - Person ({ login, email })
+ * @returns {Object|null} - Directory entry or null
+ */
+function findAuthor(directory, { login, email }) {
+  const lowerLogin = (login || '').toLowerCase();
+  const lowerEmail = (email || '').toLowerCase();
+  return directory.find(author =>
+    (lowerLogin && (author.login || '').toLowerCase() === lowerLogin) ||
+    (lowerEmail && author.emails.includes(lowerEmail))
+  ) || null;
+}
+
+/**
+ * Create a resolver of commit contributors
+ * Logins missing from the commit and the directory are looked up by email through
+ * the GitHub user search (public emails only), once per email.
+ * @param {Object} [options] - Resolver options
+ * @param {Array<Object>} [options.directory] - Authors from parseAuthorsConfig
+ * @param {string} [options.token] - GitHub token, no lookup without it
+ * @param {Object} [options.core] - Core instance
+ * @returns {Function} - (commit) => Promise<Array<{login: string|null, name: string, telegram: string|null, slack: string|null}>>
+ */
+function createAuthorResolver({ directory = [], token = '', core = null } = {}) {
+  const logins = new Map();
+
+  const lookupLogin = email => {
+    if (!token || !email) {
+      return Promise.resolve(null);
+    }
+    const key = email.toLowerCase();
+    if (!logins.has(key)) {
+      const octokit = github.getOctokit(token);
+      logins.set(key, octokit.rest.search.users({ q: `${email} in:email`, per_page: 1 })
+        .then(({ data }) => data.items[0]?.login || null)
+        .catch(error => {
+          if (core) {
+            core.warning(`Failed to find the GitHub login of ${email}: ${error.message}`);
+          }
+          return null;
+        }));
+    }
+    return logins.get(key);
+  };
+
+  return async commit => {
+    const contributors = [];
+    for (const person of getCommitPeople(commit)) {
+      let login = person.login || getNoreplyLogin(person.email);
+      let author = findAuthor(directory, { login, email: person.email });
+      if (!login && !author) {
+        login = await lookupLogin(person.email);
+        author = login ? findAuthor(directory, { login }) : null;
+      }
+
+      contributors.push({
+        login: author?.login || login || null,
+        name: author?.name || login || author?.login || person.name || 'unknown',
+        telegram: author?.telegram || null,
+        slack: author?.slack || null
+      });
+    }
+    return contributors;
+  };
+}
+
+module.exports = {
+  parseAuthorsConfig,
+  parseCoAuthors,
+  getCommitPeople,
+  findAuthor,
+  createAuthorResolver
+};
@@ -2,36 +2,92 @@
  * Changelog generation module
  */
 
-const locale = require('../locale.json');
+const { getFormatter } = require('./formatters');
+const { getLocale } = require('./locales');
+const { createAuthorResolver } = require('./authors');
+const { excludeCommits } = require('./exclusions');
+const {
+  createPrefixCatalogue,
+  getPrefixInfo,
+  BREAKING_PREFIX,
+  UNTRACKED_PREFIX
+} = require('./prefixes');
 const {
-  escapeMarkdown,
   getFirstLine,
-  extractTaskId,
-  removeTaskIdSuffix,
-  parseProblemDescription,
-  hasPrefix,
+  parseBodyBullets,
+  parseCommitMessage,
   replacePrefix
 } = require('./parsing');
+const {
+  parseRichText,
+  extractSection,
+  truncateRichText,
+  richTextToPlain,
+  renderRichText,
+  formatInlineMarkdown
+} = require('./richtext');
 
 const YOUGILE_BASE_URL = 'https://ru.yougile.com/team/129fed1fbadf';
 
+/**
+ * How commits without a task ID are shown:
+ * skip - left out, inline - in their prefix section, section - in a separate section
+ */
+const UNTRACKED_MODES = ['skip', 'inline', 'section'];
+
+/**
+ * How entries are grouped:
+ * commit - one entry per commit, task - one entry per task with all its commits merged
+ */
+const GROUP_MODES = ['commit', 'task'];
+
+/**
+ * What is taken from commit bodies:
+ * none - nothing, bullets - bullet lines, shown under the entry
+ */
+const BODY_MODES = ['none', 'bullets'];
+
 /**
  * Generate YouGile task link
- * @param {string} taskId - Task ID (e.g., "TECH-123")
- * @returns {string} - Markdown link
+ * @param {string|null} taskId - Task ID (e.g., "TECH-123"), null for commits without a task
+ * @param {string} [parseMode='MarkdownV2'] - Telegram parse mode
+ * @param {Object} [locale] - Locale of the link label, ru by default
+ * @returns {string} - Link in parse mode markup, empty without a task ID
  */
-function generateTaskLink(taskId) {
-  return ` [${locale.taskLink}](${YOUGILE_BASE_URL}/#${taskId})`;
+function generateTaskLink(taskId, parseMode, locale = getLocale()) {
+  if (!taskId) {
+    return '';
+  }
+  const formatter = getFormatter(parseMode);
+  return ` ${formatter.link(formatter.escape(locale.taskLink), `${YOUGILE_BASE_URL}/#${taskId}`)}`;
+}
+
+/**
+ * Generate pull request link
+ * @param {Object|null} [pullRequest] - Pull request of the entry ({ number, url })
+ * @param {string} [parseMode='MarkdownV2'] - Telegram parse mode
+ * @returns {string} - "#123" link in parse mode markup, empty for entries without a pull request
+ */
+function generatePullLink(pullRequest, parseMode) {
+  if (!pullRequest) {
+    return '';
+  }
+  const formatter = getFormatter(parseMode);
+  return ` ${formatter.link(formatter.escape(`#${pullRequest.number}`), pullRequest.url)}`;
 }
 
 /**
  * Get card info from YouGile
+ * The description is the problem section of the first chat message, HTML included,
+ * kept as plain text and as rich text lines for rendering in the target parse mode.
  * @param {string} taskId - Task ID
  * @param {Object} yogileInstance - YouGile API instance
  * @param {Object} core - Core instance
- * @returns {Promise<Object|null>} - Card info or null
+ * @param {string} [problemTitle] - Marker of the problem description in the card chat, from the ru locale by default
+ * @param {number} [descriptionLimit=0] - Maximum description length in characters, 0 for no limit
+ * @returns {Promise<Object|null>} - Card info ({ title, link, description, richDescription, descriptionTruncated }) or null
  */
-async function getCardInfo(taskId, yogileInstance, core) {
+async function getCardInfo(taskId, yogileInstance, core, problemTitle = getLocale().problemTitle, descriptionLimit = 0) {
   if (!yogileInstance || !taskId) return null;
 
   try {
@@ -42,14 +98,17 @@ async function getCardInfo(taskId, yogileInstance, core) {
     }
 
     const messages = await yogileInstance.getTaskChat(task.id, 0, 1);
-    const description = messages.length > 0
-      ? parseProblemDescription(messages[0].text, locale.problemTitle)
-      : '';
+    const section = messages.length > 0
+      ? extractSection(parseRichText(messages[0].textHtml || messages[0].text), problemTitle)
+      : [];
+    const { lines, truncated } = truncateRichText(section, descriptionLimit);
 
     return {
       title: task.title,
       link: `${YOUGILE_BASE_URL}/#${taskId}`,
-      description: description,
+      description: richTextToPlain(lines),
+      richDescription: lines,
+      descriptionTruncated: truncated
     };
   } catch (error) {
     if (core) {
@@ -67,115 +126,502 @@ async function getCardInfo(taskId, yogileInstance, core) {
  * @param {string} options.message - Commit message (first line, cleaned)
  * @param {string} options.prefix - Commit prefix (feat, fix, etc.)
  * @param {string} options.emoji - Emoji for prefix
- * @param {string} options.author - Commit author username
+ * @param {string} options.author - Commit author username (or several, comma-separated)
+ * @param {string} [options.authorMarkup] - Authors in parse mode markup (e.g., mentions), used instead of author
+ * @param {string} [options.pullLink] - Pull request link
  * @param {string} options.taskLink - YouGile task link
+ * @param {string[]} [options.details] - Bullet lines in parse mode markup, shown under the entry
  * @param {string} [options.description] - Problem description
+ * @param {string} [options.descriptionMarkup] - Problem description in parse mode markup, used instead of description
+ * @param {number} [options.commitCount=1] - Number of merged commits, shown when more than one
+ * @param {string} [options.parseMode='MarkdownV2'] - Telegram parse mode
+ * @param {Object} [options.locale] - Locale of the labels, ru by default
  * @returns {string} - Formatted changelog entry
  */
-function formatCommitEntry({ message, prefix, emoji, author, taskLink, description }) {
+function formatCommitEntry({
+  message,
+  prefix,
+  emoji,
+  author,
+  authorMarkup,
+  pullLink = '',
+  taskLink,
+  details = [],
+  description,
+  descriptionMarkup,
+  commitCount = 1,
+  parseMode,
+  locale = getLocale()
+}) {
+  const formatter = getFormatter(parseMode);
+  const count = commitCount > 1 ? `; ${locale.commitCount}: ${commitCount}` : '';
   let entry = replacePrefix(message, prefix, emoji);
-  entry += ` \\(${author}\\)${taskLink}\n`;
+  const authors = authorMarkup ?? formatter.escape(author);
+  entry += ` ${formatter.escape('(')}${authors}${formatter.escape(`${count})`)}${pullLink}${taskLink}\n`;
+  entry += details.map(line => `  • ${line}\n`).join('');
 
-  if (description) {
-    const problemTitle = locale.problemTitle;
-    entry += `>*${problemTitle}*\n`;
-    entry += `>${escapeMarkdown(description).replace('\n', '\n>')}\n`;
+  if (description || descriptionMarkup) {
+    const problemTitle = formatter.bold(formatter.escape(locale.problemTitle));
+    const text = descriptionMarkup ?? formatter.escape(description);
+    entry += `${formatter.quote(`${problemTitle}\n${text}`)}\n`;
   }
 
   return entry;
 }
 
 /**
- * Generate changelog text from commits
+ * Log commits without a task ID as a warning
+ * @param {Array} commits - Commits without task ID
+ * @param {Object} core - Core instance
+ */
+function warnUntrackedCommits(commits, core) {
+  if (!core || commits.length === 0) {
+    return;
+  }
+
+  const lines = commits.map(commit => `  ${(commit.id || '').slice(0, 7)} ${getFirstLine(commit.message)}`.trimEnd());
+  core.warning(`Commits without task ID (${commits.length}):\n${lines.join('\n')}`);
+}
+
+/**
+ * Log commits with a prefix missing from the prefix catalogue as a warning
+ * @param {Array<{commit: Object, parsed: Object}>} items - Parsed commits
+ * @param {Object} catalogue - Catalogue from createPrefixCatalogue
+ * @param {Object} core - Core instance
+ */
+function warnUnknownPrefixes(items, catalogue, core) {
+  const unknown = items.filter(({ parsed }) => parsed.type && !catalogue[parsed.type]);
+  if (!core || unknown.length === 0) {
+    return;
+  }
+
+  const lines = unknown.map(({ commit }) => `  ${(commit.id || '').slice(0, 7)} ${getFirstLine(commit.message)}`.trimEnd());
+  core.warning(`Commits with a prefix missing from the prefix catalogue (${unknown.length}):\n${lines.join('\n')}`);
+}
+
+/**
+ * Create a card info loader that fetches every task from YouGile only once
+ * @param {Object} [yogileInstance] - YouGile API instance
+ * @param {Object} core - Core instance
+ * @param {string} [problemTitle] - Marker of the problem description in the card chat
+ * @param {number} [descriptionLimit=0] - Maximum description length in characters, 0 for no limit
+ * @returns {Function} - (taskId) => Promise<Object|null>
+ */
+function createCardLoader(yogileInstance, core, problemTitle, descriptionLimit = 0) {
+  const cards = new Map();
+
+  return taskId => {
+    if (!yogileInstance || !taskId) {
+      return Promise.resolve(null);
+    }
+    if (!cards.has(taskId)) {
+      cards.set(taskId, getCardInfo(taskId, yogileInstance, core, problemTitle, descriptionLimit));
+    }
+    return cards.get(taskId);
+  };
+}
+
+/**
+ * Build a changelog entry for a parsed commit
+ * Entries with a task ID get the card title and description from YouGile when available.
+ * @param {Object} item - Parsed commit ({ commit, parsed, contributors, details? })
+ * @param {Function} [loadCard] - Card info loader from createCardLoader
+ * @returns {Promise<Object>} - Entry; taskId and link are null for commits without a task ID,
+ *   pullRequest is set for commits made from a pull request by collapsePullRequests,
+ *   details are set when the commit body is read
+ */
+async function buildEntry({ commit, parsed, contributors, details }, loadCard = null) {
+  const [taskId = null] = parsed.taskIds;
+  const authors = contributors.map(person => person.name);
+  const entry = {
+    taskId,
+    title: parsed.subject,
+    author: authors.join(', '),
+    authors,
+    contributors,
+    commits: commit.pullRequest?.commits || [commit.sha || commit.id].filter(Boolean),
+    link: taskId ? `${YOUGILE_BASE_URL}/#${taskId}` : null,
+    description: '',
+    scope: parsed.scope,
+    breaking: parsed.breaking
+  };
+  if (commit.pullRequest) {
+    entry.pullRequest = commit.pullRequest;
+  }
+  if (details) {
+    entry.details = details;
+  }
+
+  // Try to get card info from YouGile
+  const cardInfo = loadCard ? await loadCard(taskId) : null;
+  if (cardInfo) {
+    entry.title = cardInfo.title;
+    entry.description = cardInfo.description;
+    if (cardInfo.description) {
+      entry.richDescription = cardInfo.richDescription;
+      entry.descriptionTruncated = cardInfo.descriptionTruncated;
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Build a single entry for all commits of a task
+ * The entry takes the title and scope of the first commit with the given prefix
+ * and lists every author and the number of commits.
+ * @param {Array<{commit: Object, parsed: Object, contributors: Array<Object>}>} items - Parsed commits of the task in commit order
+ * @param {string} prefix - Highest-priority prefix among the commits
+ * @param {Function} loadCard - Card info loader from createCardLoader
+ * @returns {Promise<Object>} - Entry with authors and commitCount
+ */
+async function buildTaskEntry(items, prefix, loadCard) {
+  const lead = items.find(item => item.parsed.type === prefix);
+  const entry = await buildEntry(lead, loadCard);
+  const contributors = [];
+  for (const person of items.flatMap(item => item.contributors)) {
+    const key = person.login || person.name;
+    if (!contributors.some(known => (known.login || known.name) === key)) {
+      contributors.push(person);
+    }
+  }
+  const authors = contributors.map(person => person.name);
+  if (entry.details) {
+    entry.details = [...new Set(items.flatMap(item => item.details))];
+  }
+
+  return {
+    ...entry,
+    author: authors.join(', '),
+    authors,
+    contributors,
+    commits: [...new Set(items.flatMap(item => item.commit.pullRequest?.commits || [item.commit.sha || item.commit.id]))]
+      .filter(Boolean),
+    commitCount: items.length,
+    breaking: items.some(item => item.parsed.breaking)
+  };
+}
+
+/**
+ * Collect changelog sections from commits
+ * Sections follow the order of prefixes, entries follow the order of commits.
+ * Breaking changes are also collected into a separate section placed first.
+ * Commits without a task ID are listed in a warning and shown according to the untracked mode.
  * @param {Array} commits - Array of commit objects
  * @param {Array} prefixes - Array of prefixes to include
  * @param {Object} [yogileInstance] - YouGile API instance
  * @param {Object} core - Core instance
- * @returns {Promise<string>} - Changelog text
+ * @param {Object} [options] - Collect options
+ * @param {string} [options.untracked='skip'] - Mode for commits without a task ID (skip, inline or section)
+ * @param {string} [options.groupBy='commit'] - commit for an entry per commit, task to merge commits of a task
+ *   into one entry placed in the section of its highest-priority prefix (the earliest in prefixes)
+ * @param {Object} [options.locale] - Locale of the problem description marker and the default catalogue, ru by default
+ * @param {Object} [options.catalogue] - Prefix catalogue from createPrefixCatalogue, defaults of the locale
+ * @param {Function} [options.resolveAuthors] - Contributor resolver from createAuthorResolver, commit authors as is by default
+ * @param {Object} [options.exclusions] - Rules from parseExclusionRules, excluded commits are left out before anything else
+ * @param {number} [options.descriptionLimit=0] - Maximum length of card descriptions in characters, 0 for no limit
+ * @param {string} [options.body='none'] - What is taken from commit bodies: none or bullets (entry details)
+ * @returns {Promise<Array<{prefix: string, title: string, emoji: string, entries: Array<Object>}>>} - Sections
+ *   with entries of { taskId, title, author, authors, contributors, commits, link, description, scope, breaking },
+ *   all texts unescaped; commits are full SHAs;
+ *   author joins the display names of the authors and co-authors, contributors hold their logins and chat IDs;
+ *   taskId and link are null for commits without a task ID; merged task entries also have commitCount;
+ *   entries with a card description also have richDescription (lines from parseRichText) and descriptionTruncated;
+ *   with the bullets body mode entries also have details, the bullet lines of their commit bodies
  */
-async function generateChangelog(commits, prefixes, yogileInstance = null, core = null) {
+async function collectChangelog(
+  commits,
+  prefixes,
+  yogileInstance = null,
+  core = null,
+  {
+    untracked = 'skip',
+    groupBy = 'commit',
+    locale = getLocale(),
+    catalogue = createPrefixCatalogue({}, locale),
+    resolveAuthors = createAuthorResolver(),
+    exclusions = null,
+    descriptionLimit = 0,
+    body = 'none'
+  } = {}
+) {
+  if (!UNTRACKED_MODES.includes(untracked)) {
+    throw new Error(`Unsupported untracked commits mode: ${untracked}, expected one of ${UNTRACKED_MODES.join(', ')}`);
+  }
+  if (!GROUP_MODES.includes(groupBy)) {
+    throw new Error(`Unsupported group mode: ${groupBy}, expected one of ${GROUP_MODES.join(', ')}`);
+  }
+  if (!BODY_MODES.includes(body)) {
+    throw new Error(`Unsupported commit body mode: ${body}, expected one of ${BODY_MODES.join(', ')}`);
+  }
   if (!commits || !Array.isArray(commits) || commits.length === 0) {
-    return '';
+    return [];
   }
   if (!prefixes || !Array.isArray(prefixes) || prefixes.length === 0) {
-    return '';
+    return [];
   }
 
-  let changelogText = '';
+  const kept = excludeCommits(commits, exclusions, core);
+  const parsedCommits = [];
+  for (const commit of kept) {
+    const parsed = parseCommitMessage(commit.message);
+    parsedCommits.push({
+      commit,
+      parsed,
+      contributors: await resolveAuthors(commit),
+      details: body === 'bullets' ? parseBodyBullets(parsed.body) : undefined
+    });
+  }
+  const isTracked = ({ parsed }) => parsed.taskIds.length > 0;
+  const untrackedCommits = parsedCommits.filter(item => !isTracked(item));
+  warnUntrackedCommits(untrackedCommits.map(({ commit }) => commit), core);
+  warnUnknownPrefixes(parsedCommits, catalogue, core);
 
-  for (const prefix of prefixes) {
-    for (const commit of commits) {
-      let firstLine = getFirstLine(commit.message);
-      const taskId = extractTaskId(firstLine);
+  const sections = [];
+  const loadCard = createCardLoader(yogileInstance, core, locale.problemTitle, descriptionLimit);
 
-      // Skip commits without task ID
-      if (!taskId) {
-        continue;
+  // Commits without a task ID are shown in their prefix section only in the inline mode
+  const shown = item => isTracked(item) || untracked === 'inline';
+
+  // Commits of each task with the prefix their merged entry is shown under
+  const tasks = new Map();
+  if (groupBy === 'task') {
+    for (const item of parsedCommits.filter(isTracked)) {
+      const taskId = item.parsed.taskIds[0];
+      if (!tasks.has(taskId)) {
+        tasks.set(taskId, { items: [] });
       }
+      tasks.get(taskId).items.push(item);
+    }
+    for (const task of tasks.values()) {
+      task.prefix = prefixes.find(prefix => task.items.some(item => item.parsed.type === prefix));
+      task.lead = task.items.find(item => item.parsed.type === task.prefix);
+    }
+  }
+
+  const breakingEntries = [];
+  for (const item of parsedCommits) {
+    if (item.parsed.breaking && (isTracked(item) || untracked !== 'skip')) {
+      const entry = await buildEntry(item);
+      entry.title = item.parsed.breakingDescription.replace(/\s*\n\s*/g, ' ');
+      breakingEntries.push(entry);
+    }
+  }
+  if (breakingEntries.length > 0 && !catalogue[BREAKING_PREFIX].hidden) {
+    const { title, emoji } = getPrefixInfo(catalogue, BREAKING_PREFIX);
+    sections.push({
+      prefix: BREAKING_PREFIX,
+      title,
+      emoji,
+      entries: breakingEntries
+    });
+  }
 
-      const youGileLink = generateTaskLink(taskId);
-      firstLine = removeTaskIdSuffix(firstLine);
-      firstLine = escapeMarkdown(firstLine);
+  for (const prefix of prefixes) {
+    const entries = [];
 
-      if (!hasPrefix(firstLine, prefix)) {
+    for (const item of parsedCommits) {
+      if (item.parsed.type !== prefix || !shown(item)) {
         continue;
       }
 
-      // Add section header if not already present
-      if (!changelogText.includes(locale.prefixes[prefix])) {
-        changelogText += `*${locale.prefixes[prefix]}*\n`;
+      if (groupBy === 'task' && isTracked(item)) {
+        const task = tasks.get(item.parsed.taskIds[0]);
+        if (task.lead === item) {
+          entries.push(await buildTaskEntry(task.items, prefix, loadCard));
+        }
+        continue;
       }
 
-      let finalMessage = firstLine;
-      let description = '';
+      entries.push(await buildEntry(item, loadCard));
+    }
 
-      // Try to get card info from YouGile
-      if (yogileInstance) {
-        const cardInfo = await getCardInfo(taskId, yogileInstance, core);
-        if (cardInfo) {
-          finalMessage = locale.emojis[prefix] + ' ' + escapeMarkdown(cardInfo.title);
-          description = cardInfo.description;
-        }
-      }
+    if (entries.length > 0) {
+      const { title, emoji } = getPrefixInfo(catalogue, prefix);
+      sections.push({ prefix, title, emoji, entries });
+    }
+  }
+
+  if (untracked === 'section' && untrackedCommits.length > 0 && !catalogue[UNTRACKED_PREFIX].hidden) {
+    const entries = [];
+    for (const item of untrackedCommits) {
+      const entry = await buildEntry(item);
+      entry.title = getFirstLine(item.commit.message);
+      entry.scope = null;
+      entries.push(entry);
+    }
+
+    const { title, emoji } = getPrefixInfo(catalogue, UNTRACKED_PREFIX);
+    sections.push({ prefix: UNTRACKED_PREFIX, title, emoji, entries });
+  }
+
+  return sections;
+}
+
+/**
+ * Format section title
+ * The breaking changes title is highlighted with its emoji.
+ * @param {Object} section - Section from collectChangelog
+ * @param {Object} formatter - Formatter of the target parse mode
+ * @returns {string} - Section title in parse mode markup
+ */
+function formatSectionTitle(section, formatter) {
+  const title = section.prefix === BREAKING_PREFIX ? `${section.emoji} ${section.title}` : section.title;
+  return formatter.bold(formatter.escape(title));
+}
 
-      const author = commit.author?.username || 'unknown';
+/**
+ * Format entry message: section emoji, scope and title with its code spans and links
+ * @param {Object} section - Section from collectChangelog
+ * @param {Object} entry - Entry of the section
+ * @param {Object} formatter - Formatter of the target parse mode
+ * @returns {string} - Entry message in parse mode markup
+ */
+function formatEntryMessage(section, entry, formatter) {
+  const scope = entry.scope ? `${formatter.bold(formatter.escape(`${entry.scope}:`))} ` : '';
+  return `${section.emoji} ${scope}${formatInlineMarkdown(entry.title, formatter)}`;
+}
+
+/**
+ * Format entry authors: Telegram and Slack mentions where the author directory has them, names otherwise
+ * @param {Object} entry - Entry of the section
+ * @param {Object} formatter - Formatter of the target parse mode
+ * @returns {string} - Authors in parse mode markup
+ */
+function formatEntryAuthors(entry, formatter) {
+  if (!entry.contributors || entry.contributors.length === 0) {
+    return formatter.escape(entry.author);
+  }
+  return entry.contributors.map(person => formatter.mention(person)).join(', ');
+}
+
+/**
+ * Format entry details: bullet lines of commit bodies with their code spans and links
+ * @param {Object} entry - Entry of the section
+ * @param {Object} formatter - Formatter of the target parse mode
+ * @returns {string[]} - Lines in parse mode markup
+ */
+function formatEntryDetails(entry, formatter) {
+  return (entry.details || []).map(line => formatInlineMarkdown(line, formatter));
+}
+
+/**
+ * Format entry description: the card problem section with its bold text and links,
+ * followed by a link to the card when the section was shortened
+ * @param {Object} entry - Entry of the section
+ * @param {Object} formatter - Formatter of the target parse mode
+ * @param {Object} [locale] - Locale of the labels, ru by default
+ * @returns {string} - Description in parse mode markup, empty without a description
+ */
+function formatEntryDescription(entry, formatter, locale = getLocale()) {
+  if (!entry.description) {
+    return '';
+  }
+  const text = entry.richDescription && entry.richDescription.length > 0
+    ? renderRichText(entry.richDescription, formatter)
+    : formatter.escape(entry.description);
+  if (!entry.descriptionTruncated || !entry.link) {
+    return text;
+  }
+  return `${text} ${formatter.link(formatter.escape(locale.readMore), entry.link)}`;
+}
+
+/**
+ * Render changelog sections as Telegram message text
+ * @param {Array<Object>} sections - Sections from collectChangelog
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.parseMode='MarkdownV2'] - Telegram parse mode
+ * @param {Object} [options.locale] - Locale of the labels, ru by default
+ * @returns {string} - Changelog text
+ */
+function renderChangelog(sections, { parseMode, locale } = {}) {
+  const formatter = getFormatter(parseMode);
+  let changelogText = '';
+
+  for (const section of sections) {
+    changelogText += `${formatSectionTitle(section, formatter)}\n`;
+
+    for (const entry of section.entries) {
       changelogText += formatCommitEntry({
-        message: finalMessage,
-        prefix,
-        emoji: locale.emojis[prefix],
-        author,
-        taskLink: youGileLink,
-        description
+        message: formatEntryMessage(section, entry, formatter),
+        emoji: section.emoji,
+        author: entry.author,
+        authorMarkup: formatEntryAuthors(entry, formatter),
+        pullLink: generatePullLink(entry.pullRequest, formatter.parseMode),
+        taskLink: generateTaskLink(entry.taskId, formatter.parseMode, locale),
+        details: formatEntryDetails(entry, formatter),
+        description: entry.description,
+        descriptionMarkup: formatEntryDescription(entry, formatter, locale),
+        commitCount: entry.commitCount,
+        parseMode: formatter.parseMode,
+        locale
       });
     }
 
     // Add extra newline after section
-    if (changelogText.includes(locale.prefixes[prefix])) {
-      changelogText += '\n';
-    }
+    changelogText += '\n';
   }
 
   return changelogText;
 }
 
 /**
- * Add project header to changelog
- * @param {string} changelog - Changelog text
- * @param {string} projectName - Project name
- * @returns {string} - Changelog with header
+ * Generate changelog text from commits
+ * @param {Array} commits - Array of commit objects
+ * @param {Array} prefixes - Array of prefixes to include
+ * @param {Object} [yogileInstance] - YouGile API instance
+ * @param {Object} core - Core instance
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.parseMode='MarkdownV2'] - Telegram parse mode
+ * @param {string} [options.untracked='skip'] - Mode for commits without a task ID (skip, inline or section)
+ * @param {string} [options.groupBy='commit'] - Entry grouping (commit or task)
+ * @param {Object} [options.locale] - Locale, ru by default
+ * @param {Object} [options.catalogue] - Prefix catalogue from createPrefixCatalogue
+ * @param {Function} [options.resolveAuthors] - Contributor resolver from createAuthorResolver
+ * @param {Object} [options.exclusions] - Rules from parseExclusionRules
+ * @param {number} [options.descriptionLimit=0] - Maximum length of card descriptions, 0 for no limit
+ * @param {string} [options.body='none'] - What is taken from commit bodies (none or bullets)
+ * @returns {Promise<string>} - Changelog text
  */
-function addProjectHeader(changelog, projectName) {
-  if (!changelog || !changelog.trim()) {
-    return changelog;
-  }
-  return `*${projectName}*\n\n${changelog}`;
+async function generateChangelog(
+  commits,
+  prefixes,
+  yogileInstance = null,
+  core = null,
+  { parseMode, untracked, groupBy, locale, catalogue, resolveAuthors, exclusions, descriptionLimit, body } = {}
+) {
+  // Fail on unsupported parse mode before fetching cards
+  getFormatter(parseMode);
+  const sections = await collectChangelog(commits, prefixes, yogileInstance, core, {
+    untracked,
+    groupBy,
+    locale,
+    catalogue,
+    resolveAuthors,
+    exclusions,
+    descriptionLimit,
+    body
+  });
+  return renderChangelog(sections, { parseMode, locale });
 }
 
 module.exports = {
   generateChangelog,
+  collectChangelog,
+  renderChangelog,
   getCardInfo,
   formatCommitEntry,
   generateTaskLink,
-  addProjectHeader,
-  YOUGILE_BASE_URL
+  generatePullLink,
+  formatSectionTitle,
+  formatEntryMessage,
+  formatEntryAuthors,
+  formatEntryDetails,
+  formatEntryDescription,
+  YOUGILE_BASE_URL,
+  BREAKING_PREFIX,
+  UNTRACKED_PREFIX,
+  UNTRACKED_MODES,
+  GROUP_MODES,
+  BODY_MODES
 };
@@ -0,0 +1,132 @@
+/**
+ * Commit source module
+ * Push payloads carry at most 20 commits and tag pushes carry none, so the
+ * commit list can be built from the compare API between the previous release
+ * tag and the current ref instead.
+ */
+
+const github = require('@actions/github');
+const { getTagName } = require('./parsing');
+const { fetchLastVersionTag } = require('./versions');
+
+/**
+ * Where commits come from: the push payload (or the commits input) or the compare API
+ */
+const COMMIT_SOURCES = ['payload', 'compare'];
+
+const COMPARE_PAGE_SIZE = 100;
+
+/**
+ * Convert a compare API commit into the push payload commit shape
+ * @param {Object} item - Commit from the compare API
+ * @param {Array<Object>} [files] - Changed files from the commit API ({ filename, status, previous_filename })
+ * @returns {Object} - Commit object (id, message, timestamp, url, author, added, modified, removed)
+ */
+function normalizeCompareCommit(item, files = []) {
+  const commitAuthor = item.commit.author || {};
+  const commit = {
+    id: item.sha,
+    message: item.commit.message,
+    timestamp: commitAuthor.date || item.commit.committer?.date,
+    url: item.html_url,
+    author: {
+      name: commitAuthor.name,
+      email: commitAuthor.email,
+      username: item.author?.login || commitAuthor.name
+    },
+    added: [],
+    modified: [],
+    removed: []
+  };
+
+  for (const file of files) {
+    if (file.status === 'added' || file.status === 'copied') {
+      commit.added.push(file.filename);
+    } else if (file.status === 'removed') {
+      commit.removed.push(file.filename);
+    } else if (file.status === 'renamed') {
+      commit.removed.push(file.previous_filename);
+      commit.added.push(file.filename);
+    } else {
+      commit.modified.push(file.filename);
+    }
+  }
+
+  return commit;
+}
+
+/**
+ * Fetch commits between two refs, oldest first
+ * The compare API is paged by hand: octokit.paginate does not handle its response.
+ * @param {Object} options - Fetch options
+ * @param {Object} options.octokit - GitHub API client
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {string} options.base - Base ref (excluded)
+ * @param {string} options.head - Head ref (included)
+ * @returns {Promise<Array<Object>>} - Commits from the compare API
+ */
+async function compareCommits({ octokit, owner, repo, base, head }) {
+  const commits = [];
+
+  for (let page = 1; ; page++) {
+    const { data } = await octokit.rest.repos.compareCommitsWithBasehead({
+      owner,
+      repo,
+      basehead: `${base}...${head}`,
+      per_page: COMPARE_PAGE_SIZE,
+      page
+    });
+    commits.push(...data.commits);
+
+    if (data.commits.length < COMPARE_PAGE_SIZE || commits.length >= data.total_commits) {
+      return commits;
+    }
+  }
+}
+
+/**
+ * Fetch the commits of a release from the compare API
+ * The range ends at the tag of the run (or the commit SHA for other refs) and starts
+ * at the base input, or at the previous version tag.
+ * @param {Object} options - Fetch options
+ * @param {string} options.token - GitHub token
+ * @param {string} options.ref - Git ref of the run
+ * @param {string} options.sha - Commit SHA of the run
+ * @param {string} [options.base] - Base ref, the previous version tag when empty
+ * @param {boolean} [options.withFiles=false] - Fetch changed files of each commit (one request per commit)
+ * @returns {Promise<{base: string, head: string, commits: Array<Object>}>} - Range and commit objects
+ */
+async function fetchReleaseCommits({ token, ref, sha, base, withFiles = false }) {
+  if (!token) {
+    throw new Error('GitHub token is required');
+  }
+
+  const from = base || await fetchLastVersionTag({ token, ref });
+  if (!from) {
+    throw new Error('No previous version tag found, set base_ref to compare from');
+  }
+  const head = getTagName(ref) || sha;
+
+  const octokit = github.getOctokit(token);
+  const { owner, repo } = github.context.repo;
+  const items = await compareCommits({ octokit, owner, repo, base: from, head });
+
+  const commits = [];
+  for (const item of items) {
+    let files = [];
+    if (withFiles) {
+      ({ data: { files = [] } } = await octokit.rest.repos.getCommit({ owner, repo, ref: item.sha }));
+    }
+    commits.push(normalizeCompareCommit(item, files));
+  }
+
+  return { base: from, head, commits };
+}
+
+module.exports = {
+  normalizeCompareCommit,
+  compareCommits,
+  fetchReleaseCommits,
+  COMMIT_SOURCES
+};
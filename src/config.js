@@ -0,0 +1,44 @@
+/**
+ * Config input module
+ * Reads action inputs that take inline text or a path to a file with it
+ */
+
+const fs = require('fs');
+const YAML = require('yaml');
+
+/**
+ * Read an input given as inline text or as a path to a file
+ * A single line naming an existing file is read from the file, anything else is the text itself.
+ * @param {string} [input] - Inline text or file path
+ * @returns {string|null} - Text, or null when the input is empty
+ */
+function readInputText(input) {
+  if (!input || !input.trim()) {
+    return null;
+  }
+  const path = input.trim();
+  return !input.includes('\n') && fs.existsSync(path) ? fs.readFileSync(path, 'utf8') : input;
+}
+
+/**
+ * Read a YAML or JSON input given inline or as a path to a file
+ * @param {string} [input] - Inline YAML or JSON, or a file path
+ * @param {string} name - Input name for error messages
+ * @returns {*} - Parsed value, undefined when the input is empty
+ */
+function readConfigInput(input, name) {
+  const text = readInputText(input);
+  if (text === null) {
+    return undefined;
+  }
+  try {
+    return YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid ${name} input: ${error.message}`);
+  }
+}
+
+module.exports = {
+  readInputText,
+  readConfigInput
+};
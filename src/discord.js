@@ -0,0 +1,62 @@
+/**
+ * Discord messaging module
+ * Posts changelog to Discord webhooks as Markdown
+ */
+
+const { getFormatter } = require('./formatters');
+const { postWebhook } = require('./webhook');
+const { DEFAULT_TEMPLATE, renderTemplateMessages } = require('./template');
+
+const MAX_MESSAGE_LENGTH = 2000;
+const SUPPRESS_EMBEDS_FLAG = 1 << 2;
+
+const formatter = getFormatter('markdown');
+
+/**
+ * Build webhook payloads for changelog
+ * Link previews and mentions are disabled, so task links and author names
+ * never expand into cards or ping anyone.
+ * @param {Array<Object>} sections - Sections from collectChangelog
+ * @param {string} projectName - Project name (plain text)
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.template] - Template text, the default template when not set
+ * @param {Object} [options.release] - Release fields for the template (environment, ref, repository) and its locale
+ * @returns {Array<{content: string, flags: number, allowed_mentions: Object}>} - Webhook payloads
+ */
+function buildDiscordMessages(sections, projectName, { template, release = {} } = {}) {
+  const texts = renderTemplateMessages(
+    { ...release, projectName, sections },
+    { template: template || DEFAULT_TEMPLATE, parseMode: formatter.parseMode, limit: MAX_MESSAGE_LENGTH }
+  );
+  return texts.map(content => ({
+    content,
+    flags: SUPPRESS_EMBEDS_FLAG,
+    allowed_mentions: { parse: [] }
+  }));
+}
+
+/**
+ * Send changelog to Discord
+ * @param {Object} options - Send options
+ * @param {string} options.webhookUrl - Webhook URL
+ * @param {Array<Object>} options.sections - Sections from collectChangelog
+ * @param {string} options.projectName - Project name (plain text)
+ * @param {string} [options.template] - Template text, the default template when not set
+ * @param {Object} [options.release] - Release fields for the template
+ * @returns {Promise<number>} - Number of sent messages
+ */
+async function sendDiscordChangelog({ webhookUrl, sections, projectName, template, release }) {
+  const messages = buildDiscordMessages(sections, projectName, { template, release });
+
+  for (const message of messages) {
+    await postWebhook(webhookUrl, message, 'Discord webhook');
+  }
+
+  return messages.length;
+}
+
+module.exports = {
+  buildDiscordMessages,
+  sendDiscordChangelog,
+  MAX_MESSAGE_LENGTH
+};
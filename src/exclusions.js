@@ -0,0 +1,159 @@
+/**
+ * Commit exclusion module
+ * Rules that keep commits out of the changelog and the DORA lead time:
+ * bot authors, merge commits, opt-out markers and trailers, and message patterns.
+ */
+
+const { readConfigInput } = require('./config');
+const { getFirstLine, parseCommitMessage } = require('./parsing');
+
+const RULE_FIELDS = ['authors', 'messages', 'markers', 'trailers', 'merges'];
+const MERGE_PATTERN = /^Merge (branch|branches|pull request|remote-tracking branch|tag|commit) /;
+const TRAILER_PATTERN = /^([A-Za-z][\w-]*):\s*(.+)$/;
+
+/**
+ * Rules used when the exclude input leaves a field out
+ */
+const DEFAULT_EXCLUSION_RULES = {
+  authors: ['*[bot]'],
+  messages: [],
+  markers: ['[skip changelog]', '[changelog skip]'],
+  trailers: ['Changelog: skip'],
+  merges: true
+};
+
+/**
+ * Convert an author pattern with "*" wildcards into a regular expression
+ * @param {string} pattern - Author pattern (e.g., "dependabot[bot]", "*[bot]")
+ * @returns {RegExp} - Case-insensitive regex of the whole value
+ */
+function authorPatternToRegex(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Parse the exclude input
+ * Fields left out keep their defaults, so "merges: false" only turns off merge commits.
+ * @param {string} [input] - YAML or JSON map of { authors, messages, markers, trailers, merges }, or a path to such a file
+ * @returns {{authors: RegExp[], messages: RegExp[], markers: string[], trailers: Array<{token: string, value: string}>, merges: boolean}} - Rules
+ */
+function parseExclusionRules(input) {
+  let config = {};
+
+  if (input && input.trim()) {
+    config = readConfigInput(input, 'exclude');
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('Invalid exclude input: expected a map of authors, messages, markers, trailers and merges');
+    }
+  }
+
+  const unknown = Object.keys(config).filter(key => !RULE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid exclude input: unknown field ${unknown.join(', ')}, expected ${RULE_FIELDS.join(', ')}`);
+  }
+
+  const rules = { ...DEFAULT_EXCLUSION_RULES, ...config };
+  for (const field of ['authors', 'messages', 'markers', 'trailers']) {
+    rules[field] = rules[field] === null ? [] : [rules[field]].flat();
+    if (!rules[field].every(item => typeof item === 'string' && item.trim())) {
+      throw new Error(`Invalid exclude input: ${field} must be a string or a list of strings`);
+    }
+  }
+  if (typeof rules.merges !== 'boolean') {
+    throw new Error('Invalid exclude input: merges must be true or false');
+  }
+
+  return {
+    authors: rules.authors.map(authorPatternToRegex),
+    messages: rules.messages.map(pattern => {
+      try {
+        return new RegExp(pattern, 'im');
+      } catch (error) {
+        throw new Error(`Invalid exclude input: message pattern ${pattern}: ${error.message}`);
+      }
+    }),
+    markers: rules.markers.map(marker => marker.toLowerCase()),
+    trailers: rules.trailers.map(trailer => {
+      const match = trailer.match(TRAILER_PATTERN);
+      if (!match) {
+        throw new Error(`Invalid exclude input: trailer "${trailer}" must look like "Token: value"`);
+      }
+      return { token: match[1].toLowerCase(), value: match[2].trim().toLowerCase() };
+    }),
+    merges: rules.merges
+  };
+}
+
+/**
+ * Get the reason a commit is excluded
+ * @param {Object} commit - Commit object
+ * @param {Object} rules - Rules from parseExclusionRules
+ * @returns {string|null} - Reason (e.g., "author dependabot[bot]", "merge commit") or null for kept commits
+ */
+function getExclusionReason(commit, rules) {
+  const message = commit.message || '';
+  const author = commit.author || {};
+
+  const name = [author.username, author.name, author.email]
+    .find(value => value && rules.authors.some(pattern => pattern.test(value)));
+  if (name) {
+    return `author ${name}`;
+  }
+  if (rules.merges && MERGE_PATTERN.test(message)) {
+    return 'merge commit';
+  }
+
+  const lower = message.toLowerCase();
+  const marker = rules.markers.find(item => lower.includes(item));
+  if (marker) {
+    return `marker ${marker}`;
+  }
+
+  const { footers } = parseCommitMessage(message);
+  const trailer = rules.trailers.find(item => footers.some(footer =>
+    footer.token.toLowerCase() === item.token && footer.value.trim().toLowerCase() === item.value
+  ));
+  if (trailer) {
+    return `trailer ${trailer.token}: ${trailer.value}`;
+  }
+
+  const pattern = rules.messages.find(item => item.test(message));
+  return pattern ? `message ${pattern}` : null;
+}
+
+/**
+ * Leave out excluded commits, listing them in the log
+ * @param {Array} commits - Array of commit objects
+ * @param {Object} [rules] - Rules from parseExclusionRules, nothing is excluded without rules
+ * @param {Object} [core] - Core instance
+ * @returns {Array} - Kept commits
+ */
+function excludeCommits(commits, rules, core = null) {
+  if (!rules || !commits) {
+    return commits;
+  }
+
+  const kept = [];
+  const excluded = [];
+  for (const commit of commits) {
+    const reason = getExclusionReason(commit, rules);
+    if (reason) {
+      excluded.push(`  ${(commit.sha || commit.id || '').slice(0, 7)} ${getFirstLine(commit.message)} (${reason})`);
+    } else {
+      kept.push(commit);
+    }
+  }
+
+  if (core && excluded.length > 0) {
+    core.info(`Excluded commits (${excluded.length}):\n${excluded.join('\n')}`);
+  }
+  return kept;
+}
+
+module.exports = {
+  parseExclusionRules,
+  getExclusionReason,
+  excludeCommits,
+  DEFAULT_EXCLUSION_RULES
+};
@@ -0,0 +1,199 @@
+/**
+ * Message formatters for Telegram parse modes and other chat markups
+ * Each formatter knows the escape rules and markup (bold, links, inline code, quotes) of one
+ * parse mode, including how an author is mentioned (Telegram username, Slack user ID or display name).
+ * Formatters used for splitting long messages also provide splitLines and safeCutIndex.
+ */
+
+const { escapeMarkdown, escapeHtml, escapeSlack, escapeChatMarkdown } = require('./parsing');
+
+const DEFAULT_PARSE_MODE = 'MarkdownV2';
+
+/**
+ * Telegram MarkdownV2 formatter
+ */
+const markdownV2 = {
+  parseMode: 'MarkdownV2',
+  escape: escapeMarkdown,
+  bold: text => `*${text}*`,
+  link: (text, url) => `[${text}](${url.replace(/[)\\]/g, '\\$&')})`,
+  code: text => `\`${text.replace(/[`\\]/g, '\\$&')}\``,
+  quote: text => text.split('\n').map(line => `>${line}`).join('\n'),
+  mention: person => escapeMarkdown(person.telegram ? `@${person.telegram}` : person.name),
+
+  /**
+   * Split a rendered entry into lines, marking quoted ones
+   * @param {string} entry - Rendered entry
+   * @returns {Array<{text: string, quoted: boolean}>} - Lines without quote markup
+   */
+  splitLines(entry) {
+    return entry.split('\n').map(line => (
+      line.startsWith('>')
+        ? { text: line.slice(1), quoted: true }
+        : { text: line, quoted: false }
+    ));
+  },
+
+  /**
+   * Find a safe position to cut text at, not after an escaping backslash
+   * @param {string} text - Rendered text
+   * @param {number} end - Desired cut position
+   * @returns {number} - Safe cut position
+   */
+  safeCutIndex(text, end) {
+    let backslashes = 0;
+    while (backslashes < end && text[end - 1 - backslashes] === '\\') {
+      backslashes++;
+    }
+    return backslashes % 2 === 1 ? end - 1 : end;
+  }
+};
+
+/**
+ * Telegram HTML formatter
+ */
+const html = {
+  parseMode: 'HTML',
+  escape: escapeHtml,
+  bold: text => `<b>${text}</b>`,
+  link: (text, url) => `<a href="${escapeHtml(url)}">${text}</a>`,
+  code: text => `<code>${escapeHtml(text)}</code>`,
+  quote: text => `<blockquote>${text}</blockquote>`,
+  mention: person => escapeHtml(person.telegram ? `@${person.telegram}` : person.name),
+
+  /**
+   * Split a rendered entry into lines, marking the ones inside a blockquote
+   * @param {string} entry - Rendered entry
+   * @returns {Array<{text: string, quoted: boolean}>} - Lines without quote markup
+   */
+  splitLines(entry) {
+    let quoted = false;
+
+    return entry.split('\n').map(line => {
+      let text = line;
+      let lineQuoted = quoted;
+
+      if (text.startsWith('<blockquote>')) {
+        text = text.slice('<blockquote>'.length);
+        quoted = lineQuoted = true;
+      }
+      if (text.endsWith('</blockquote>')) {
+        text = text.slice(0, -'</blockquote>'.length);
+        quoted = false;
+      }
+
+      return { text, quoted: lineQuoted };
+    });
+  },
+
+  /**
+   * Find a safe position to cut text at, outside of tags, entities and elements
+   * @param {string} text - Rendered text
+   * @param {number} end - Desired cut position
+   * @returns {number} - Safe cut position
+   */
+  safeCutIndex(text, end) {
+    const head = text.slice(0, end);
+    let cut = end;
+
+    const lastEntity = head.lastIndexOf('&');
+    if (lastEntity > head.lastIndexOf(';')) {
+      cut = lastEntity;
+    }
+    const lastTag = head.lastIndexOf('<');
+    if (lastTag > head.lastIndexOf('>')) {
+      cut = Math.min(cut, lastTag);
+    }
+
+    // Do not split an element between its opening and closing tags
+    const open = [];
+    for (const match of head.slice(0, cut).matchAll(/<(\/?)([a-z]+)[^>]*>/g)) {
+      if (match[1]) {
+        open.pop();
+      } else {
+        open.push(match.index);
+      }
+    }
+    if (open.length > 0 && open[0] > 0) {
+      cut = open[0];
+    }
+
+    return cut;
+  }
+};
+
+/**
+ * Slack mrkdwn formatter
+ */
+const mrkdwn = {
+  parseMode: 'mrkdwn',
+  escape: escapeSlack,
+  bold: text => `*${text}*`,
+  link: (text, url) => `<${url}|${text}>`,
+  code: text => `\`${escapeSlack(text)}\``,
+  quote: text => text.split('\n').map(line => `>${line}`).join('\n'),
+  mention: person => (person.slack ? `<@${person.slack}>` : escapeSlack(person.name))
+};
+
+/**
+ * Chat Markdown formatter (Mattermost, Discord, GitHub)
+ * Quotes and escapes work like in MarkdownV2, so splitting rules are shared.
+ * A quote ends with a blank line: in CommonMark the next line would otherwise continue the quote.
+ */
+const markdown = {
+  parseMode: 'markdown',
+  escape: escapeChatMarkdown,
+  bold: text => `**${text}**`,
+  link: (text, url) => `[${text}](${url})`,
+  code: text => `\`${text}\``,
+  quote: text => `${markdownV2.quote(text)}\n`,
+  mention: person => escapeChatMarkdown(person.name),
+  splitLines: markdownV2.splitLines,
+  safeCutIndex: markdownV2.safeCutIndex
+};
+
+/**
+ * Plain text formatter (changelog_text output)
+ * Nothing is escaped; links are written out after their text and quotes are indented.
+ */
+const text = {
+  parseMode: 'text',
+  escape: value => value || '',
+  bold: value => value,
+  link: (value, url) => `${value} (${url})`,
+  code: value => `\`${value}\``,
+  quote: value => value.split('\n').map(line => `  ${line}`).join('\n'),
+  mention: person => person.name
+};
+
+const FORMATTERS = {
+  [markdownV2.parseMode]: markdownV2,
+  [html.parseMode]: html,
+  [mrkdwn.parseMode]: mrkdwn,
+  [markdown.parseMode]: markdown,
+  [text.parseMode]: text
+};
+
+const TELEGRAM_PARSE_MODES = [markdownV2.parseMode, html.parseMode];
+
+/**
+ * Get formatter for parse mode
+ * @param {string} [parseMode='MarkdownV2'] - Parse mode (MarkdownV2, HTML, mrkdwn, markdown or text)
+ * @returns {Object} - Formatter
+ */
+function getFormatter(parseMode = DEFAULT_PARSE_MODE) {
+  const formatter = FORMATTERS[parseMode || DEFAULT_PARSE_MODE];
+  if (!formatter) {
+    throw new Error(
+      `Unsupported parse mode: ${parseMode}, expected one of ${Object.keys(FORMATTERS).join(', ')}`
+    );
+  }
+  return formatter;
+}
+
+module.exports = {
+  getFormatter,
+  DEFAULT_PARSE_MODE,
+  TELEGRAM_PARSE_MODES,
+  FORMATTERS
+};
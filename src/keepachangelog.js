@@ -0,0 +1,246 @@
+/**
+ * Keep a Changelog module
+ * Prepends the current release to a CHANGELOG.md file in Keep a Changelog format
+ * (https://keepachangelog.com/en/1.1.0/), written to the workspace or committed through the GitHub API
+ */
+
+const fs = require('fs');
+const github = require('@actions/github');
+const { escapeChatMarkdown, getVersion } = require('./parsing');
+const { getFormatter } = require('./formatters');
+const { formatInlineMarkdown } = require('./richtext');
+const { BREAKING_PREFIX } = require('./changelog');
+
+const DEFAULT_PATH = 'CHANGELOG.md';
+
+const FILE_HEADER = `# Changelog
+
+All notable changes to this project will be documented in this file.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/),
+and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).
+`;
+
+/**
+ * Keep a Changelog categories in document order
+ */
+const CATEGORIES = ['Added', 'Changed', 'Deprecated', 'Removed', 'Fixed', 'Security'];
+
+/**
+ * Category of each prefix from locale.prefixes; unknown prefixes go to Changed
+ */
+const PREFIX_CATEGORIES = {
+  feat: 'Added',
+  fix: 'Fixed',
+  docs: 'Changed',
+  style: 'Changed',
+  refactor: 'Changed',
+  perf: 'Changed',
+  test: 'Changed',
+  chore: 'Changed'
+};
+
+/**
+ * Render a release as a Keep a Changelog section
+ * @param {Array<Object>} sections - Sections from collectChangelog
+ * @param {Object} options - Rendering options
+ * @param {string} options.version - Release version
+ * @param {string} options.date - Release date (YYYY-MM-DD)
+ * @returns {string} - Markdown section
+ */
+function renderRelease(sections, { version, date }) {
+  const markdown = getFormatter('markdown');
+  const categories = new Map();
+
+  for (const section of sections) {
+    // Breaking changes are marked in their own categories instead
+    if (section.prefix === BREAKING_PREFIX) {
+      continue;
+    }
+
+    const category = PREFIX_CATEGORIES[section.prefix] || 'Changed';
+    if (!categories.has(category)) {
+      categories.set(category, []);
+    }
+    for (const entry of section.entries) {
+      const marker = entry.breaking ? '**BREAKING** ' : '';
+      const label = [entry.package, entry.scope].filter(Boolean).join('/');
+      const scope = label ? `**${escapeChatMarkdown(label)}:** ` : '';
+      const pull = entry.pullRequest ? `[#${entry.pullRequest.number}](${entry.pullRequest.url}), ` : '';
+      const task = entry.taskId ? `[${entry.taskId}](${entry.link}), ` : '';
+      const authors = (entry.contributors
+        ? entry.contributors.map(person => (person.login ? `@${person.login}` : escapeChatMarkdown(person.name)))
+        : (entry.authors || [entry.author]).map(author => `@${author}`)).join(', ');
+      const details = (entry.details || []).map(line => `\n  - ${formatInlineMarkdown(line, markdown)}`).join('');
+      categories.get(category).push(
+        `- ${marker}${scope}${formatInlineMarkdown(entry.title, markdown)} (${pull}${task}${authors})${details}`
+      );
+    }
+  }
+
+  let text = `## [${version}] - ${date}\n`;
+  for (const category of CATEGORIES) {
+    if (categories.has(category)) {
+      text += `\n### ${category}\n\n${categories.get(category).join('\n')}\n`;
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Merge the sections of monorepo packages into one list for a single version
+ * Entries keep the order of packages and are marked with their package name,
+ * which renderRelease shows before the scope.
+ * @param {Array<Object>} packages - Releases of packages ({ projectName, sections })
+ * @returns {Array<Object>} - Sections
+ */
+function mergePackageSections(packages) {
+  const merged = new Map();
+  for (const { projectName, sections } of packages) {
+    for (const section of sections) {
+      if (!merged.has(section.prefix)) {
+        merged.set(section.prefix, { ...section, entries: [] });
+      }
+      merged.get(section.prefix).entries.push(...section.entries.map(entry => ({ ...entry, package: projectName })));
+    }
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Check whether the changelog already has a version
+ * @param {string} content - CHANGELOG.md content
+ * @param {string} version - Release version
+ * @returns {boolean}
+ */
+function hasVersion(content, version) {
+  const escaped = version.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^## \\[?v?${escaped}\\]?(\\s|$)`, 'm').test(content);
+}
+
+/**
+ * Insert a release section into the changelog
+ * The release goes above the latest version, below the header and the Unreleased section.
+ * @param {string} content - CHANGELOG.md content, empty for a new file
+ * @param {string} release - Section from renderRelease
+ * @returns {string} - Updated content
+ */
+function insertRelease(content, release) {
+  if (!content.trim()) {
+    return `${FILE_HEADER}\n${release}`;
+  }
+
+  const headings = [...content.matchAll(/^## .*$/gm)];
+  const latest = headings.find(match => !/^## \[?unreleased\]?/i.test(match[0]));
+  if (!latest) {
+    return `${content.trimEnd()}\n\n${release}`;
+  }
+
+  return `${content.slice(0, latest.index)}${release}\n${content.slice(latest.index)}`;
+}
+
+/**
+ * Prepend the release to CHANGELOG.md content unless the version is already there
+ * @param {string} content - Current content
+ * @param {Array<Object>} sections - Sections from collectChangelog
+ * @param {Object} options - Release options
+ * @param {string} options.version - Release version
+ * @param {string} options.date - Release date (YYYY-MM-DD)
+ * @returns {{content: string, skipped: boolean}} - Updated content
+ */
+function updateChangelog(content, sections, { version, date }) {
+  if (hasVersion(content, version)) {
+    return { content, skipped: true };
+  }
+  return { content: insertRelease(content, renderRelease(sections, { version, date })), skipped: false };
+}
+
+/**
+ * Write the release to a changelog file in the workspace
+ * @param {Object} options - Write options
+ * @param {string} [options.path='CHANGELOG.md'] - File path
+ * @param {Array<Object>} options.sections - Sections from collectChangelog
+ * @param {string} options.version - Release version
+ * @param {string} options.date - Release date (YYYY-MM-DD)
+ * @returns {{skipped: boolean}} - Whether the version was already present
+ */
+function writeChangelogFile({ path = DEFAULT_PATH, sections, version, date }) {
+  const current = fs.existsSync(path) ? fs.readFileSync(path, 'utf8') : '';
+  const { content, skipped } = updateChangelog(current, sections, { version, date });
+
+  if (!skipped) {
+    fs.writeFileSync(path, content);
+  }
+  return { skipped };
+}
+
+/**
+ * Commit the release to a changelog file through the GitHub API
+ * @param {Object} options - Commit options
+ * @param {string} options.token - GitHub token with contents: write permission
+ * @param {string} [options.path='CHANGELOG.md'] - File path in the repository
+ * @param {string} [options.branch] - Branch to commit to, defaults to the repository default branch
+ * @param {Array<Object>} options.sections - Sections from collectChangelog
+ * @param {string} options.version - Release version
+ * @param {string} options.date - Release date (YYYY-MM-DD)
+ * @returns {Promise<{skipped: boolean, sha?: string}>} - Commit SHA unless the version was already present
+ */
+async function commitChangelogFile({
+  token,
+  path = DEFAULT_PATH,
+  branch = github.context.payload.repository?.default_branch,
+  sections,
+  version,
+  date
+}) {
+  if (!token) {
+    throw new Error('GitHub token is required');
+  }
+  if (!branch) {
+    throw new Error('Branch to commit the changelog to is required');
+  }
+
+  const octokit = github.getOctokit(token);
+  const { owner, repo } = github.context.repo;
+
+  let current = '';
+  let fileSha;
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path, ref: branch });
+    current = Buffer.from(data.content, 'base64').toString('utf8');
+    fileSha = data.sha;
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+  }
+
+  const { content, skipped } = updateChangelog(current, sections, { version, date });
+  if (skipped) {
+    return { skipped };
+  }
+
+  const { data } = await octokit.rest.repos.createOrUpdateFileContents({
+    owner,
+    repo,
+    path,
+    branch,
+    message: `chore: update ${path} for ${version} [skip ci]`,
+    content: Buffer.from(content, 'utf8').toString('base64'),
+    ...(fileSha ? { sha: fileSha } : {})
+  });
+
+  return { skipped, sha: data.commit.sha };
+}
+
+module.exports = {
+  renderRelease,
+  mergePackageSections,
+  hasVersion,
+  insertRelease,
+  updateChangelog,
+  writeChangelogFile,
+  commitChangelogFile,
+  DEFAULT_PATH
+};
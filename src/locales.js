@@ -0,0 +1,105 @@
+/**
+ * Locales module
+ * User-facing strings of the changelog: section titles, emojis and labels.
+ * Bundled locales are ru (default) and en; a custom locale is a JSON file
+ * merged over the bundled locale named in its "extends" field (ru by default).
+ */
+
+const fs = require('fs');
+
+const LOCALES = {
+  ru: require('../locales/ru.json'),
+  en: require('../locales/en.json')
+};
+
+const DEFAULT_LOCALE = 'ru';
+
+const LABELS = ['taskLink', 'problemTitle', 'commitCount', 'readMore'];
+const MAPS = ['prefixes', 'emojis'];
+
+/**
+ * Get a bundled locale
+ * @param {string} [name='ru'] - Locale name
+ * @returns {Object} - Locale ({ prefixes, emojis, taskLink, problemTitle, commitCount, readMore })
+ */
+function getLocale(name = DEFAULT_LOCALE) {
+  const locale = LOCALES[name];
+  if (!locale) {
+    throw new Error(`Unknown locale "${name}", expected one of ${Object.keys(LOCALES).join(', ')} or a path to a locale file`);
+  }
+  return locale;
+}
+
+/**
+ * Check a custom locale and merge it over its base locale
+ * @param {Object} custom - Parsed locale file
+ * @param {string} source - Locale file path for error messages
+ * @returns {Object} - Locale
+ */
+function mergeLocale(custom, source) {
+  const fail = message => {
+    throw new Error(`Invalid locale ${source}: ${message}`);
+  };
+
+  if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+    fail('expected a JSON object');
+  }
+
+  const { extends: base = DEFAULT_LOCALE, ...fields } = custom;
+  if (!LOCALES[base]) {
+    fail(`extends unknown locale "${base}", expected one of ${Object.keys(LOCALES).join(', ')}`);
+  }
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (MAPS.includes(key)) {
+      const valid = value && typeof value === 'object' && !Array.isArray(value) &&
+        Object.values(value).every(item => typeof item === 'string');
+      if (!valid) {
+        fail(`${key} must be a map of strings`);
+      }
+    } else if (LABELS.includes(key)) {
+      if (typeof value !== 'string' || !value.trim()) {
+        fail(`${key} must be a non-empty string`);
+      }
+    } else {
+      fail(`unknown field ${key}, expected extends, ${[...MAPS, ...LABELS].join(', ')}`);
+    }
+  }
+
+  const locale = LOCALES[base];
+  return {
+    ...locale,
+    ...fields,
+    prefixes: { ...locale.prefixes, ...fields.prefixes },
+    emojis: { ...locale.emojis, ...fields.emojis }
+  };
+}
+
+/**
+ * Load a locale by name or from a file
+ * @param {string} [value] - Bundled locale name (ru, en) or a path to a locale JSON file, ru when empty
+ * @returns {Object} - Locale
+ */
+function loadLocale(value) {
+  const name = (value || '').trim() || DEFAULT_LOCALE;
+  if (LOCALES[name]) {
+    return LOCALES[name];
+  }
+  if (!fs.existsSync(name)) {
+    return getLocale(name);
+  }
+
+  let custom;
+  try {
+    custom = JSON.parse(fs.readFileSync(name, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid locale ${name}: ${error.message}`);
+  }
+  return mergeLocale(custom, name);
+}
+
+module.exports = {
+  getLocale,
+  loadLocale,
+  DEFAULT_LOCALE
+};
@@ -0,0 +1,55 @@
+/**
+ * Mattermost messaging module
+ * Posts changelog to Mattermost incoming webhooks as Markdown
+ */
+
+const { getFormatter } = require('./formatters');
+const { postWebhook } = require('./webhook');
+const { DEFAULT_TEMPLATE, renderTemplateMessages } = require('./template');
+
+const MAX_MESSAGE_LENGTH = 16383;
+
+const formatter = getFormatter('markdown');
+
+/**
+ * Build webhook payloads for changelog
+ * @param {Array<Object>} sections - Sections from collectChangelog
+ * @param {string} projectName - Project name (plain text)
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.template] - Template text, the default template when not set
+ * @param {Object} [options.release] - Release fields for the template (environment, ref, repository) and its locale
+ * @returns {Array<{text: string}>} - Webhook payloads
+ */
+function buildMattermostMessages(sections, projectName, { template, release = {} } = {}) {
+  const texts = renderTemplateMessages(
+    { ...release, projectName, sections },
+    { template: template || DEFAULT_TEMPLATE, parseMode: formatter.parseMode, limit: MAX_MESSAGE_LENGTH }
+  );
+  return texts.map(text => ({ text }));
+}
+
+/**
+ * Send changelog to Mattermost
+ * @param {Object} options - Send options
+ * @param {string} options.webhookUrl - Incoming webhook URL
+ * @param {Array<Object>} options.sections - Sections from collectChangelog
+ * @param {string} options.projectName - Project name (plain text)
+ * @param {string} [options.template] - Template text, the default template when not set
+ * @param {Object} [options.release] - Release fields for the template
+ * @returns {Promise<number>} - Number of sent messages
+ */
+async function sendMattermostChangelog({ webhookUrl, sections, projectName, template, release }) {
+  const messages = buildMattermostMessages(sections, projectName, { template, release });
+
+  for (const message of messages) {
+    await postWebhook(webhookUrl, message, 'Mattermost webhook');
+  }
+
+  return messages.length;
+}
+
+module.exports = {
+  buildMattermostMessages,
+  sendMattermostChangelog,
+  MAX_MESSAGE_LENGTH
+};
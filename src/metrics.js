@@ -8,6 +8,7 @@ const github = require('@actions/github');
 const { isRevertCommit, isHotfixDeployment, extractIncidentType } = require('./detectors');
 const { hasTaskId, TASK_ID_PATTERN, extractPrefix } = require('./parsing');
 const { pushWithRetry, RETRY_ATTEMPTS } = require('./clickhouse');
+const { excludeCommits } = require('./exclusions');
 
 const MAX_LEAD_TIME_DAYS = 30;
 const MAX_CYCLE_TIME_DAYS = 180;
@@ -27,6 +28,7 @@ const MAX_CYCLE_TIME_DAYS = 180;
  * @param {string} config.environment - Deployment environment (default: production)
  * @param {string} config.githubToken - GitHub token for API access
  * @param {Object} config.yogileInstance - YouGile API instance (optional, for Cycle Time)
+ * @param {Object} config.exclusions - Rules from parseExclusionRules (optional, excluded commits do not count in Lead Time)
  */
 async function recordAndPushMetrics(config) {
   const {
@@ -36,7 +38,8 @@ async function recordAndPushMetrics(config) {
     repository,
     environment = 'production',
     githubToken,
-    yogileInstance
+    yogileInstance,
+    exclusions
   } = config;
 
   if (!commits || commits.length === 0) {
@@ -71,7 +74,7 @@ async function recordAndPushMetrics(config) {
 
   // 2. Calculate and record Lead Time
   try {
-    const avgLeadTime = await calculateLeadTimes(commits, githubToken);
+    const avgLeadTime = await calculateLeadTimes(commits, githubToken, exclusions);
     if (avgLeadTime !== null) {
       metrics.push(createMetricRow('lead_time', tags, { seconds: avgLeadTime }, timestamp));
     }
@@ -184,9 +187,10 @@ async function getFirstCommitTime(pr, octokit, owner, repo) {
  * Calculate lead times for commits using GitHub API
  * @param {Array} commits - Array of commit objects
  * @param {string} githubToken - GitHub token
+ * @param {Object} [exclusions] - Rules from parseExclusionRules, excluded commits are skipped
  * @returns {Promise<number|null>} - Mean lead time in seconds or null
  */
-async function calculateLeadTimes(commits, githubToken) {
+async function calculateLeadTimes(commits, githubToken, exclusions = null) {
   if (!githubToken) {
     core.warning('GitHub token not provided, skipping lead time calculation');
     return null;
@@ -197,7 +201,7 @@ async function calculateLeadTimes(commits, githubToken) {
   const deploymentTime = new Date();
   const validLeadTimes = [];
 
-  for (const commit of commits) {
+  for (const commit of excludeCommits(commits, exclusions)) {
     try {
       const commitSha = (commit.sha || commit.id)?.substring(0, 7);
       const fullCommitSha = commit.sha || commit.id;
@@ -0,0 +1,610 @@
+/**
+ * Notifier registry module
+ * A notifier delivers a release to one channel. Notifiers are created from the
+ * `notifiers` input by factories registered for their type, each with its own
+ * options and its own renderer.
+ *
+ * A factory receives the notifier options and returns an object with
+ * `send(release)`, resolving to `{ ok, summary, messageIds? }` or throwing on failure.
+ * The release is `{ projectName, repository, environment, ref, sections, locale, prefixCatalogue, targets, package }`,
+ * where targets are Telegram targets of a monorepo package replacing the targets of the notifier
+ * and package is the name of the package (null outside of packages).
+ * Notifiers with `combinesPackages` publish to one place per tag (a GitHub Release, a changelog file),
+ * so in a monorepo they are sent once with `packages`, the releases of every package, instead of once per package.
+ * Notifiers that render text accept a `template` option (file path or inline template);
+ * every notifier accepts a `locale` option to get the release in another language.
+ */
+
+const core = require('@actions/core');
+const YAML = require('yaml');
+const { TELEGRAM_PARSE_MODES } = require('./formatters');
+const { MAX_MESSAGE_LENGTH } = require('./telegram');
+const {
+  parseTargets,
+  filterTargets,
+  describeTarget,
+  parseMessageIds,
+  formatMessageIds,
+  deliverToTargets
+} = require('./targets');
+const { sendSlackChangelog } = require('./slack');
+const { sendMattermostChangelog } = require('./mattermost');
+const { sendDiscordChangelog } = require('./discord');
+const { sendWebhookRelease } = require('./webhook');
+const { sendGitHubRelease } = require('./releases');
+const { writeChangelogFile, commitChangelogFile, mergePackageSections } = require('./keepachangelog');
+const { getTagName, getVersion } = require('./parsing');
+const { DEFAULT_TEMPLATE, parseTemplate, loadTemplate, renderTemplateMessages } = require('./template');
+const { loadLocale } = require('./locales');
+const { localizeSections } = require('./prefixes');
+
+const registry = new Map();
+
+/**
+ * Register a notifier factory
+ * @param {string} type - Notifier type used in the notifiers input
+ * @param {Function} factory - (options, name) => ({ send(release) })
+ */
+function registerNotifier(type, factory) {
+  registry.set(type, factory);
+}
+
+/**
+ * Get registered notifier types
+ * @returns {string[]} - Notifier types
+ */
+function getNotifierTypes() {
+  return [...registry.keys()];
+}
+
+/**
+ * Parse the notifiers input
+ * @param {string} input - YAML or JSON list of notifiers ({ type, name?, environments?, ...options })
+ * @returns {Array<{type: string, name: string, environments: string[], options: Object}>} - Notifier configs
+ */
+function parseNotifiersConfig(input) {
+  if (!input || !input.trim()) {
+    return [];
+  }
+
+  let list;
+  try {
+    list = YAML.parse(input);
+  } catch (error) {
+    throw new Error(`Invalid notifiers input: ${error.message}`);
+  }
+  if (!Array.isArray(list)) {
+    list = [list];
+  }
+
+  const names = new Set();
+
+  return list.map((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new Error(`Invalid notifiers input: notifier #${index + 1} must be an object`);
+    }
+
+    const { type, name, environments = [], ...options } = item;
+    if (!registry.has(type)) {
+      throw new Error(
+        `Invalid notifiers input: notifier #${index + 1} has unknown type "${type}", expected one of ${getNotifierTypes().join(', ')}`
+      );
+    }
+
+    let uniqueName = name || type;
+    for (let n = 2; names.has(uniqueName); n++) {
+      uniqueName = `${name || type}#${n}`;
+    }
+    names.add(uniqueName);
+
+    return {
+      type,
+      name: uniqueName,
+      environments: (Array.isArray(environments) ? environments : [environments]).map(String),
+      options
+    };
+  });
+}
+
+/**
+ * Build notifier configs from the single-channel action inputs
+ * Used when the notifiers input is not set; falls back to console output.
+ * @returns {Array<Object>} - Notifier configs
+ */
+function readLegacyNotifierConfigs() {
+  const configs = [];
+  const parseMode = core.getInput('parse_mode') || 'MarkdownV2';
+  const template = core.getInput('template');
+
+  const token = core.getInput('token');
+  const targets = core.getInput('targets');
+  const chatId = core.getInput('chat_id');
+  if (token && (targets || chatId)) {
+    configs.push({
+      type: 'telegram',
+      name: 'telegram',
+      environments: [],
+      options: {
+        token,
+        targets,
+        chat_id: chatId,
+        parse_mode: parseMode,
+        pin_message: core.getInput('pin_message'),
+        message_mode: core.getInput('message_mode'),
+        previous_message_ids: core.getInput('previous_message_ids'),
+        template
+      }
+    });
+  }
+
+  for (const type of ['slack', 'mattermost', 'discord']) {
+    const webhookUrl = core.getInput(`${type}_webhook_url`);
+    if (webhookUrl) {
+      configs.push({ type, name: type, environments: [], options: { webhook_url: webhookUrl, template } });
+    }
+  }
+
+  const webhookUrl = core.getInput('webhook_url');
+  if (webhookUrl) {
+    configs.push({ type: 'webhook', name: 'webhook', environments: [], options: { webhook_url: webhookUrl } });
+  }
+
+  if (core.getInput('github_release') === 'true') {
+    configs.push({
+      type: 'github_release',
+      name: 'github_release',
+      environments: [],
+      options: { token: core.getInput('github_token'), template }
+    });
+  }
+
+  const changelogFile = core.getInput('changelog_file');
+  if (changelogFile) {
+    configs.push({
+      type: 'changelog_file',
+      name: 'changelog_file',
+      environments: [],
+      options: {
+        path: changelogFile,
+        commit: core.getInput('changelog_commit'),
+        branch: core.getInput('changelog_branch'),
+        token: core.getInput('github_token')
+      }
+    });
+  }
+
+  if (configs.length === 0) {
+    configs.push({ type: 'console', name: 'console', environments: [], options: { parse_mode: parseMode, template } });
+  }
+
+  return configs;
+}
+
+/**
+ * Translate the release into another locale
+ * Section titles and emojis come from the locale with the prefix catalogue of the release
+ * merged over it; problem descriptions stay as written in the task cards.
+ * @param {Object} release - Release to deliver
+ * @param {Object} locale - Locale from loadLocale
+ * @returns {Object} - Release in the locale
+ */
+function localizeRelease(release, locale) {
+  return {
+    ...release,
+    locale,
+    sections: localizeSections(release.sections, release.prefixCatalogue, locale),
+    ...(release.packages ? { packages: release.packages.map(item => localizeRelease(item, locale)) } : {})
+  };
+}
+
+/**
+ * Create notifiers from configs
+ * A notifier with the locale option gets the release translated into that locale.
+ * @param {Array<Object>} configs - Notifier configs
+ * @returns {Array<{type: string, name: string, environments: string[], send: Function}>} - Notifiers
+ */
+function createNotifiers(configs) {
+  return configs.map(config => {
+    const factory = registry.get(config.type);
+    if (!factory) {
+      throw new Error(`Unknown notifier type "${config.type}"`);
+    }
+
+    let locale = null;
+    if (config.options.locale) {
+      try {
+        locale = loadLocale(String(config.options.locale));
+      } catch (error) {
+        throw new Error(`Notifier "${config.name}": ${error.message}`);
+      }
+    }
+
+    const notifier = factory(config.options, config.name);
+    return {
+      type: config.type,
+      name: config.name,
+      environments: config.environments,
+      ...notifier,
+      send: release => notifier.send(locale ? localizeRelease(release, locale) : release)
+    };
+  });
+}
+
+/**
+ * Send the release through every notifier
+ * A failing notifier does not stop the others. Notifiers limited to other
+ * environments are skipped.
+ * @param {Array<Object>} notifiers - Notifiers from createNotifiers
+ * @param {Object} release - Release to deliver
+ * @returns {Promise<Array<{name: string, type: string, status: string, summary: string, messageIds: Array}>>} - Delivery report
+ */
+async function runNotifiers(notifiers, release) {
+  const report = [];
+
+  for (const notifier of notifiers) {
+    const { name, type } = notifier;
+
+    if (notifier.environments.length > 0 && !notifier.environments.includes(release.environment)) {
+      report.push({ name, type, status: 'skipped', summary: `not used for ${release.environment}`, messageIds: [] });
+      continue;
+    }
+
+    try {
+      const result = await notifier.send(release);
+      report.push({
+        name,
+        type,
+        status: result.ok === false ? 'failed' : 'delivered',
+        summary: result.summary,
+        messageIds: result.messageIds || []
+      });
+    } catch (error) {
+      report.push({ name, type, status: 'failed', summary: error.message, messageIds: [] });
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Check whether a package is delivered through a notifier
+ * @param {Object|null} pkg - Package from parsePackagesConfig, null for commits of no package
+ * @param {Object} notifier - Notifier from createNotifiers
+ * @returns {boolean} - True unless the package names other notifiers
+ */
+function packageUsesNotifier(pkg, notifier) {
+  return !pkg || pkg.notifiers.length === 0 || pkg.notifiers.includes(notifier.name);
+}
+
+/**
+ * Send the releases of a run, one per monorepo package, through their notifiers
+ * Each release goes through the notifiers of its package. When packages are set, notifiers
+ * that publish one document per tag (combinesPackages) run once after the others with
+ * every release they are used for in packages.
+ * @param {Array<Object>} notifiers - Notifiers from createNotifiers
+ * @param {Array<{pkg: Object|null, release: Object}>} releases - Releases with their package, null for commits of no package
+ * @param {Object} options - Delivery options
+ * @param {string} options.projectName - Project name of the combined release
+ * @returns {Promise<Array<Object>>} - Delivery report; entries of packages also have package
+ */
+async function runPackageNotifiers(notifiers, releases, { projectName }) {
+  const combined = releases.some(({ pkg }) => pkg) ? notifiers.filter(notifier => notifier.combinesPackages) : [];
+  const report = [];
+
+  for (const { pkg, release } of releases) {
+    const packageNotifiers = notifiers.filter(notifier =>
+      !combined.includes(notifier) && packageUsesNotifier(pkg, notifier)
+    );
+    const packageReport = await runNotifiers(packageNotifiers, release);
+    report.push(...packageReport.map(entry => (pkg ? { package: pkg.name, ...entry } : entry)));
+  }
+
+  for (const notifier of combined) {
+    const included = releases
+      .filter(({ pkg }) => packageUsesNotifier(pkg, notifier))
+      .map(({ release }) => release);
+    if (included.length === 0) {
+      continue;
+    }
+    report.push(...await runNotifiers([notifier], {
+      ...included[0],
+      projectName,
+      sections: included.flatMap(release => release.sections),
+      targets: [],
+      package: null,
+      packages: included
+    }));
+  }
+
+  return report;
+}
+
+/**
+ * Log the delivery report
+ * @param {Array<Object>} report - Delivery report from runNotifiers; entries of monorepo packages also have package
+ */
+function logDeliveryReport(report) {
+  core.info('Delivery report:');
+  for (const { package: pkg, name, status, summary } of report) {
+    const line = `  ${pkg ? `${pkg}/` : ''}${name}: ${status}${summary ? ` (${summary})` : ''}`;
+    if (status === 'failed') {
+      core.error(line);
+    } else {
+      core.info(line);
+    }
+  }
+}
+
+/**
+ * Require a notifier option
+ * @param {Object} options - Notifier options
+ * @param {string} key - Option name
+ * @param {string} name - Notifier name
+ * @returns {*} - Option value
+ */
+function requireOption(options, key, name) {
+  if (options[key] === undefined || options[key] === null || options[key] === '') {
+    throw new Error(`Notifier "${name}": ${key} is required`);
+  }
+  return options[key];
+}
+
+/**
+ * Validate Telegram parse mode option
+ * @param {string} [parseMode] - Parse mode option
+ * @param {string} name - Notifier name
+ * @returns {string} - Parse mode
+ */
+function telegramParseMode(parseMode, name) {
+  const mode = parseMode || 'MarkdownV2';
+  if (!TELEGRAM_PARSE_MODES.includes(mode)) {
+    throw new Error(`Notifier "${name}": unsupported parse mode ${mode}, expected one of ${TELEGRAM_PARSE_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Load and check the template option
+ * @param {string} [value] - Template file path or inline template
+ * @param {string} name - Notifier name
+ * @returns {string|null} - Template text or null for the default template
+ */
+function notifierTemplate(value, name) {
+  try {
+    const template = loadTemplate(value ? String(value) : '');
+    if (template) {
+      parseTemplate(template);
+    }
+    return template;
+  } catch (error) {
+    throw new Error(`Notifier "${name}": ${error.message}`);
+  }
+}
+
+/**
+ * Telegram notifier
+ * Options: token, targets or chat_id, parse_mode, pin_message, message_mode, previous_message_ids, template
+ */
+function createTelegramNotifier(options, name) {
+  const token = requireOption(options, 'token', name);
+  const targets = parseTargets(options.targets || '', options.chat_id ? String(options.chat_id) : '');
+  if (targets.length === 0) {
+    throw new Error(`Notifier "${name}": targets or chat_id is required`);
+  }
+
+  const parseMode = telegramParseMode(options.parse_mode, name);
+  const messageMode = options.message_mode || 'send';
+  if (!['send', 'update'].includes(messageMode)) {
+    throw new Error(`Notifier "${name}": unsupported message mode ${messageMode}, expected send or update`);
+  }
+  const previousMessageIds = messageMode === 'update'
+    ? parseMessageIds(options.previous_message_ids)
+    : new Map();
+  const pin = String(options.pin_message) === 'true';
+  const template = notifierTemplate(options.template, name);
+
+  return {
+    async send(release) {
+      const releaseTargets = release.targets && release.targets.length > 0 ? release.targets : targets;
+      const environmentTargets = filterTargets(releaseTargets, release.environment);
+      if (environmentTargets.length === 0) {
+        return { ok: true, summary: `no Telegram targets for ${release.environment}` };
+      }
+
+      const messages = renderTemplateMessages(release, {
+        template: template || DEFAULT_TEMPLATE,
+        parseMode,
+        limit: MAX_MESSAGE_LENGTH
+      });
+      if (messages.length > 1) {
+        core.info(`Changelog is split into ${messages.length} messages`);
+      }
+
+      const results = await deliverToTargets({
+        token,
+        targets: environmentTargets,
+        texts: messages,
+        parseMode,
+        previousMessageIds,
+        packageName: release.package || null,
+        pin
+      });
+
+      for (const result of results) {
+        if (result.ok) {
+          const action = result.updated ? 'updated in' : 'sent to';
+          core.info(`Changelog ${action} Telegram chat ${describeTarget(result.target)}: messages ${result.messageIds.join(', ')}`);
+          if (result.pinError) {
+            core.warning(`Failed to pin changelog in Telegram chat ${describeTarget(result.target)}: ${result.pinError.message}`);
+          }
+        } else {
+          const { error } = result;
+          const reason = error.permanent
+            ? `permanent error, ${error.hint}: ${error.message}`
+            : error.message;
+          core.error(`Failed to send changelog to Telegram chat ${describeTarget(result.target)}: ${reason}`);
+        }
+      }
+
+      const failed = results.filter(result => !result.ok).length;
+      return {
+        ok: failed === 0,
+        summary: `${results.length - failed} of ${results.length} chat(s)`,
+        messageIds: formatMessageIds(results, release.package || null)
+      };
+    }
+  };
+}
+
+/**
+ * Notifier for services that take the rendered changelog through a webhook
+ * Options: webhook_url, template (ignored by Slack, which posts Block Kit)
+ * @param {Function} sendChangelog - ({ webhookUrl, sections, projectName, template, release }) => Promise<number>
+ */
+function webhookChangelogNotifier(sendChangelog) {
+  return (options, name) => {
+    const webhookUrl = requireOption(options, 'webhook_url', name);
+    const template = notifierTemplate(options.template, name);
+
+    return {
+      async send(release) {
+        const count = await sendChangelog({
+          webhookUrl,
+          sections: release.sections,
+          projectName: release.projectName,
+          template,
+          release
+        });
+        return { ok: true, summary: `${count} message(s)` };
+      }
+    };
+  };
+}
+
+/**
+ * Generic webhook notifier posting the structured release payload
+ * Options: webhook_url
+ */
+function createWebhookNotifier(options, name) {
+  const webhookUrl = requireOption(options, 'webhook_url', name);
+
+  return {
+    async send(release) {
+      await sendWebhookRelease({ webhookUrl, release });
+      return { ok: true, summary: 'release payload posted' };
+    }
+  };
+}
+
+/**
+ * GitHub Release notifier
+ * Creates the release of the current tag or updates its body on re-runs.
+ * Packages of a monorepo are published in one body with a heading per package.
+ * Options: token (defaults to GITHUB_TOKEN), tag (defaults to the pushed tag), name, template
+ */
+function createGitHubReleaseNotifier(options, name) {
+  const token = options.token || process.env.GITHUB_TOKEN;
+  if (!token) {
+    throw new Error(`Notifier "${name}": token is required`);
+  }
+  const template = notifierTemplate(options.template, name);
+
+  return {
+    combinesPackages: true,
+    async send(release) {
+      const tag = options.tag ? String(options.tag) : getTagName(release.ref);
+      if (!tag) {
+        return { ok: true, summary: `${release.ref} is not a tag, release not published` };
+      }
+
+      const published = await sendGitHubRelease({
+        token,
+        tag,
+        sections: release.sections,
+        name: options.name ? String(options.name) : undefined,
+        template,
+        release,
+        packages: release.packages
+      });
+      return { ok: true, summary: `${published.updated ? 'updated' : 'created'} ${published.url}` };
+    }
+  };
+}
+
+/**
+ * CHANGELOG.md notifier
+ * Prepends the release in Keep a Changelog format, skipping versions already present.
+ * Packages of a monorepo go into one version, their entries marked with the package name.
+ * Options: path (defaults to CHANGELOG.md), version (defaults to the pushed tag),
+ * commit (commit through the GitHub API instead of writing to the workspace),
+ * branch and token (defaults to GITHUB_TOKEN) for commits
+ */
+function createChangelogFileNotifier(options, name) {
+  const commit = String(options.commit) === 'true';
+  const token = options.token || process.env.GITHUB_TOKEN;
+  if (commit && !token) {
+    throw new Error(`Notifier "${name}": token is required to commit the changelog`);
+  }
+
+  return {
+    combinesPackages: true,
+    async send(release) {
+      const version = options.version ? String(options.version) : getVersion(release.ref);
+      if (!version) {
+        return { ok: true, summary: `${release.ref} is not a tag, changelog not updated` };
+      }
+
+      const file = {
+        path: options.path || undefined,
+        sections: release.packages ? mergePackageSections(release.packages) : release.sections,
+        version,
+        date: new Date().toISOString().slice(0, 10)
+      };
+      const result = commit
+        ? await commitChangelogFile({ ...file, token, branch: options.branch || undefined })
+        : writeChangelogFile(file);
+
+      if (result.skipped) {
+        return { ok: true, summary: `version ${version} is already in the changelog` };
+      }
+      return { ok: true, summary: commit ? `committed ${result.sha}` : `version ${version} written` };
+    }
+  };
+}
+
+/**
+ * Console notifier printing the changelog to the job log
+ * Options: parse_mode, template
+ */
+function createConsoleNotifier(options, name) {
+  const parseMode = telegramParseMode(options.parse_mode, name);
+  const template = notifierTemplate(options.template, name);
+
+  return {
+    async send(release) {
+      console.log('Generated changelog:');
+      console.log(renderTemplateMessages(release, { template: template || DEFAULT_TEMPLATE, parseMode }).join('\n'));
+      return { ok: true, summary: 'printed to log' };
+    }
+  };
+}
+
+registerNotifier('telegram', createTelegramNotifier);
+registerNotifier('slack', webhookChangelogNotifier(sendSlackChangelog));
+registerNotifier('mattermost', webhookChangelogNotifier(sendMattermostChangelog));
+registerNotifier('discord', webhookChangelogNotifier(sendDiscordChangelog));
+registerNotifier('webhook', createWebhookNotifier);
+registerNotifier('github_release', createGitHubReleaseNotifier);
+registerNotifier('changelog_file', createChangelogFileNotifier);
+registerNotifier('console', createConsoleNotifier);
+
+module.exports = {
+  registerNotifier,
+  getNotifierTypes,
+  parseNotifiersConfig,
+  readLegacyNotifierConfigs,
+  createNotifiers,
+  runNotifiers,
+  runPackageNotifiers,
+  logDeliveryReport
+};
@@ -0,0 +1,42 @@
+/**
+ * Changelog outputs module
+ * Builds the changelog_json, changelog_markdown and changelog_text action outputs,
+ * so later workflow steps can post or store the notes themselves.
+ */
+
+const { renderChangelog } = require('./changelog');
+const { escapeChatMarkdown } = require('./parsing');
+const { buildReleasePayload } = require('./webhook');
+
+/**
+ * Build changelog outputs of a run
+ * A run without packages gives one release; in a monorepo every package with changes
+ * gets its own release: JSON becomes a list and texts get a heading per package.
+ * @param {Array<Object>} releases - Releases ({ projectName, repository, environment, ref, sections, locale })
+ * @param {Object} [options] - Output options
+ * @param {boolean} [options.packages=false] - Whether releases are packages of a monorepo
+ * @returns {{json: string, markdown: string, text: string}} - Output values
+ */
+function buildChangelogOutputs(releases, { packages = false } = {}) {
+  const render = (release, parseMode) =>
+    renderChangelog(release.sections, { parseMode, locale: release.locale }).trim();
+
+  if (!packages) {
+    const [release] = releases;
+    return {
+      json: JSON.stringify(buildReleasePayload(release)),
+      markdown: render(release, 'markdown'),
+      text: render(release, 'text')
+    };
+  }
+
+  return {
+    json: JSON.stringify(releases.map(release => buildReleasePayload(release))),
+    markdown: releases.map(release => `## ${escapeChatMarkdown(release.projectName)}\n\n${render(release, 'markdown')}`).join('\n\n'),
+    text: releases.map(release => `${release.projectName}\n\n${render(release, 'text')}`).join('\n\n')
+  };
+}
+
+module.exports = {
+  buildChangelogOutputs
+};
@@ -0,0 +1,195 @@
+/**
+ * Monorepo packages module
+ * Packages map commit scopes and changed file paths to package names, so a
+ * monorepo gets a changelog per package with its own header, chats and DORA project.
+ */
+
+const { readConfigInput } = require('./config');
+const { parseCommitMessage } = require('./parsing');
+const { parseTargets } = require('./targets');
+
+const PACKAGE_FIELDS = ['name', 'scopes', 'paths', 'targets', 'notifiers', 'project'];
+
+/**
+ * Normalize a string or a list of strings
+ * @param {*} value - Config value
+ * @returns {string[]|null} - List or null when the value is neither
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : [value];
+  return list.every(item => typeof item === 'string' || typeof item === 'number') ? list.map(String) : null;
+}
+
+/**
+ * Parse the packages input
+ * @param {string} [input] - YAML or JSON list of packages ({ name, scopes, paths, targets?, notifiers?, project? }),
+ *   or a path to such a file
+ * @returns {Array<{name: string, scopes: string[], paths: string[], targets: Array<Object>, notifiers: string[], project: string}>} - Packages;
+ *   targets are normalized Telegram targets, empty to use the targets of the notifiers
+ */
+function parsePackagesConfig(input) {
+  if (!input || !input.trim()) {
+    return [];
+  }
+
+  const list = readConfigInput(input, 'packages');
+  if (!Array.isArray(list)) {
+    throw new Error('Invalid packages input: expected a list of packages');
+  }
+
+  const names = new Set();
+
+  return list.map((item, index) => {
+    const fail = message => {
+      throw new Error(`Invalid packages input: package #${index + 1} ${message}`);
+    };
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      fail('must be an object');
+    }
+
+    const unknown = Object.keys(item).filter(key => !PACKAGE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      fail(`has unknown field ${unknown.join(', ')}, expected ${PACKAGE_FIELDS.join(', ')}`);
+    }
+    if (typeof item.name !== 'string' || !item.name.trim()) {
+      fail('needs a name');
+    }
+    if (names.has(item.name)) {
+      fail(`has duplicate name "${item.name}"`);
+    }
+    names.add(item.name);
+
+    const scopes = toList(item.scopes);
+    const paths = toList(item.paths);
+    const notifiers = toList(item.notifiers);
+    if (!scopes || !paths || !notifiers) {
+      fail('scopes, paths and notifiers must be strings or lists of strings');
+    }
+    if (scopes.length === 0 && paths.length === 0) {
+      fail('needs scopes or paths');
+    }
+
+    let targets = [];
+    if (item.targets !== undefined && item.targets !== null) {
+      const value = typeof item.targets === 'object' ? [item.targets].flat() : String(item.targets);
+      try {
+        targets = parseTargets(value);
+      } catch (error) {
+        fail(`has invalid targets: ${error.message}`);
+      }
+    }
+
+    return {
+      name: item.name,
+      scopes,
+      paths,
+      targets,
+      notifiers,
+      project: item.project ? String(item.project) : ''
+    };
+  });
+}
+
+/**
+ * Convert a path pattern into a regular expression
+ * "**" matches any number of directories, "*" and "?" match within one path segment.
+ * A pattern without wildcards matches the path itself and everything below it.
+ * @param {string} pattern - Path pattern (e.g., "services/api/**", "docs/*.md")
+ * @returns {RegExp} - Pattern regex
+ */
+function pathPatternToRegex(pattern) {
+  const clean = pattern.trim().replace(/^\.?\//, '').replace(/\/$/, '');
+  if (!/[*?]/.test(clean)) {
+    return new RegExp(`^${clean.replace(/[.+^${}()|[\]\\]/g, '\\$&')}(/|$)`);
+  }
+
+  let source = '';
+  for (let i = 0; i < clean.length; i++) {
+    const char = clean[i];
+    if (char === '*' && clean[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      source += clean[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += clean[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a file path matches a pattern
+ * @param {string} pattern - Path pattern
+ * @param {string} file - File path relative to the repository root
+ * @returns {boolean}
+ */
+function matchPath(pattern, file) {
+  return pathPatternToRegex(pattern).test(file);
+}
+
+/**
+ * Get files changed by a commit
+ * @param {Object} commit - Commit object from the push payload (added, modified, removed)
+ * @returns {string[]} - File paths
+ */
+function getCommitFiles(commit) {
+  return [...(commit.added || []), ...(commit.modified || []), ...(commit.removed || [])];
+}
+
+/**
+ * Find packages of a commit by its scope and changed files
+ * @param {Object} commit - Commit object
+ * @param {Array<Object>} packages - Packages from parsePackagesConfig
+ * @returns {Array<Object>} - Matching packages
+ */
+function findCommitPackages(commit, packages) {
+  const { scope } = parseCommitMessage(commit.message);
+  const scopes = scope ? scope.split(/,\s*/) : [];
+  const files = getCommitFiles(commit);
+
+  return packages.filter(pkg =>
+    pkg.scopes.some(item => scopes.includes(item)) ||
+    pkg.paths.some(pattern => files.some(file => matchPath(pattern, file)))
+  );
+}
+
+/**
+ * Split commits by package
+ * A commit may belong to several packages. Commits of no package are returned
+ * in a group with a null package.
+ * @param {Array} commits - Array of commit objects
+ * @param {Array<Object>} packages - Packages from parsePackagesConfig
+ * @returns {Array<{package: Object|null, commits: Array}>} - Groups in package order, without empty ones
+ */
+function groupCommitsByPackage(commits, packages) {
+  const groups = packages.map(pkg => ({ package: pkg, commits: [] }));
+  const rest = { package: null, commits: [] };
+
+  for (const commit of commits) {
+    const matched = findCommitPackages(commit, packages);
+    for (const pkg of matched) {
+      groups.find(group => group.package === pkg).commits.push(commit);
+    }
+    if (matched.length === 0) {
+      rest.commits.push(commit);
+    }
+  }
+
+  return [...groups, rest].filter(group => group.commits.length > 0);
+}
+
+module.exports = {
+  parsePackagesConfig,
+  matchPath,
+  getCommitFiles,
+  findCommitPackages,
+  groupCommitsByPackage
+};
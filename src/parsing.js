@@ -2,9 +2,21 @@
  * Parsing utilities for commit messages and task information
  */
 
-const ESCAPE_REGEX = /([|{\[\]*_~}+)(#>!=\-.])/gm;
+const { parseRichText, extractSection, richTextToPlain } = require('./richtext');
+
+const ESCAPE_REGEX = /([\\`|{\[\]*_~}+)(#>!=\-.])/gm;
+const HTML_ESCAPE_REGEX = /[&<>"]/g;
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+const SLACK_ESCAPE_REGEX = /[&<>]/g;
+const CHAT_MARKDOWN_ESCAPE_REGEX = /[\\`*_~|[\]<>]/g;
 const TASK_ID_PATTERN = /([A-Z]+-\d+)/;
 const TASK_ID_SUFFIX_PATTERN = /\(([A-Z]+-\d+)\):/;
+const TAG_REF_PREFIX = 'refs/tags/';
+const TASK_ID_EXACT_PATTERN = /^[A-Z]+-\d+$/;
+const HEADER_PATTERN = /^([a-z]+)(?:\(([^)]*)\))?(!)?: ?(.*)$/;
+const FOOTER_PATTERN = /^(BREAKING[ -]CHANGE|[A-Za-z][\w-]*)(?:: | #)(.*)$/;
+const BREAKING_FOOTER_PATTERN = /^BREAKING[ -]CHANGE$/;
+const BULLET_PATTERN = /^\s*[-*•]\s+(.+)$/;
 
 /**
  * Escape special characters for Telegram MarkdownV2
@@ -16,6 +28,36 @@ function escapeMarkdown(text) {
   return text.replace(ESCAPE_REGEX, '\\$1');
 }
 
+/**
+ * Escape special characters for Telegram HTML parse mode
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  return text.replace(HTML_ESCAPE_REGEX, char => HTML_ENTITIES[char]);
+}
+
+/**
+ * Escape control characters for Slack mrkdwn
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeSlack(text) {
+  if (!text) return '';
+  return text.replace(SLACK_ESCAPE_REGEX, char => HTML_ENTITIES[char]);
+}
+
+/**
+ * Escape formatting characters for chat Markdown (Mattermost, Discord, GitHub)
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeChatMarkdown(text) {
+  if (!text) return '';
+  return text.replace(CHAT_MARKDOWN_ESCAPE_REGEX, '\\$&');
+}
+
 /**
  * Extract first line from commit message
  * @param {string} message - Full commit message
@@ -27,14 +69,106 @@ function getFirstLine(message) {
   return indexOfNewLine !== -1 ? message.slice(0, indexOfNewLine) : message;
 }
 
+/**
+ * Parse commit message footers (git trailers)
+ * Footers are the last paragraph of the message when it starts with a "Token: value"
+ * or "Token #value" line; lines that are not footers continue the previous value.
+ * @param {string[]} paragraphs - Message paragraphs after the header
+ * @returns {{body: string, footers: Array<{token: string, value: string}>}} - Body and footers
+ */
+function parseFooters(paragraphs) {
+  const last = paragraphs[paragraphs.length - 1];
+  if (!last || !FOOTER_PATTERN.test(last.split('\n')[0])) {
+    return { body: paragraphs.join('\n\n'), footers: [] };
+  }
+
+  const footers = [];
+  for (const line of last.split('\n')) {
+    const match = line.match(FOOTER_PATTERN);
+    if (match) {
+      footers.push({ token: match[1], value: match[2].trim() });
+    } else {
+      footers[footers.length - 1].value += `\n${line}`;
+    }
+  }
+
+  return { body: paragraphs.slice(0, -1).join('\n\n'), footers };
+}
+
+/**
+ * Parse a Conventional Commits message
+ * The scope may hold task IDs and a scope name separated by commas:
+ * "feat(TECH-123): msg", "feat(api): msg", "feat(api, TECH-1, TECH-2)!: msg".
+ * Task IDs from "Refs:" footers follow the ones from the scope.
+ * Messages that do not follow the convention get a null type and the header as subject.
+ * @param {string} message - Full commit message
+ * @returns {{type: string|null, scope: string|null, taskIds: string[], breaking: boolean,
+ *   breakingDescription: string, subject: string, body: string, footers: Array<{token: string, value: string}>}} - Parsed commit
+ */
+function parseCommitMessage(message) {
+  const [header = '', ...rest] = (message || '').replace(/\r\n/g, '\n').split('\n');
+  const paragraphs = rest.join('\n').split(/\n{2,}/).map(paragraph => paragraph.trim()).filter(Boolean);
+  const { body, footers } = parseFooters(paragraphs);
+  const match = header.match(HEADER_PATTERN);
+
+  const scopeParts = match && match[2] ? match[2].split(/[,\s]+/).filter(Boolean) : [];
+  const scope = scopeParts.filter(part => !TASK_ID_EXACT_PATTERN.test(part)).join(', ') || null;
+  const taskIds = scopeParts.filter(part => TASK_ID_EXACT_PATTERN.test(part));
+  for (const footer of footers) {
+    if (/^refs?$/i.test(footer.token)) {
+      taskIds.push(...(footer.value.match(new RegExp(TASK_ID_PATTERN.source, 'g')) || []));
+    }
+  }
+
+  const breakingFooter = footers.find(footer => BREAKING_FOOTER_PATTERN.test(footer.token));
+  const subject = match ? match[4].trim() : header.trim();
+
+  return {
+    type: match ? match[1] : null,
+    scope,
+    taskIds: [...new Set(taskIds)],
+    breaking: Boolean(match && match[3]) || Boolean(breakingFooter),
+    breakingDescription: breakingFooter ? breakingFooter.value : (match && match[3] ? subject : ''),
+    subject,
+    body,
+    footers
+  };
+}
+
+/**
+ * Get bullet lines of a commit body
+ * Lines starting with "-", "*" or "•" are bullets; the following indented lines continue them.
+ * @param {string} body - Commit body from parseCommitMessage
+ * @returns {string[]} - Bullet texts without markers
+ */
+function parseBodyBullets(body) {
+  const bullets = [];
+  let continued = false;
+  for (const line of (body || '').split('\n')) {
+    const match = line.match(BULLET_PATTERN);
+    if (match) {
+      bullets.push(match[1].trim());
+      continued = true;
+    } else if (continued && /^\s+\S/.test(line)) {
+      bullets[bullets.length - 1] += ` ${line.trim()}`;
+    } else {
+      continued = false;
+    }
+  }
+  return bullets;
+}
+
 /**
  * Extract task ID from commit message
- * Supports format: "prefix(TASK-123): message"
+ * Supports formats: "prefix(TASK-123): message", "prefix(scope, TASK-123): message"
+ * and "Refs: TASK-123" footers
  * @param {string} message - Commit message
  * @returns {string|null} - Task ID or null
  */
 function extractTaskId(message) {
   if (!message) return null;
+  const [taskId] = parseCommitMessage(message).taskIds;
+  if (taskId) return taskId;
   const match = message.match(TASK_ID_SUFFIX_PATTERN);
   return match ? match[1] : null;
 }
@@ -62,51 +196,40 @@ function removeTaskIdSuffix(message) {
 
 /**
  * Parse problem description from task message
- * @param {string} message - Full task message
+ * The description is the whole section after the problem title, up to a blank line or the next heading.
+ * @param {string} message - Full task message, plain text or HTML
  * @param {string} problemTitle - Title that marks the problem section
- * @returns {string} - Problem description or empty string
+ * @returns {string} - Problem description as plain text or empty string
  */
 function parseProblemDescription(message, problemTitle) {
   if (!message || !problemTitle) return '';
-
-  const fullTitle = problemTitle + '\n';
-  const problemStart = message.indexOf(fullTitle);
-  if (problemStart === -1) return '';
-
-  const contentStart = problemStart + fullTitle.length;
-  let problemEnd = message.indexOf('\n', contentStart);
-  if (problemEnd === -1) {
-    problemEnd = message.length;
-  }
-
-  return message.slice(contentStart, problemEnd).trim();
+  return richTextToPlain(extractSection(parseRichText(message), problemTitle));
 }
 
 /**
  * Extract commit prefix from message (e.g., "feat", "fix")
- * Supports formats: "feat: msg", "feat(scope): msg", "feat(TASK-123): msg"
+ * Supports formats: "feat: msg", "feat(scope): msg", "feat(TASK-123): msg", "feat!: msg"
  * @param {string} message - Commit message
  * @returns {string|null} - Prefix or null
  */
 function extractPrefix(message) {
   if (!message) return null;
-  const match = message.match(/^([a-z]+)[:(]/);
-  return match ? match[1] : null;
+  return parseCommitMessage(message).type;
 }
 
 /**
- * Check if message has a specific prefix
+ * Check if message header starts with a specific prefix
  * @param {string} message - Message to check
  * @param {string} prefix - Prefix to look for (e.g., "feat", "fix")
- * @returns {boolean} - True if prefix found
+ * @returns {boolean} - True if the message type is the prefix
  */
 function hasPrefix(message, prefix) {
   if (!message || !prefix) return false;
-  return message.includes(`${prefix}:`);
+  return parseCommitMessage(message).type === prefix;
 }
 
 /**
- * Replace prefix with emoji
+ * Replace prefix (with its scope and breaking marker) at the start of the message with emoji
  * @param {string} message - Message with prefix
  * @param {string} prefix - Prefix to replace
  * @param {string} emoji - Emoji to use
@@ -114,19 +237,46 @@ function hasPrefix(message, prefix) {
  */
 function replacePrefix(message, prefix, emoji) {
   if (!message || !prefix) return message || '';
-  return message.replace(`${prefix}:`, emoji);
+  if (!hasPrefix(message, prefix)) return message;
+  return message.replace(/^[a-z]+(?:\([^)]*\))?!?:/, emoji);
+}
+
+/**
+ * Get tag name from git ref
+ * @param {string} ref - Git ref (e.g., "refs/tags/v1.0.0")
+ * @returns {string|null} - Tag name or null for non-tag refs
+ */
+function getTagName(ref) {
+  return ref && ref.startsWith(TAG_REF_PREFIX) ? ref.slice(TAG_REF_PREFIX.length) : null;
+}
+
+/**
+ * Get release version from git ref
+ * @param {string} ref - Git ref (e.g., "refs/tags/v1.2.0")
+ * @returns {string|null} - Version without the "v" prefix or null for non-tag refs
+ */
+function getVersion(ref) {
+  const tag = getTagName(ref);
+  return tag ? tag.replace(/^v(?=\d)/, '') : null;
 }
 
 module.exports = {
   ESCAPE_REGEX,
   TASK_ID_PATTERN,
   escapeMarkdown,
+  escapeHtml,
+  escapeSlack,
+  escapeChatMarkdown,
   getFirstLine,
+  parseBodyBullets,
   extractTaskId,
   extractPrefix,
+  parseCommitMessage,
   hasTaskId,
   removeTaskIdSuffix,
   parseProblemDescription,
   hasPrefix,
-  replacePrefix
+  replacePrefix,
+  getTagName,
+  getVersion
 };
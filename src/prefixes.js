@@ -0,0 +1,196 @@
+/**
+ * Prefix catalogue module
+ * The catalogue describes how each commit prefix is shown: section title, emoji,
+ * order and visibility, and which pull request labels put a pull request into its section. Defaults come from the locale; the prefix_catalogue input
+ * (YAML or JSON, inline or a file path) is merged over them.
+ */
+
+const { readConfigInput } = require('./config');
+const { getLocale } = require('./locales');
+
+/**
+ * Prefix of the section with breaking changes, rendered above all other sections
+ */
+const BREAKING_PREFIX = 'breaking';
+
+/**
+ * Prefix of the section for commits without a task ID in the "section" untracked mode
+ */
+const UNTRACKED_PREFIX = 'other';
+
+/**
+ * Sections that are always placed first and last, whatever their order
+ */
+const SPECIAL_PREFIXES = [BREAKING_PREFIX, UNTRACKED_PREFIX];
+
+const PREFIX_PATTERN = /^[a-z]+$/;
+const ENTRY_FIELDS = ['title', 'emoji', 'order', 'hidden', 'labels'];
+
+/**
+ * Build the default catalogue from a locale
+ * @param {Object} locale - Locale from loadLocale
+ * @returns {Object<string, {title: string, emoji: string, order?: number, hidden: boolean, custom: boolean}>} - Catalogue
+ */
+function getDefaultCatalogue(locale) {
+  const catalogue = {};
+  for (const [prefix, title] of Object.entries(locale.prefixes)) {
+    catalogue[prefix] = { title, emoji: locale.emojis[prefix], hidden: false, custom: false };
+  }
+  return catalogue;
+}
+
+/**
+ * Parse the prefix_catalogue input
+ * @param {string} [input] - YAML or JSON map of prefix to { title, emoji, order, hidden, labels }, or a path to such a file
+ * @param {Object} [locale] - Locale with the default prefixes, ru by default
+ * @returns {Object<string, Object>} - Catalogue overrides; labels are normalized to a list
+ */
+function parsePrefixCatalogue(input, locale = getLocale()) {
+  if (!input || !input.trim()) {
+    return {};
+  }
+
+  const config = readConfigInput(input, 'prefix_catalogue');
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Invalid prefix_catalogue input: expected a map of prefixes');
+  }
+
+  const defaults = getDefaultCatalogue(locale);
+
+  for (const [prefix, entry] of Object.entries(config)) {
+    const fail = message => {
+      throw new Error(`Invalid prefix_catalogue input: prefix "${prefix}" ${message}`);
+    };
+
+    if (!PREFIX_PATTERN.test(prefix)) {
+      fail('must consist of lowercase latin letters');
+    }
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      fail('must be a map of title, emoji, order, hidden and labels');
+    }
+
+    const unknown = Object.keys(entry).filter(key => !ENTRY_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      fail(`has unknown field ${unknown.join(', ')}, expected ${ENTRY_FIELDS.join(', ')}`);
+    }
+    if ('title' in entry && (typeof entry.title !== 'string' || !entry.title.trim())) {
+      fail('title must be a non-empty string');
+    }
+    if (!defaults[prefix] && !('title' in entry)) {
+      fail('is not a default prefix and needs a title');
+    }
+    if ('emoji' in entry && typeof entry.emoji !== 'string') {
+      fail('emoji must be a string');
+    }
+    if ('order' in entry && !Number.isFinite(entry.order)) {
+      fail('order must be a number');
+    }
+    if ('hidden' in entry && typeof entry.hidden !== 'boolean') {
+      fail('hidden must be true or false');
+    }
+    if ('labels' in entry) {
+      const labels = [entry.labels].flat();
+      if (!labels.every(label => typeof label === 'string' && label.trim())) {
+        fail('labels must be a label or a list of labels');
+      }
+      if (prefix === UNTRACKED_PREFIX) {
+        fail('cannot have labels, pull requests without a matching label already go there');
+      }
+      config[prefix] = { ...entry, labels };
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Merge catalogue overrides over the defaults of a locale
+ * New prefixes without an emoji get the emoji of the untracked section; new prefixes
+ * without a title in the locale (e.g., titled only in another language) are shown under their own name.
+ * @param {Object<string, Object>} [overrides] - Overrides from parsePrefixCatalogue
+ * @param {Object} [locale] - Locale from loadLocale, ru by default
+ * @returns {Object<string, {title: string, emoji: string, order?: number, hidden: boolean, custom: boolean, labels?: string[]}>} - Catalogue
+ */
+function createPrefixCatalogue(overrides = {}, locale = getLocale()) {
+  const catalogue = getDefaultCatalogue(locale);
+
+  for (const [prefix, entry] of Object.entries(overrides)) {
+    catalogue[prefix] = {
+      title: prefix,
+      emoji: locale.emojis[UNTRACKED_PREFIX],
+      hidden: false,
+      custom: true,
+      ...catalogue[prefix],
+      ...entry
+    };
+  }
+
+  return catalogue;
+}
+
+/**
+ * Get how a prefix is shown
+ * Prefixes missing from the catalogue are shown under their own name.
+ * @param {Object} catalogue - Catalogue from createPrefixCatalogue
+ * @param {string} prefix - Commit prefix
+ * @returns {{title: string, emoji: string}} - Section title and emoji
+ */
+function getPrefixInfo(catalogue, prefix) {
+  return catalogue[prefix] || { title: prefix, emoji: catalogue[UNTRACKED_PREFIX].emoji };
+}
+
+/**
+ * Resolve prefixes to collect, in section order
+ * New prefixes from the catalogue are added to the prefixes input, hidden ones are left out.
+ * Sections are sorted by order; a prefix without order keeps its position in the list (0, 1, 2...).
+ * Prefixes missing from the catalogue are reported.
+ * @param {string[]} prefixes - Prefixes input
+ * @param {Object} catalogue - Catalogue from createPrefixCatalogue
+ * @param {Object} [core] - Core instance
+ * @returns {string[]} - Prefixes in section order
+ */
+function resolvePrefixes(prefixes, catalogue, core = null) {
+  const custom = Object.keys(catalogue).filter(prefix =>
+    catalogue[prefix].custom && !SPECIAL_PREFIXES.includes(prefix)
+  );
+  const list = [...new Set([...prefixes, ...custom])];
+
+  const unknown = list.filter(prefix => !catalogue[prefix]);
+  if (core && unknown.length > 0) {
+    core.warning(
+      `Prefixes missing from the prefix catalogue: ${unknown.join(', ')}. ` +
+      'They are shown under their own name, add them to prefix_catalogue to set a title and emoji'
+    );
+  }
+
+  return list
+    .map((prefix, index) => ({ prefix, order: catalogue[prefix]?.order ?? index }))
+    .filter(({ prefix }) => !catalogue[prefix]?.hidden)
+    .sort((a, b) => a.order - b.order)
+    .map(({ prefix }) => prefix);
+}
+
+/**
+ * Translate section titles and emojis into another locale
+ * @param {Array<Object>} sections - Sections from collectChangelog
+ * @param {Object<string, Object>} [overrides] - Overrides from parsePrefixCatalogue, applied in every locale
+ * @param {Object} locale - Target locale
+ * @returns {Array<Object>} - Sections with titles and emojis of the locale
+ */
+function localizeSections(sections, overrides = {}, locale) {
+  const catalogue = createPrefixCatalogue(overrides, locale);
+  return sections.map(section => {
+    const { title, emoji } = getPrefixInfo(catalogue, section.prefix);
+    return { ...section, title, emoji };
+  });
+}
+
+module.exports = {
+  parsePrefixCatalogue,
+  createPrefixCatalogue,
+  getPrefixInfo,
+  resolvePrefixes,
+  localizeSections,
+  BREAKING_PREFIX,
+  UNTRACKED_PREFIX
+};
@@ -0,0 +1,181 @@
+/**
+ * Pull request changelog module
+ * Collapses commits into the merged pull requests they came from, so the changelog
+ * shows pull request titles, numbers, authors and labels instead of commit messages.
+ * A pull request goes into the section whose catalogue labels it carries, otherwise
+ * into the section of its Conventional Commits title.
+ */
+
+const github = require('@actions/github');
+const { parseCommitMessage } = require('./parsing');
+const { BREAKING_PREFIX } = require('./prefixes');
+
+/**
+ * What changelog entries are built from: commits or the merged pull requests of the commits
+ */
+const CHANGELOG_SOURCES = ['commits', 'pull_requests'];
+
+const TASK_ID_GLOBAL_PATTERN = /\b[A-Z]+-\d+\b/g;
+const TITLE_TASK_ID_PATTERN = /^\[?([A-Z]+-\d+)\]?:?\s+/;
+const BRANCH_TASK_ID_PATTERN = /^([A-Z]+-\d+)(?:[-_.]|$)/;
+const BODY_TASK_ID_PATTERN = /^\s*\[([A-Z]+-\d+)\]/;
+const BODY_REFERENCE_PATTERN = /^\s*(?:refs|closes|fixes|resolves)\b:?(.*)$/gim;
+
+/**
+ * Get label names of a pull request
+ * @param {Object} pull - Pull request from the GitHub API
+ * @returns {string[]} - Label names
+ */
+function getPullLabels(pull) {
+  return (pull.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+}
+
+/**
+ * Find the section prefix of pull request labels
+ * Labels are compared case-insensitively; the first catalogue prefix with a matching label wins.
+ * @param {Object} catalogue - Catalogue from createPrefixCatalogue
+ * @param {string[]} labels - Label names
+ * @returns {string|null} - Prefix or null when no label is mapped (the breaking label is not a section)
+ */
+function findLabelPrefix(catalogue, labels) {
+  const lower = labels.map(label => label.toLowerCase());
+  const match = Object.entries(catalogue).find(([prefix, entry]) =>
+    prefix !== BREAKING_PREFIX && (entry.labels || []).some(label => lower.includes(label.toLowerCase()))
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Check whether pull request labels mark a breaking change
+ * @param {Object} catalogue - Catalogue from createPrefixCatalogue
+ * @param {string[]} labels - Label names
+ * @returns {boolean}
+ */
+function hasBreakingLabel(catalogue, labels) {
+  const lower = labels.map(label => label.toLowerCase());
+  return (catalogue[BREAKING_PREFIX]?.labels || []).some(label => lower.includes(label.toLowerCase()));
+}
+
+/**
+ * Find task IDs of a pull request in its title, then its branch name, then its body
+ * Only IDs in a clear position count, so names like UTF-8 or SHA-256 are not taken for tasks:
+ * a branch segment starting with the ID (feature/TECH-1-export), and in the body a leading
+ * [TECH-1] or a "Refs:", "Closes:", "Fixes:" or "Resolves:" line.
+ * @param {Object} pull - Pull request from the GitHub API
+ * @returns {string[]} - Task IDs without duplicates
+ */
+function findPullTaskIds(pull) {
+  const body = pull.body || '';
+  const taskIds = [
+    ...parseCommitMessage(pull.title).taskIds,
+    ...((pull.title || '').match(TITLE_TASK_ID_PATTERN) || []).slice(1),
+    ...(pull.head?.ref || '').split('/').flatMap(segment => (segment.match(BRANCH_TASK_ID_PATTERN) || []).slice(1)),
+    ...(body.match(BODY_TASK_ID_PATTERN) || []).slice(1),
+    ...[...body.matchAll(BODY_REFERENCE_PATTERN)].flatMap(match => match[1].match(TASK_ID_GLOBAL_PATTERN) || [])
+  ];
+  return [...new Set(taskIds)];
+}
+
+/**
+ * Convert a merged pull request into a commit object for collectChangelog
+ * The message is rebuilt as a Conventional Commit: the prefix from labels or the title,
+ * task IDs in a Refs footer and a BREAKING CHANGE footer for the breaking label.
+ * @param {Object} pull - Pull request from the GitHub API
+ * @param {Object} catalogue - Catalogue from createPrefixCatalogue
+ * @returns {Object} - Commit object with pullRequest ({ number, url, labels, commits }), commits are filled by collapsePullRequests
+ */
+function pullToCommit(pull, catalogue) {
+  const parsed = parseCommitMessage(pull.title);
+  const labels = getPullLabels(pull);
+  const type = findLabelPrefix(catalogue, labels) || parsed.type;
+  const subject = parsed.subject.replace(TITLE_TASK_ID_PATTERN, '');
+  const taskIds = findPullTaskIds(pull);
+
+  const header = type ? `${type}${parsed.scope ? `(${parsed.scope})` : ''}: ${subject}` : subject;
+  const footers = [];
+  if (taskIds.length > 0) {
+    footers.push(`Refs: ${taskIds.join(', ')}`);
+  }
+  if (parsed.breaking || hasBreakingLabel(catalogue, labels)) {
+    footers.push(`BREAKING CHANGE: ${parsed.breakingDescription || subject}`);
+  }
+
+  return {
+    id: pull.merge_commit_sha,
+    message: footers.length > 0 ? `${header}\n\n${footers.join('\n')}` : header,
+    timestamp: pull.merged_at,
+    url: pull.html_url,
+    author: { username: pull.user?.login },
+    pullRequest: { number: pull.number, url: pull.html_url, labels, commits: [] }
+  };
+}
+
+/**
+ * Create a loader of the merged pull request of a commit, fetching every commit once
+ * @param {Object} options - Loader options
+ * @param {string} options.token - GitHub token
+ * @param {Object} [options.core] - Core instance
+ * @returns {Function} - (sha) => Promise<Object|null>
+ */
+function createPullRequestLoader({ token, core = null }) {
+  if (!token) {
+    throw new Error('GitHub token is required');
+  }
+
+  const octokit = github.getOctokit(token);
+  const { owner, repo } = github.context.repo;
+  const pulls = new Map();
+
+  return sha => {
+    if (!pulls.has(sha)) {
+      pulls.set(sha, octokit.rest.repos.listPullRequestsAssociatedWithCommit({ owner, repo, commit_sha: sha })
+        .then(({ data }) => data.find(pull => pull.merged_at) || null)
+        .catch(error => {
+          if (core) {
+            core.warning(`GitHub API error getting PR for commit ${sha.substring(0, 7)}: ${error.message}`);
+          }
+          return null;
+        }));
+    }
+    return pulls.get(sha);
+  };
+}
+
+/**
+ * Replace commits of merged pull requests with one commit object per pull request
+ * A pull request takes the place of its first commit; commits pushed without
+ * a pull request are kept as they are.
+ * @param {Array} commits - Array of commit objects
+ * @param {Function} loadPull - Loader from createPullRequestLoader
+ * @param {Object} catalogue - Catalogue from createPrefixCatalogue
+ * @returns {Promise<Array>} - Commit objects
+ */
+async function collapsePullRequests(commits, loadPull, catalogue) {
+  const items = [];
+  const collapsed = new Map();
+
+  for (const commit of commits || []) {
+    const sha = commit.sha || commit.id;
+    const pull = await loadPull(sha);
+    if (!pull) {
+      items.push(commit);
+      continue;
+    }
+    if (!collapsed.has(pull.number)) {
+      collapsed.set(pull.number, pullToCommit(pull, catalogue));
+      items.push(collapsed.get(pull.number));
+    }
+    collapsed.get(pull.number).pullRequest.commits.push(sha);
+  }
+
+  return items;
+}
+
+module.exports = {
+  findLabelPrefix,
+  findPullTaskIds,
+  pullToCommit,
+  createPullRequestLoader,
+  collapsePullRequests,
+  CHANGELOG_SOURCES
+};
@@ -0,0 +1,125 @@
+/**
+ * GitHub Releases module
+ * Publishes changelog as the body of the GitHub Release for the current tag
+ */
+
+const github = require('@actions/github');
+const { getFormatter } = require('./formatters');
+const { getTagName } = require('./parsing');
+const { DEFAULT_TEMPLATE, renderTemplateMessages } = require('./template');
+
+const MAX_BODY_LENGTH = 125000;
+
+const formatter = getFormatter('markdown');
+
+/**
+ * Render the changelog of one release as GitHub Markdown
+ * @param {Array<Object>} sections - Sections from collectChangelog
+ * @param {string} [template] - Template text
+ * @param {Object} release - Release fields for the template and its locale
+ * @returns {string} - Markdown
+ */
+function renderReleaseMarkdown(sections, template, release) {
+  return renderTemplateMessages(
+    template ? { ...release, sections } : { ...release, projectName: '', sections },
+    { template: template || DEFAULT_TEMPLATE, parseMode: formatter.parseMode }
+  ).join('\n');
+}
+
+/**
+ * Render release body as GitHub Markdown
+ * Packages of a monorepo share the release of a tag, so each of them gets a heading in one body.
+ * @param {Array<Object>} sections - Sections from collectChangelog
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.template] - Template text, the default template (without project header) when not set
+ * @param {Object} [options.release] - Release fields for the template (projectName, environment, ref, repository) and its locale
+ * @param {Array<Object>} [options.packages] - Releases of monorepo packages, rendered instead of sections
+ * @returns {string} - Release body
+ */
+function buildReleaseBody(sections, { template, release = {}, packages = null } = {}) {
+  const body = packages
+    ? packages
+      .map(item => `## ${formatter.escape(item.projectName)}\n\n${renderReleaseMarkdown(item.sections, template, item)}`)
+      .join('\n\n')
+    : renderReleaseMarkdown(sections, template, release);
+  if (body.length <= MAX_BODY_LENGTH) {
+    return body;
+  }
+
+  // Keep whole lines so no entry is left with broken markup
+  const lineEnd = body.lastIndexOf('\n', MAX_BODY_LENGTH - 2);
+  const cut = lineEnd > 0 ? lineEnd : formatter.safeCutIndex(body, MAX_BODY_LENGTH - 2);
+  return `${body.slice(0, cut)}\n…`;
+}
+
+/**
+ * Create the release for a tag or update its body if it already exists
+ * @param {Object} options - Publish options
+ * @param {Object} options.octokit - GitHub API client
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {string} options.tag - Tag name
+ * @param {string} options.body - Release body
+ * @param {string} [options.name] - Release name, defaults to the tag for new releases
+ * @returns {Promise<{id: number, url: string, updated: boolean}>} - Published release
+ */
+async function publishRelease({ octokit, owner, repo, tag, body, name }) {
+  let existing = null;
+  try {
+    ({ data: existing } = await octokit.rest.repos.getReleaseByTag({ owner, repo, tag }));
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+  }
+
+  if (existing) {
+    const { data } = await octokit.rest.repos.updateRelease({
+      owner,
+      repo,
+      release_id: existing.id,
+      body,
+      ...(name ? { name } : {})
+    });
+    return { id: data.id, url: data.html_url, updated: true };
+  }
+
+  const { data } = await octokit.rest.repos.createRelease({
+    owner,
+    repo,
+    tag_name: tag,
+    name: name || tag,
+    body
+  });
+  return { id: data.id, url: data.html_url, updated: false };
+}
+
+/**
+ * Publish changelog as the GitHub Release of a tag
+ * @param {Object} options - Publish options
+ * @param {string} options.token - GitHub token with contents: write permission
+ * @param {string} options.tag - Tag name
+ * @param {Array<Object>} options.sections - Sections from collectChangelog
+ * @param {string} [options.name] - Release name
+ * @param {string} [options.template] - Template text for the body
+ * @param {Object} [options.release] - Release fields for the template
+ * @param {Array<Object>} [options.packages] - Releases of monorepo packages, published in one body
+ * @returns {Promise<{id: number, url: string, updated: boolean}>} - Published release
+ */
+async function sendGitHubRelease({ token, tag, sections, name, template, release, packages }) {
+  if (!token) {
+    throw new Error('GitHub token is required');
+  }
+
+  const octokit = github.getOctokit(token);
+  const { owner, repo } = github.context.repo;
+
+  return publishRelease({ octokit, owner, repo, tag, body: buildReleaseBody(sections, { template, release, packages }), name });
+}
+
+module.exports = {
+  buildReleaseBody,
+  publishRelease,
+  sendGitHubRelease,
+  MAX_BODY_LENGTH
+};
@@ -0,0 +1,342 @@
+/**
+ * Rich text module
+ * Reads YouGile chat messages, which come as plain text or HTML, into lines of
+ * text segments with bold, code and link marks, so a section of a card can be cut out,
+ * shortened and rendered in any parse mode. Commit titles and body lines are read
+ * the same way for their inline code spans and Markdown links.
+ */
+
+const HTML_TAG_PATTERN = /<\/?[a-z][a-z0-9]*(\s[^>]*)?>/i;
+const HTML_TOKEN_PATTERN = /<(\/?)([a-z][a-z0-9]*)([^>]*)>|([^<]+)/gi;
+const BLOCK_TAGS = ['p', 'div', 'li', 'ul', 'ol', 'blockquote', 'pre', 'tr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const BOLD_TAGS = ['b', 'strong'];
+const CODE_TAGS = ['code', 'pre'];
+const INLINE_MARKDOWN_PATTERN = /`([^`\n]+)`|\[([^\]\n]+)\]\((https?:\/\/[^)\s]+)\)/g;
+const MARKDOWN_HEADING_PATTERN = /^#{1,6}\s/;
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+const ELLIPSIS = '…';
+
+/**
+ * Decode HTML entities
+ * @param {string} text - HTML text
+ * @returns {string} - Text with entities replaced by their characters
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Add a segment to a line, merging it into the previous segment of the same marks
+ * @param {Array<Object>} line - Line segments
+ * @param {string} text - Segment text
+ * @param {Object} marks - Segment marks ({ bold, code, url })
+ */
+function pushSegment(line, text, { bold = false, code = false, url = null } = {}) {
+  if (!text) return;
+  const last = line[line.length - 1];
+  if (last && last.bold === bold && last.code === code && last.url === url) {
+    last.text += text;
+  } else {
+    line.push({ text, bold, code, url });
+  }
+}
+
+/**
+ * Trim whitespace at the edges of a line, dropping segments left empty
+ * @param {Array<Object>} line - Line segments
+ * @returns {Array<Object>} - Trimmed line
+ */
+function trimLine(line) {
+  const segments = line.map(segment => ({ ...segment }));
+  while (segments.length > 0 && !segments[0].text.trimStart()) segments.shift();
+  while (segments.length > 0 && !segments[segments.length - 1].text.trimEnd()) segments.pop();
+  if (segments.length > 0) {
+    segments[0].text = segments[0].text.trimStart();
+    segments[segments.length - 1].text = segments[segments.length - 1].text.trimEnd();
+  }
+  return segments;
+}
+
+/**
+ * Parse plain text into lines
+ * @param {string} text - Plain text
+ * @returns {Array<Array<Object>>} - Lines of { text, bold, code, url } segments
+ */
+function parsePlainText(text) {
+  return text.split(/\r?\n/).map(line => trimLine([{ text: line, bold: false, code: false, url: null }]));
+}
+
+/**
+ * Parse HTML into lines
+ * Paragraphs, line breaks and list items start new lines, list items get a bullet,
+ * bold text and headings keep the bold mark, code keeps the code mark and links keep their URL;
+ * other tags are dropped.
+ * @param {string} html - HTML text
+ * @returns {Array<Array<Object>>} - Lines of { text, bold, code, url } segments
+ */
+function parseHtml(html) {
+  const lines = [[]];
+  const links = [];
+  let bold = 0;
+  let code = 0;
+
+  const current = () => lines[lines.length - 1];
+  const breakLine = () => lines.push([]);
+
+  for (const [, closing, rawName, attributes, text] of html.matchAll(HTML_TOKEN_PATTERN)) {
+    if (text !== undefined) {
+      pushSegment(current(), decodeEntities(text.replace(/\s+/g, ' ')), {
+        bold: bold > 0,
+        code: code > 0,
+        url: links.length > 0 ? links[links.length - 1] : null
+      });
+      continue;
+    }
+
+    const name = rawName.toLowerCase();
+    if (name === 'br') {
+      breakLine();
+    } else if (BLOCK_TAGS.includes(name)) {
+      if (closing || trimLine(current()).length > 0) {
+        breakLine();
+      }
+      if (!closing && name === 'li') {
+        pushSegment(current(), '• ');
+      }
+    }
+
+    if (BOLD_TAGS.includes(name) || HEADING_TAGS.includes(name)) {
+      bold = Math.max(0, bold + (closing ? -1 : 1));
+    } else if (CODE_TAGS.includes(name)) {
+      code = Math.max(0, code + (closing ? -1 : 1));
+    } else if (name === 'a') {
+      if (closing) {
+        links.pop();
+      } else {
+        const href = attributes.match(/\bhref\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/i);
+        links.push(href ? decodeEntities(href[2] ?? href[3] ?? href[4]) : null);
+      }
+    }
+  }
+
+  const result = lines.map(trimLine);
+  while (result.length > 0 && result[result.length - 1].length === 0) result.pop();
+  return result;
+}
+
+/**
+ * Parse a chat message into lines, as HTML when it contains tags and as plain text otherwise
+ * @param {string} message - Message text or HTML
+ * @returns {Array<Array<Object>>} - Lines of { text, bold, code, url } segments
+ */
+function parseRichText(message) {
+  if (!message) return [];
+  return HTML_TAG_PATTERN.test(message) ? parseHtml(message) : parsePlainText(message);
+}
+
+/**
+ * Parse a line of Markdown text: `code` spans and [text](url) links are marked, the rest is plain text
+ * @param {string} text - Line of text, e.g. a commit title
+ * @returns {Array<Object>} - Line of { text, bold, code, url } segments
+ */
+function parseInlineMarkdown(text) {
+  const line = [];
+  let position = 0;
+  for (const match of (text || '').matchAll(INLINE_MARKDOWN_PATTERN)) {
+    pushSegment(line, text.slice(position, match.index));
+    if (match[1] !== undefined) {
+      pushSegment(line, match[1], { code: true });
+    } else {
+      pushSegment(line, match[2], { url: match[3] });
+    }
+    position = match.index + match[0].length;
+  }
+  pushSegment(line, (text || '').slice(position));
+  return line;
+}
+
+/**
+ * Get the text of a line without marks
+ * @param {Array<Object>} line - Line segments
+ * @returns {string} - Line text
+ */
+function getLineText(line) {
+  return line.map(segment => segment.text).join('');
+}
+
+/**
+ * Check whether a line is a heading: a Markdown heading or a line of bold text only
+ * @param {Array<Object>} line - Line segments
+ * @returns {boolean}
+ */
+function isHeading(line) {
+  if (line.length === 0) return false;
+  return MARKDOWN_HEADING_PATTERN.test(getLineText(line)) ||
+    line.every(segment => segment.bold || !segment.text.trim());
+}
+
+/**
+ * Normalize a heading for comparison: no Markdown marks, no trailing colon or question mark, lower case
+ * @param {string} text - Heading text
+ * @returns {string} - Normalized heading
+ */
+function normalizeHeading(text) {
+  return text.replace(/^#+\s*/, '').replace(/[\s:?*]+$/, '').replace(/^\*+/, '').trim().toLowerCase();
+}
+
+/**
+ * Cut out the section under a heading
+ * The section starts on the line after the heading line and lasts until a blank line
+ * or the next heading; blank lines right after the heading are skipped.
+ * @param {Array<Array<Object>>} lines - Lines from parseRichText
+ * @param {string} title - Section heading
+ * @returns {Array<Array<Object>>} - Section lines, empty when the heading is missing
+ */
+function extractSection(lines, title) {
+  const heading = normalizeHeading(title || '');
+  if (!heading) return [];
+
+  const start = lines.findIndex(line => {
+    const text = normalizeHeading(getLineText(line));
+    return text && text.endsWith(heading);
+  });
+  if (start === -1) return [];
+
+  const section = [];
+  for (const line of lines.slice(start + 1)) {
+    if (line.length === 0) {
+      if (section.length > 0) break;
+      continue;
+    }
+    if (isHeading(line)) break;
+    section.push(line);
+  }
+  return section;
+}
+
+/**
+ * Shorten lines to a number of characters, ending the cut text with an ellipsis
+ * @param {Array<Array<Object>>} lines - Lines from parseRichText
+ * @param {number} limit - Maximum number of characters, line breaks included; 0 for no limit
+ * @returns {{lines: Array<Array<Object>>, truncated: boolean}} - Shortened lines
+ */
+function truncateRichText(lines, limit) {
+  const length = lines.map(getLineText).join('\n').length;
+  if (!limit || length <= limit) {
+    return { lines, truncated: false };
+  }
+
+  const result = [];
+  let left = limit - ELLIPSIS.length;
+  for (const line of lines) {
+    if (result.length > 0) {
+      left -= 1;
+    }
+    if (left <= 0) break;
+
+    const cut = [];
+    for (const segment of line) {
+      if (left <= 0) break;
+      cut.push({ ...segment, text: segment.text.slice(0, left) });
+      left -= segment.text.length;
+    }
+    result.push(cut);
+  }
+
+  const last = trimLine(result.pop() || []);
+  pushSegment(last, ELLIPSIS);
+  result.push(last);
+  return { lines: result, truncated: true };
+}
+
+/**
+ * Parse the description_limit input
+ * @param {string} [input] - Maximum description length in characters, empty or 0 for no limit
+ * @returns {number} - Limit, 0 for no limit
+ */
+function parseDescriptionLimit(input) {
+  const value = (input || '').trim();
+  if (!value) {
+    return 0;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid description_limit input: ${value}, expected a whole number of characters`);
+  }
+  const limit = Number(value);
+  if (limit > 0 && limit <= ELLIPSIS.length) {
+    throw new Error(`Invalid description_limit input: ${value}, expected more than ${ELLIPSIS.length} characters`);
+  }
+  return limit;
+}
+
+/**
+ * Get lines as plain text
+ * @param {Array<Array<Object>>} lines - Lines from parseRichText
+ * @returns {string} - Text with lines joined by line breaks
+ */
+function richTextToPlain(lines) {
+  return lines.map(getLineText).join('\n');
+}
+
+/**
+ * Render lines in the markup of a formatter
+ * Only plain text is escaped, code is written by the code markup of the formatter;
+ * whitespace at the edges of marked text is kept outside of the marks.
+ * @param {Array<Array<Object>>} lines - Lines from parseRichText
+ * @param {Object} formatter - Formatter of the target parse mode
+ * @returns {string} - Text in parse mode markup
+ */
+function renderRichText(lines, formatter) {
+  return lines.map(line => line.map(segment => {
+    const trimmed = segment.text.trim();
+    if (!trimmed) {
+      return segment.text;
+    }
+    let text = segment.code ? formatter.code(trimmed) : formatter.escape(trimmed);
+    if (segment.url) {
+      text = formatter.link(text, segment.url);
+    }
+    if (segment.bold) {
+      text = formatter.bold(text);
+    }
+    const [, before, , after] = segment.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return `${before}${text}${after}`;
+  }).join('')).join('\n');
+}
+
+/**
+ * Render a line of Markdown text, such as a commit title, in the markup of a formatter
+ * @param {string} text - Line of text
+ * @param {Object} formatter - Formatter of the target parse mode
+ * @returns {string} - Text in parse mode markup with code spans and links kept
+ */
+function formatInlineMarkdown(text, formatter) {
+  return renderRichText([parseInlineMarkdown(text)], formatter);
+}
+
+module.exports = {
+  parseRichText,
+  extractSection,
+  truncateRichText,
+  richTextToPlain,
+  renderRichText,
+  parseInlineMarkdown,
+  formatInlineMarkdown,
+  parseDescriptionLimit
+};
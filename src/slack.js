@@ -0,0 +1,155 @@
+/**
+ * Slack messaging module
+ * Posts changelog to Slack incoming webhooks as Block Kit blocks
+ */
+
+const {
+  formatCommitEntry,
+  formatSectionTitle,
+  formatEntryMessage,
+  formatEntryAuthors,
+  formatEntryDetails,
+  formatEntryDescription,
+  generatePullLink,
+  generateTaskLink
+} = require('./changelog');
+const { getFormatter } = require('./formatters');
+const { postWebhook } = require('./webhook');
+
+const MAX_BLOCKS = 50;
+const MAX_TEXT_LENGTH = 3000;
+const MAX_HEADER_LENGTH = 150;
+
+const formatter = getFormatter('mrkdwn');
+
+/**
+ * Shorten text to the limit, keeping escaped entities whole
+ * @param {string} text - mrkdwn text
+ * @param {number} limit - Maximum length
+ * @returns {string} - Text no longer than the limit
+ */
+function truncate(text, limit) {
+  if (text.length <= limit) {
+    return text;
+  }
+
+  let end = limit - 1;
+  const lastEntity = text.lastIndexOf('&', end);
+  if (lastEntity !== -1 && text.indexOf(';', lastEntity) >= end) {
+    end = lastEntity;
+  }
+  return `${text.slice(0, end)}…`;
+}
+
+/**
+ * Render changelog sections as Block Kit blocks (without the project header)
+ * @param {Array<Object>} sections - Sections from collectChangelog
+ * @param {Object} [locale] - Locale of the labels, ru by default
+ * @returns {Array<Object>} - Blocks
+ */
+function renderBlocks(sections, locale) {
+  const blocks = [];
+
+  sections.forEach((section, index) => {
+    if (index > 0) {
+      blocks.push({ type: 'divider' });
+    }
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: formatSectionTitle(section, formatter) }
+    });
+
+    for (const entry of section.entries) {
+      const text = formatCommitEntry({
+        message: formatEntryMessage(section, entry, formatter),
+        emoji: section.emoji,
+        author: entry.author,
+        authorMarkup: formatEntryAuthors(entry, formatter),
+        pullLink: generatePullLink(entry.pullRequest, formatter.parseMode),
+        taskLink: generateTaskLink(entry.taskId, formatter.parseMode, locale),
+        details: formatEntryDetails(entry, formatter),
+        description: entry.description,
+        descriptionMarkup: formatEntryDescription(entry, formatter, locale),
+        commitCount: entry.commitCount,
+        parseMode: formatter.parseMode,
+        locale
+      });
+      blocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: truncate(text.trimEnd(), MAX_TEXT_LENGTH) }
+      });
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Build webhook payloads for changelog
+ * Blocks are split into several messages when they exceed the Block Kit limit;
+ * every message gets the project header with a "(1/3)" style marker.
+ * @param {Array<Object>} sections - Sections from collectChangelog
+ * @param {string} projectName - Project name (plain text)
+ * @param {Object} [options] - Rendering options
+ * @param {Object} [options.locale] - Locale of the labels, ru by default
+ * @returns {Array<{text: string, blocks: Array<Object>}>} - Webhook payloads
+ */
+function buildSlackMessages(sections, projectName, { locale } = {}) {
+  const blocks = renderBlocks(sections, locale);
+  if (blocks.length === 0) {
+    return [];
+  }
+
+  const perMessage = MAX_BLOCKS - 1;
+  const chunks = [];
+  for (let start = 0; start < blocks.length; start += perMessage) {
+    chunks.push(blocks.slice(start, start + perMessage));
+  }
+
+  return chunks.map((chunk, index) => {
+    const title = chunks.length > 1 ? `${projectName} (${index + 1}/${chunks.length})` : projectName;
+    const header = {
+      type: 'header',
+      text: { type: 'plain_text', text: truncate(title, MAX_HEADER_LENGTH), emoji: true }
+    };
+    return { text: title, blocks: [header, ...chunk] };
+  });
+}
+
+/**
+ * Post a payload to Slack incoming webhook
+ * @param {string} webhookUrl - Incoming webhook URL
+ * @param {Object} payload - Message payload
+ * @returns {Promise<void>}
+ */
+async function postSlackWebhook(webhookUrl, payload) {
+  await postWebhook(webhookUrl, payload, 'Slack webhook');
+}
+
+/**
+ * Send changelog to Slack
+ * @param {Object} options - Send options
+ * @param {string} options.webhookUrl - Incoming webhook URL
+ * @param {Array<Object>} options.sections - Sections from collectChangelog
+ * @param {string} options.projectName - Project name (plain text)
+ * @param {Object} [options.release] - Release, its locale is used for the labels
+ * @returns {Promise<number>} - Number of sent messages
+ */
+async function sendSlackChangelog({ webhookUrl, sections, projectName, release = {} }) {
+  const messages = buildSlackMessages(sections, projectName, { locale: release.locale });
+
+  for (const message of messages) {
+    await postSlackWebhook(webhookUrl, message);
+  }
+
+  return messages.length;
+}
+
+module.exports = {
+  renderBlocks,
+  buildSlackMessages,
+  postSlackWebhook,
+  sendSlackChangelog,
+  MAX_BLOCKS,
+  MAX_TEXT_LENGTH
+};
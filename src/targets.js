@@ -0,0 +1,235 @@
+/**
+ * Telegram delivery targets module
+ * Parses the list of chats (and forum topics) to notify and delivers messages to each of them
+ */
+
+const { getMe, getChat, sendMessages, updateMessages, pinChatMessage } = require('./telegram');
+
+/**
+ * Normalize a single target definition
+ * @param {string|number|Object} raw - Chat ID or target object
+ * @param {number} index - Position in the targets list (for error messages)
+ * @returns {{chatId: string, messageThreadId: number|null, environments: string[]}} - Target
+ */
+function normalizeTarget(raw, index) {
+  const target = typeof raw === 'object' && raw !== null ? raw : { chat_id: raw };
+  const chatId = target.chat_id ?? target.chatId;
+
+  if (chatId === undefined || chatId === null || String(chatId).trim() === '') {
+    throw new Error(`Invalid targets input: target #${index + 1} has no chat_id`);
+  }
+
+  const threadId = target.message_thread_id ?? target.messageThreadId ?? null;
+  if (threadId !== null && !Number.isInteger(Number(threadId))) {
+    throw new Error(`Invalid targets input: target #${index + 1} has invalid message_thread_id "${threadId}"`);
+  }
+
+  const environments = target.environments ?? target.environment ?? [];
+
+  return {
+    chatId: String(chatId).trim(),
+    messageThreadId: threadId === null ? null : Number(threadId),
+    environments: (Array.isArray(environments) ? environments : [environments]).map(String)
+  };
+}
+
+/**
+ * Parse delivery targets
+ * @param {string|Array} input - JSON array (or already parsed array) of chat IDs or objects
+ *   ({ chat_id, message_thread_id?, environments? })
+ * @param {string} [fallbackChatId] - Single chat ID used when no targets are given
+ * @returns {Array<Object>} - Normalized targets
+ */
+function parseTargets(input, fallbackChatId) {
+  if (Array.isArray(input)) {
+    return input.map(normalizeTarget);
+  }
+  if (!input || !String(input).trim()) {
+    return fallbackChatId ? [normalizeTarget(fallbackChatId, 0)] : [];
+  }
+
+  let list;
+  try {
+    list = JSON.parse(input);
+  } catch (error) {
+    throw new Error(`Invalid targets input: ${error.message}`);
+  }
+  if (!Array.isArray(list)) {
+    list = [list];
+  }
+
+  return list.map(normalizeTarget);
+}
+
+/**
+ * Keep targets that accept the given environment
+ * Targets without environments accept every environment.
+ * @param {Array<Object>} targets - Normalized targets
+ * @param {string} environment - Deployment environment
+ * @returns {Array<Object>} - Matching targets
+ */
+function filterTargets(targets, environment) {
+  return targets.filter(target =>
+    target.environments.length === 0 || target.environments.includes(environment)
+  );
+}
+
+/**
+ * Human-readable target name for logs
+ * @param {Object} target - Normalized target
+ * @returns {string} - "chat_id" or "chat_id/message_thread_id"
+ */
+function describeTarget(target) {
+  return target.messageThreadId === null
+    ? target.chatId
+    : `${target.chatId}/${target.messageThreadId}`;
+}
+
+/**
+ * Key of the messages of a target
+ * Packages of a monorepo posting to the same chat keep their messages apart.
+ * @param {Object} target - Normalized target
+ * @param {string|null} [packageName] - Monorepo package of the messages
+ * @returns {string} - Target name (see describeTarget), prefixed with "package:" for packages
+ */
+function messageKey(target, packageName = null) {
+  return packageName ? `${packageName}:${describeTarget(target)}` : describeTarget(target);
+}
+
+/**
+ * Parse message IDs of a previous delivery
+ * @param {string|Array} input - JSON (or already parsed array) produced by the message_ids output of a previous run
+ * @returns {Map<string, number[]>} - Message IDs by target and package (see messageKey)
+ */
+function parseMessageIds(input) {
+  const messageIds = new Map();
+  if (!input || (typeof input === 'string' && !input.trim())) {
+    return messageIds;
+  }
+
+  let list = input;
+  if (typeof input === 'string') {
+    try {
+      list = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Invalid message IDs input: ${error.message}`);
+    }
+  }
+  if (!Array.isArray(list)) {
+    throw new Error('Invalid message IDs input: expected an array');
+  }
+
+  list.forEach((item, index) => {
+    const target = normalizeTarget(item, index);
+    const ids = Array.isArray(item.message_ids) ? item.message_ids.map(Number).filter(Boolean) : [];
+    messageIds.set(messageKey(target, item.package || null), ids);
+  });
+
+  return messageIds;
+}
+
+/**
+ * Build the message_ids output from delivery results
+ * @param {Array<Object>} results - Results of deliverToTargets
+ * @param {string|null} [packageName] - Monorepo package of the messages
+ * @returns {Array<{chat_id: string, message_thread_id: number|null, message_ids: number[], package?: string}>} - Delivered messages
+ */
+function formatMessageIds(results, packageName = null) {
+  return results
+    .filter(result => result.ok)
+    .map(result => ({
+      chat_id: result.target.chatId,
+      message_thread_id: result.target.messageThreadId,
+      message_ids: result.messageIds,
+      ...(packageName ? { package: packageName } : {})
+    }));
+}
+
+/**
+ * Deliver messages to every target independently
+ * The token is checked once before anything is sent, and each chat right before
+ * its messages, so a bad token sends nothing and an unreachable chat is skipped.
+ * A failure for one target does not stop delivery to the others.
+ * Targets with previous message IDs get their messages edited instead of new ones.
+ * @param {Object} options - Delivery options
+ * @param {string} options.token - Telegram bot token
+ * @param {Array<Object>} options.targets - Normalized targets
+ * @param {string[]} options.texts - Message texts in sending order
+ * @param {string} [options.parseMode='MarkdownV2'] - Parse mode
+ * @param {Map<string, number[]>} [options.previousMessageIds] - Messages to update, by messageKey
+ * @param {string|null} [options.packageName] - Monorepo package of the messages
+ * @param {boolean} [options.pin=false] - Pin the first message of the release
+ * @returns {Promise<Array<{target: Object, ok: boolean, messageIds?: number[], updated?: boolean, pinError?: Error, error?: Error}>>} - Per-target results
+ */
+async function deliverToTargets({
+  token,
+  targets,
+  texts,
+  parseMode,
+  previousMessageIds = new Map(),
+  packageName = null,
+  pin = false
+}) {
+  const results = [];
+
+  try {
+    await getMe(token);
+  } catch (error) {
+    return targets.map(target => ({ target, ok: false, error }));
+  }
+
+  for (const target of targets) {
+    try {
+      await getChat(token, target.chatId);
+    } catch (error) {
+      results.push({ target, ok: false, error });
+      continue;
+    }
+
+    const messageIds = previousMessageIds.get(messageKey(target, packageName)) || [];
+    const options = {
+      token,
+      chatId: target.chatId,
+      messageThreadId: target.messageThreadId,
+      texts,
+      parseMode
+    };
+
+    let result;
+    try {
+      const responses = messageIds.length > 0
+        ? await updateMessages({ ...options, messageIds })
+        : await sendMessages(options);
+      result = {
+        target,
+        ok: true,
+        updated: messageIds.length > 0,
+        messageIds: responses.map(response => response.result?.message_id)
+      };
+    } catch (error) {
+      results.push({ target, ok: false, error });
+      continue;
+    }
+
+    if (pin && result.messageIds[0]) {
+      try {
+        await pinChatMessage({ token, chatId: target.chatId, messageId: result.messageIds[0] });
+      } catch (error) {
+        result.pinError = error;
+      }
+    }
+    results.push(result);
+  }
+
+  return results;
+}
+
+module.exports = {
+  parseTargets,
+  filterTargets,
+  describeTarget,
+  messageKey,
+  parseMessageIds,
+  formatMessageIds,
+  deliverToTargets
+};
@@ -2,7 +2,170 @@
  * Telegram messaging module
  */
 
+const core = require('@actions/core');
+
 const BASE_URL = 'https://api.telegram.org';
+const MAX_MESSAGE_LENGTH = 4096;
+const NOT_MODIFIED_ERROR = 'message is not modified';
+const RETRY_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+const MAX_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * Hints for errors that retrying cannot fix
+ */
+const PERMANENT_ERROR_HINTS = {
+  unauthorized: 'check the bot token',
+  chat_not_found: 'check the chat ID and that the bot was added to the chat',
+  forbidden: 'the bot was removed from the chat, blocked or lacks rights',
+  bad_request: 'the request was rejected'
+};
+
+/**
+ * Telegram Bot API error
+ */
+class TelegramError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.kind - Error kind (unauthorized, chat_not_found, forbidden,
+   *   bad_request, rate_limited, server, network)
+   * @param {number} [details.status] - HTTP status
+   * @param {string} [details.description] - Telegram error description
+   * @param {number} [details.retryAfter] - Seconds to wait before retrying (429 responses)
+   */
+  constructor(message, { kind, status = null, description = '', retryAfter = null }) {
+    super(message);
+    this.name = 'TelegramError';
+    this.kind = kind;
+    this.status = status;
+    this.description = description;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * Whether retrying the request cannot succeed
+   * @returns {boolean}
+   */
+  get permanent() {
+    return this.kind in PERMANENT_ERROR_HINTS;
+  }
+
+  /**
+   * What to do about a permanent error
+   * @returns {string}
+   */
+  get hint() {
+    return PERMANENT_ERROR_HINTS[this.kind] || '';
+  }
+}
+
+/**
+ * @param {number} ms
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Classify a failed Telegram API response
+ * @param {number} status - HTTP status
+ * @param {string} description - Telegram error description
+ * @returns {string} - Error kind
+ */
+function classifyError(status, description) {
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'server';
+  if (status === 401) return 'unauthorized';
+  if (status === 403) return 'forbidden';
+  if (/chat not found/i.test(description)) return 'chat_not_found';
+  return 'bad_request';
+}
+
+/**
+ * Make a single Telegram Bot API request
+ * @param {string} token - Telegram bot token
+ * @param {string} method - API method
+ * @param {Object} payload - Method parameters
+ * @returns {Promise<Object>} - Telegram API response
+ */
+async function request(token, method, payload) {
+  let response;
+  try {
+    response = await fetch(`${BASE_URL}/bot${token}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+  } catch (error) {
+    throw new TelegramError(`Telegram API network error: ${error.message}`, { kind: 'network' });
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const description = data.description || 'Unknown error';
+    throw new TelegramError(
+      `Telegram API error: ${response.status}, description: ${description}`,
+      {
+        kind: classifyError(response.status, description),
+        status: response.status,
+        description,
+        retryAfter: data.parameters?.retry_after ?? null
+      }
+    );
+  }
+
+  return response.json();
+}
+
+/**
+ * Call a Telegram Bot API method with a JSON body
+ * Honours retry_after on 429 responses and retries 5xx and network errors
+ * with backoff; permanent errors are thrown right away.
+ * @param {string} token - Telegram bot token
+ * @param {string} method - API method (e.g., "sendMessage")
+ * @param {Object} payload - Method parameters
+ * @param {number} [maxRetries=RETRY_ATTEMPTS] - Maximum number of attempts
+ * @returns {Promise<Object>} - Telegram API response
+ */
+async function callApi(token, method, payload, maxRetries = RETRY_ATTEMPTS) {
+  if (!token) {
+    throw new Error('Telegram token is required');
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request(token, method, payload);
+    } catch (error) {
+      if (error.permanent || attempt >= maxRetries || error.retryAfter > MAX_RETRY_AFTER_SECONDS) {
+        throw error;
+      }
+
+      const delay = error.retryAfter ? error.retryAfter * 1000 : RETRY_DELAY_MS * attempt;
+      core.warning(`Telegram ${method} attempt ${attempt} failed, retrying in ${delay}ms: ${error.message}`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Check that the bot token is valid
+ * @param {string} token - Telegram bot token
+ * @returns {Promise<Object>} - Telegram API response with the bot user
+ */
+async function getMe(token) {
+  return callApi(token, 'getMe', {});
+}
+
+/**
+ * Check that the chat exists and is reachable by the bot
+ * @param {string} token - Telegram bot token
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Object>} - Telegram API response with the chat
+ */
+async function getChat(token, chatId) {
+  return callApi(token, 'getChat', { chat_id: chatId });
+}
 
 /**
  * Send a message to Telegram chat
@@ -11,9 +174,10 @@ const BASE_URL = 'https://api.telegram.org';
  * @param {string} options.chatId - Chat ID to send to
  * @param {string} options.text - Message text
  * @param {string} [options.parseMode='MarkdownV2'] - Parse mode
+ * @param {number} [options.messageThreadId] - Forum topic ID
  * @returns {Promise<Object>} - Telegram API response
  */
-async function sendMessage({ token, chatId, text, parseMode = 'MarkdownV2' }) {
+async function sendMessage({ token, chatId, text, parseMode = 'MarkdownV2', messageThreadId }) {
   if (!token) {
     throw new Error('Telegram token is required');
   }
@@ -24,26 +188,159 @@ async function sendMessage({ token, chatId, text, parseMode = 'MarkdownV2' }) {
     throw new Error('Message text is required');
   }
 
-  const url = `${BASE_URL}/bot${token}/sendMessage`;
-  const params = new URLSearchParams({
+  return callApi(token, 'sendMessage', {
     chat_id: chatId,
     text: text,
     parse_mode: parseMode,
+    ...(messageThreadId ? { message_thread_id: messageThreadId } : {}),
   });
+}
 
-  const response = await fetch(`${url}?${params.toString()}`);
+/**
+ * Replace the text of a sent message
+ * An unchanged text is not an error: the message already shows it.
+ * @param {Object} options - Edit options
+ * @param {string} options.token - Telegram bot token
+ * @param {string} options.chatId - Chat ID of the message
+ * @param {number} options.messageId - Message ID to edit
+ * @param {string} options.text - New message text
+ * @param {string} [options.parseMode='MarkdownV2'] - Parse mode
+ * @returns {Promise<Object>} - Telegram API response
+ */
+async function editMessageText({ token, chatId, messageId, text, parseMode = 'MarkdownV2' }) {
+  if (!chatId) {
+    throw new Error('Chat ID is required');
+  }
+  if (!messageId) {
+    throw new Error('Message ID is required');
+  }
+  if (!text) {
+    throw new Error('Message text is required');
+  }
 
-  if (!response.ok) {
-    const data = await response.json();
-    throw new Error(
-      `Telegram API error: ${response.status}, description: ${data.description || 'Unknown error'}`
-    );
+  try {
+    return await callApi(token, 'editMessageText', {
+      chat_id: chatId,
+      message_id: messageId,
+      text: text,
+      parse_mode: parseMode,
+    });
+  } catch (error) {
+    if (error.message.includes(NOT_MODIFIED_ERROR)) {
+      return { ok: true, result: { message_id: messageId } };
+    }
+    throw error;
   }
+}
 
-  return response.json();
+/**
+ * Pin a message in Telegram chat
+ * @param {Object} options - Pin options
+ * @param {string} options.token - Telegram bot token
+ * @param {string} options.chatId - Chat ID of the message
+ * @param {number} options.messageId - Message ID to pin
+ * @param {boolean} [options.disableNotification=true] - Pin silently
+ * @returns {Promise<Object>} - Telegram API response
+ */
+async function pinChatMessage({ token, chatId, messageId, disableNotification = true }) {
+  return callApi(token, 'pinChatMessage', {
+    chat_id: chatId,
+    message_id: messageId,
+    disable_notification: disableNotification,
+  });
+}
+
+/**
+ * Delete a message from Telegram chat
+ * @param {Object} options - Delete options
+ * @param {string} options.token - Telegram bot token
+ * @param {string} options.chatId - Chat ID of the message
+ * @param {number} options.messageId - Message ID to delete
+ * @returns {Promise<Object>} - Telegram API response
+ */
+async function deleteMessage({ token, chatId, messageId }) {
+  return callApi(token, 'deleteMessage', {
+    chat_id: chatId,
+    message_id: messageId,
+  });
+}
+
+/**
+ * Send several messages to Telegram chat one after another
+ * If a message fails, the already sent ones are deleted, so the chat
+ * never keeps a half-delivered release.
+ * @param {Object} options - Send options
+ * @param {string} options.token - Telegram bot token
+ * @param {string} options.chatId - Chat ID to send to
+ * @param {string[]} options.texts - Message texts in sending order
+ * @param {string} [options.parseMode='MarkdownV2'] - Parse mode
+ * @param {number} [options.messageThreadId] - Forum topic ID
+ * @returns {Promise<Object[]>} - Telegram API responses
+ */
+async function sendMessages({ token, chatId, texts, parseMode = 'MarkdownV2', messageThreadId }) {
+  const responses = [];
+
+  try {
+    for (const text of texts) {
+      responses.push(await sendMessage({ token, chatId, text, parseMode, messageThreadId }));
+    }
+  } catch (error) {
+    for (const response of responses) {
+      const messageId = response.result?.message_id;
+      await deleteMessage({ token, chatId, messageId }).catch(deleteError => {
+        core.warning(`Failed to delete partially sent message ${messageId}: ${deleteError.message}`);
+      });
+    }
+    throw error;
+  }
+
+  return responses;
+}
+
+/**
+ * Update previously sent messages with new texts
+ * Existing messages are edited in place, extra texts are sent as new messages
+ * and messages left without a text are deleted.
+ * @param {Object} options - Update options
+ * @param {string} options.token - Telegram bot token
+ * @param {string} options.chatId - Chat ID of the messages
+ * @param {number[]} options.messageIds - IDs of previously sent messages in order
+ * @param {string[]} options.texts - Message texts in sending order
+ * @param {string} [options.parseMode='MarkdownV2'] - Parse mode
+ * @param {number} [options.messageThreadId] - Forum topic ID for new messages
+ * @returns {Promise<Object[]>} - Telegram API responses for the current messages
+ */
+async function updateMessages({ token, chatId, messageIds, texts, parseMode = 'MarkdownV2', messageThreadId }) {
+  const responses = [];
+
+  for (const [index, text] of texts.entries()) {
+    const messageId = messageIds[index];
+    responses.push(messageId
+      ? await editMessageText({ token, chatId, messageId, text, parseMode })
+      : await sendMessage({ token, chatId, text, parseMode, messageThreadId }));
+  }
+
+  for (const messageId of messageIds.slice(texts.length)) {
+    await deleteMessage({ token, chatId, messageId });
+  }
+
+  return responses;
 }
 
 module.exports = {
+  TelegramError,
+  callApi,
+  getMe,
+  getChat,
   sendMessage,
-  BASE_URL
+  sendMessages,
+  editMessageText,
+  updateMessages,
+  pinChatMessage,
+  deleteMessage,
+  BASE_URL,
+  MAX_MESSAGE_LENGTH,
+  RETRY_ATTEMPTS,
+  RETRY_DELAY_MS,
+  MAX_RETRY_AFTER_SECONDS
 };
@@ -0,0 +1,436 @@
+/**
+ * Changelog template module
+ * Renders messages from a small logic-less template language (a Mustache subset):
+ *   {{name}}, {{a.b}}, {{.}}  - value, escaped for the parse mode
+ *   {{{name}}}, {{&name}}      - value as is
+ *   {{#name}}...{{/name}}      - list loop, or block shown when the value is set
+ *   {{^name}}...{{/name}}      - block shown when the value is empty
+ *   {{! comment}}
+ * Literal template text is escaped like values, so one template fits every parse mode;
+ * markup comes from the helpers {{#bold}}, {{#quote}} and {{#link}} (links to the nearest url).
+ * Lines holding only a block tag or a comment are dropped from the output.
+ */
+
+const { readInputText } = require('./config');
+const { getFormatter } = require('./formatters');
+const {
+  BREAKING_PREFIX,
+  formatEntryAuthors,
+  formatEntryDetails,
+  formatEntryDescription
+} = require('./changelog');
+const { formatInlineMarkdown } = require('./richtext');
+const { getVersion } = require('./parsing');
+const { getLocale } = require('./locales');
+
+const TAG_PATTERN = /\{\{(\{[^}]*\}|[^}]*)\}\}/g;
+const BLOCK_TAGS = ['#', '^', '/', '!'];
+const PART_PLACEHOLDER = '999/999';
+
+/**
+ * The built-in changelog format, used when no template is set
+ * The project header is left out for a release without a project name.
+ */
+const DEFAULT_TEMPLATE = `{{#project}}
+{{#bold}}{{project}}{{/bold}}{{#part}} ({{part}}){{/part}}
+
+{{/project}}
+{{#sections}}
+{{#bold}}{{heading}}{{/bold}}
+{{#entries}}
+{{emoji}} {{#scope}}{{#bold}}{{scope}}:{{/bold}} {{/scope}}{{{titleMarkup}}} ({{{mentions}}}{{#multipleCommits}}; {{labels.commitCount}}: {{commitCount}}{{/multipleCommits}}){{#pullRequest}} {{#link}}#{{number}}{{/link}}{{/pullRequest}}{{#url}} {{#link}}{{labels.taskLink}}{{/link}}{{/url}}
+{{#details}}
+  • {{{markup}}}
+{{/details}}
+{{#description}}
+{{#quote}}{{#bold}}{{labels.problemTitle}}{{/bold}}
+{{{descriptionMarkup}}}{{/quote}}
+{{/description}}
+{{/entries}}
+
+{{/sections}}
+`;
+
+/**
+ * Parse template into a tree of nodes
+ * @param {string} template - Template text
+ * @returns {Array<Object>} - Nodes: { type: 'text', text }, { type: 'value', name, raw }
+ *   and { type: 'block', name, inverted, children }
+ */
+function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let position = 0;
+
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    const tag = match[1].trim();
+    const tagEnd = match.index + match[0].length;
+    let textEnd = match.index;
+    let next = tagEnd;
+
+    // Drop lines that hold only a block tag or a comment
+    if (BLOCK_TAGS.includes(tag[0])) {
+      const lineStart = template.lastIndexOf('\n', match.index - 1) + 1;
+      const newline = template.indexOf('\n', tagEnd);
+      const lineEnd = newline === -1 ? template.length : newline;
+      if (
+        lineStart >= position &&
+        /^[ \t]*$/.test(template.slice(lineStart, match.index)) &&
+        /^[ \t]*$/.test(template.slice(tagEnd, lineEnd))
+      ) {
+        textEnd = lineStart;
+        next = newline === -1 ? template.length : newline + 1;
+      }
+    }
+
+    const { children } = stack[stack.length - 1];
+    if (textEnd > position) {
+      children.push({ type: 'text', text: template.slice(position, textEnd) });
+    }
+    position = next;
+
+    const kind = tag[0];
+    const name = tag.replace(/^[{&#^/!]\s*|\s*\}$/g, '');
+
+    if (kind === '!') {
+      continue;
+    }
+    if (kind === '#' || kind === '^') {
+      const block = { type: 'block', name, inverted: kind === '^', children: [] };
+      children.push(block);
+      stack.push(block);
+    } else if (kind === '/') {
+      const block = stack.pop();
+      if (stack.length === 0 || block.name !== name) {
+        throw new Error(`Template error: unexpected {{/${name}}}`);
+      }
+    } else {
+      children.push({ type: 'value', name, raw: kind === '{' || kind === '&' });
+    }
+  }
+
+  if (position < template.length) {
+    stack[stack.length - 1].children.push({ type: 'text', text: template.slice(position) });
+  }
+  if (stack.length > 1) {
+    throw new Error(`Template error: unclosed {{#${stack[stack.length - 1].name}}}`);
+  }
+
+  return root.children;
+}
+
+/**
+ * Find a value in the context stack
+ * The first name part is looked up from the innermost context outwards.
+ * @param {Array} contexts - Context stack, innermost last
+ * @param {string} name - Value name (e.g., "title", "labels.taskLink" or ".")
+ * @returns {*} - Value or undefined
+ */
+function lookup(contexts, name) {
+  if (name === '.') {
+    return contexts[contexts.length - 1];
+  }
+
+  const [first, ...rest] = name.split('.');
+  const context = [...contexts].reverse().find(item =>
+    item !== null && typeof item === 'object' && first in item
+  );
+  let value = context ? context[first] : undefined;
+  for (const part of rest) {
+    value = value === null || value === undefined ? undefined : value[part];
+  }
+
+  return value;
+}
+
+/**
+ * Render parsed nodes
+ * @param {Array<Object>} nodes - Nodes from parseTemplate
+ * @param {Array} contexts - Context stack, innermost last
+ * @param {Object} formatter - Formatter of the target parse mode
+ * @returns {string} - Rendered text
+ */
+function renderNodes(nodes, contexts, formatter) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += formatter.escape(node.text);
+      continue;
+    }
+
+    const value = lookup(contexts, node.name);
+
+    if (node.type === 'value') {
+      const text = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+      output += node.raw ? text : formatter.escape(text);
+      continue;
+    }
+
+    const empty = value === undefined || value === null || value === false || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+
+    if (node.inverted) {
+      output += empty ? renderNodes(node.children, contexts, formatter) : '';
+    } else if (typeof value === 'function') {
+      output += value(renderNodes(node.children, contexts, formatter), name => lookup(contexts, name));
+    } else if (Array.isArray(value)) {
+      output += value.map(item => renderNodes(node.children, [...contexts, item], formatter)).join('');
+    } else if (!empty) {
+      output += renderNodes(node.children, [...contexts, value], formatter);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template text
+ * @param {Object} view - Template values
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.parseMode='MarkdownV2'] - Parse mode used for escaping and markup
+ * @returns {string} - Rendered text
+ */
+function renderTemplate(template, view, { parseMode } = {}) {
+  const formatter = getFormatter(parseMode);
+  const helpers = {
+    bold: text => formatter.bold(text),
+    quote: text => formatter.quote(text),
+    link: (text, find) => {
+      const url = find('url');
+      return url ? formatter.link(text, url) : text;
+    }
+  };
+
+  return renderNodes(parseTemplate(template), [helpers, view], formatter);
+}
+
+/**
+ * Load template from a file path or inline text
+ * @param {string} [value] - File path or template text
+ * @returns {string|null} - Template text or null when not set
+ */
+function loadTemplate(value) {
+  return readInputText(value);
+}
+
+/**
+ * Build template values for a release
+ * @param {Object} release - Release ({ projectName, repository, environment, ref, sections, locale? })
+ * @param {Object} [options] - View options
+ * @param {string} [options.part] - Part marker (e.g., "1/3") for multi-part messages
+ * @param {string} [options.parseMode='MarkdownV2'] - Parse mode of the author mentions
+ * @returns {Object} - Template values
+ */
+function buildTemplateView(release, { part = '', parseMode } = {}) {
+  const locale = release.locale || getLocale();
+  const formatter = getFormatter(parseMode);
+  const sections = release.sections.map(section => ({
+    prefix: section.prefix,
+    title: section.title,
+    emoji: section.emoji,
+    heading: section.prefix === BREAKING_PREFIX ? `${section.emoji} ${section.title}` : section.title,
+    breaking: section.prefix === BREAKING_PREFIX,
+    entries: section.entries.map(entry => ({
+      taskId: entry.taskId,
+      title: entry.title,
+      titleMarkup: formatInlineMarkdown(entry.title, formatter),
+      author: entry.author,
+      authors: entry.authors || [entry.author],
+      mentions: formatEntryAuthors(entry, formatter),
+      commitCount: entry.commitCount || 1,
+      multipleCommits: (entry.commitCount || 1) > 1,
+      url: entry.link,
+      pullRequest: entry.pullRequest || null,
+      details: formatEntryDetails(entry, formatter).map((markup, index) => ({ text: entry.details[index], markup })),
+      description: entry.description,
+      descriptionMarkup: formatEntryDescription(entry, formatter, locale),
+      scope: entry.scope,
+      breaking: Boolean(entry.breaking),
+      emoji: section.emoji
+    }))
+  }));
+  const entries = sections.flatMap(section => section.entries);
+
+  return {
+    project: release.projectName,
+    version: getVersion(release.ref) || '',
+    environment: release.environment || '',
+    repository: release.repository || '',
+    ref: release.ref || '',
+    part,
+    labels: {
+      taskLink: locale.taskLink,
+      problemTitle: locale.problemTitle,
+      commitCount: locale.commitCount,
+      readMore: locale.readMore
+    },
+    sections,
+    authors: [...new Set(entries.flatMap(entry => entry.authors))],
+    taskIds: [...new Set(entries.map(entry => entry.taskId).filter(Boolean))]
+  };
+}
+
+/**
+ * Cut text into pieces no longer than the limit
+ * @param {string} text - Rendered text
+ * @param {number} limit - Maximum piece length
+ * @param {Object} formatter - Formatter that knows where text may be cut
+ * @returns {string[]} - Text pieces
+ */
+function cutText(text, limit, formatter) {
+  const pieces = [];
+  let rest = text;
+
+  while (rest.length > limit) {
+    let end = formatter.safeCutIndex(rest, limit);
+    if (end <= 0) {
+      end = limit;
+    }
+    pieces.push(rest.slice(0, end));
+    rest = rest.slice(end);
+  }
+  pieces.push(rest);
+
+  return pieces;
+}
+
+/**
+ * Join lines back into text, quoting every run of quoted lines as one quote
+ * @param {Array<{text: string, quoted: boolean}>} lines - Lines from formatter.splitLines
+ * @param {Object} formatter - Formatter of the parse mode
+ * @returns {string} - Text
+ */
+function joinLines(lines, formatter) {
+  const runs = [];
+  for (const line of lines) {
+    const last = runs[runs.length - 1];
+    if (last && last.quoted && line.quoted) {
+      last.lines.push(line.text);
+    } else {
+      runs.push({ quoted: line.quoted, lines: [line.text] });
+    }
+  }
+  return runs
+    .map(run => (run.quoted ? formatter.quote(run.lines.join('\n')) : run.lines.join('\n')))
+    .join('\n')
+    .trimEnd();
+}
+
+/**
+ * Cut an oversized entry into pieces no longer than the limit
+ * The entry is cut on line boundaries and a line longer than the limit is cut further;
+ * quoted lines are quoted again in every piece, so no quote block or escape sequence is broken.
+ * @param {string} entry - Rendered entry
+ * @param {number} limit - Maximum piece length
+ * @param {Object} formatter - Formatter of the entry parse mode
+ * @returns {string[]} - Entry pieces
+ */
+function cutEntry(entry, limit, formatter) {
+  if (!formatter.splitLines) {
+    return cutText(entry, limit, formatter);
+  }
+
+  const quoteOverhead = formatter.quote('').length;
+  const lines = formatter.splitLines(entry).flatMap(({ text, quoted }) =>
+    cutText(text, quoted ? limit - quoteOverhead : limit, formatter).map(piece => ({ text: piece, quoted }))
+  );
+
+  const pieces = [];
+  let current = [];
+  for (const line of lines) {
+    if (current.length > 0 && joinLines([...current, line], formatter).length > limit) {
+      pieces.push(joinLines(current, formatter));
+      current = [];
+    }
+    current.push(line);
+  }
+  pieces.push(joinLines(current, formatter));
+
+  return pieces.filter(piece => piece.trim());
+}
+
+/**
+ * Render a release with a template into messages that fit into the length limit
+ * Entries are distributed between messages, each rendered with the whole template
+ * and a "1/3" style part marker. An entry too long for a message on its own is cut
+ * by line, and every piece is sent under the header and section title of the entry.
+ * @param {Object} release - Release ({ projectName, repository, environment, ref, sections })
+ * @param {Object} options - Rendering options
+ * @param {string} options.template - Template text
+ * @param {string} [options.parseMode='MarkdownV2'] - Parse mode
+ * @param {number} [options.limit=Infinity] - Maximum message length
+ * @returns {string[]} - Messages
+ */
+function renderTemplateMessages(release, { template, parseMode, limit = Infinity }) {
+  if (release.sections.length === 0) {
+    return [];
+  }
+
+  const formatter = getFormatter(parseMode);
+  const render = (sections, part) =>
+    renderTemplate(template, buildTemplateView({ ...release, sections }, { part, parseMode }), { parseMode }).trimEnd();
+  const withoutEntries = sections => sections.map(section => ({ ...section, entries: [] }));
+
+  const whole = render(release.sections, '');
+  if (whole.length <= limit) {
+    return [whole];
+  }
+
+  const parts = [];
+  let current = [];
+  for (const section of release.sections) {
+    for (const entry of section.entries) {
+      const last = current[current.length - 1];
+      const candidate = last && last.source === section
+        ? [...current.slice(0, -1), { ...last, entries: [...last.entries, entry] }]
+        : [...current, { ...section, source: section, entries: [entry] }];
+
+      if (current.length > 0 && render(candidate, PART_PLACEHOLDER).length > limit) {
+        parts.push(current);
+        current = [{ ...section, source: section, entries: [entry] }];
+      } else {
+        current = candidate;
+      }
+    }
+  }
+  parts.push(current);
+
+  // Only a part of a single entry can be too long; it becomes several messages,
+  // so messages are counted after cutting
+  const messages = parts.flatMap(sections => {
+    const text = render(sections, PART_PLACEHOLDER);
+    if (text.length <= limit) {
+      return [{ sections }];
+    }
+
+    const frame = render(withoutEntries(sections), PART_PLACEHOLDER);
+    if (!frame || !text.startsWith(`${frame}\n`)) {
+      // The template does not render the header before the entry: cut the message as a whole
+      return cutEntry(render(sections, ''), limit, formatter).map(piece => ({ piece }));
+    }
+    const budget = limit - frame.length - 1;
+    if (budget < formatter.quote('').length + 2) {
+      throw new Error(`Section header does not fit into ${limit} characters`);
+    }
+    return cutEntry(text.slice(frame.length + 1), budget, formatter).map(piece => ({ sections, piece }));
+  });
+
+  return messages.map(({ sections, piece }, index) => {
+    const part = `${index + 1}/${messages.length}`;
+    if (piece === undefined) {
+      return render(sections, part);
+    }
+    return sections ? `${render(withoutEntries(sections), part)}\n${piece}` : piece;
+  });
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  parseTemplate,
+  renderTemplate,
+  loadTemplate,
+  buildTemplateView,
+  renderTemplateMessages
+};
@@ -0,0 +1,200 @@
+/**
+ * Semantic versioning module
+ * Works out the next version from the commit set and the last version tag:
+ * major for breaking changes, minor for features, patch for everything else.
+ */
+
+const github = require('@actions/github');
+const { parseCommitMessage, getTagName } = require('./parsing');
+
+const SEMVER_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Bump levels from the highest
+ */
+const BUMPS = ['major', 'minor', 'patch'];
+
+/**
+ * How the action runs: notify sends the changelog, version only computes the next version
+ */
+const MODES = ['notify', 'version'];
+
+/**
+ * Parse a semantic version
+ * @param {string} text - Version or tag (e.g., "v1.2.3", "1.2.3-rc.1")
+ * @returns {{major: number, minor: number, patch: number, prerelease: string|null}|null} - Version or null
+ */
+function parseSemver(text) {
+  const match = SEMVER_PATTERN.exec((text || '').trim());
+  if (!match) {
+    return null;
+  }
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] || null
+  };
+}
+
+/**
+ * Compare semantic versions, a release is above its prereleases
+ * @param {Object} a - Version from parseSemver
+ * @param {Object} b - Version from parseSemver
+ * @returns {number} - Negative when a < b, positive when a > b, 0 when equal
+ */
+function compareSemver(a, b) {
+  for (const part of ['major', 'minor', 'patch']) {
+    if (a[part] !== b[part]) {
+      return a[part] - b[part];
+    }
+  }
+  if (a.prerelease === b.prerelease) {
+    return 0;
+  }
+  if (!a.prerelease || !b.prerelease) {
+    return a.prerelease ? -1 : 1;
+  }
+  return a.prerelease.localeCompare(b.prerelease, 'en', { numeric: true });
+}
+
+/**
+ * Format a version without the "v" prefix
+ * @param {Object} version - Version from parseSemver
+ * @returns {string} - Version (e.g., "1.2.3")
+ */
+function formatSemver({ major, minor, patch, prerelease }) {
+  return `${major}.${minor}.${patch}${prerelease ? `-${prerelease}` : ''}`;
+}
+
+/**
+ * Detect the semver bump of a commit set
+ * @param {Array} commits - Array of commit objects
+ * @returns {string|null} - major, minor, patch, or null without commits
+ */
+function detectBump(commits) {
+  if (!commits || commits.length === 0) {
+    return null;
+  }
+
+  const parsed = commits.map(commit => parseCommitMessage(commit.message));
+  if (parsed.some(message => message.breaking)) {
+    return 'major';
+  }
+  if (parsed.some(message => message.type === 'feat')) {
+    return 'minor';
+  }
+  return 'patch';
+}
+
+/**
+ * Bump a version
+ * A prerelease is dropped; it is not bumped further when its release already
+ * includes the bump (e.g., 2.0.0-rc.1 with major gives 2.0.0).
+ * @param {string} version - Current version (e.g., "1.2.3")
+ * @param {string} bump - major, minor or patch
+ * @returns {string} - Next version
+ */
+function bumpVersion(version, bump) {
+  const current = parseSemver(version);
+  if (!current) {
+    throw new Error(`Invalid semantic version: ${version}`);
+  }
+  if (!BUMPS.includes(bump)) {
+    throw new Error(`Unsupported bump: ${bump}, expected one of ${BUMPS.join(', ')}`);
+  }
+
+  const { major, minor, patch, prerelease } = current;
+  if (prerelease) {
+    const released = bump === 'patch' ||
+      (bump === 'minor' && patch === 0) ||
+      (bump === 'major' && minor === 0 && patch === 0);
+    if (released) {
+      return formatSemver({ major, minor, patch, prerelease: null });
+    }
+  }
+
+  if (bump === 'major') {
+    return formatSemver({ major: major + 1, minor: 0, patch: 0 });
+  }
+  if (bump === 'minor') {
+    return formatSemver({ major, minor: minor + 1, patch: 0 });
+  }
+  return formatSemver({ major, minor, patch: patch + 1 });
+}
+
+/**
+ * Find the highest version among tags
+ * @param {string[]} tags - Tag names
+ * @param {string} [below] - Version or tag; only lower versions are taken
+ * @returns {string|null} - Tag with the highest version or null when no tag is a version
+ */
+function findLastVersionTag(tags, below) {
+  const limit = below ? parseSemver(below) : null;
+  let last = null;
+  for (const tag of tags) {
+    const version = parseSemver(tag);
+    if (!version || (limit && compareSemver(version, limit) >= 0)) {
+      continue;
+    }
+    if (!last || compareSemver(version, last.version) > 0) {
+      last = { tag, version };
+    }
+  }
+  return last ? last.tag : null;
+}
+
+/**
+ * Fetch the last version tag of the repository
+ * @param {Object} options - Fetch options
+ * @param {string} options.token - GitHub token
+ * @param {string} [options.ref] - Git ref of the run; its tag is not taken as the last one,
+ *   and when it is a version tag only lower versions are
+ * @returns {Promise<string|null>} - Tag or null when the repository has no version tags
+ */
+async function fetchLastVersionTag({ token, ref }) {
+  if (!token) {
+    throw new Error('GitHub token is required');
+  }
+
+  const octokit = github.getOctokit(token);
+  const { owner, repo } = github.context.repo;
+  const tags = await octokit.paginate(octokit.rest.repos.listTags, { owner, repo, per_page: 100 });
+  const current = getTagName(ref);
+
+  return findLastVersionTag(tags.map(tag => tag.name).filter(name => name !== current), current);
+}
+
+/**
+ * Compute the next version of a commit set
+ * @param {Array} commits - Array of commit objects
+ * @param {string|null} lastVersion - Last version or tag, null for the first release (counted from 0.0.0)
+ * @returns {{bump: string, lastVersion: string, nextVersion: string}} - bump is none without commits
+ */
+function computeNextVersion(commits, lastVersion) {
+  const current = lastVersion ? parseSemver(lastVersion) : parseSemver('0.0.0');
+  if (!current) {
+    throw new Error(`Invalid semantic version: ${lastVersion}`);
+  }
+
+  const bump = detectBump(commits);
+  const version = formatSemver(current);
+
+  return {
+    bump: bump || 'none',
+    lastVersion: version,
+    nextVersion: bump ? bumpVersion(version, bump) : version
+  };
+}
+
+module.exports = {
+  parseSemver,
+  compareSemver,
+  detectBump,
+  bumpVersion,
+  findLastVersionTag,
+  fetchLastVersionTag,
+  computeNextVersion,
+  BUMPS,
+  MODES
+};
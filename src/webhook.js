@@ -0,0 +1,95 @@
+/**
+ * Generic webhook module
+ * Posts JSON payloads to webhooks and builds the structured release payload
+ */
+
+/**
+ * Post a JSON payload to a webhook
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - Payload to post as JSON
+ * @param {string} [name='Webhook'] - Service name for error messages
+ * @returns {Promise<Response>} - Fetch response
+ */
+async function postWebhook(url, payload, name = 'Webhook') {
+  if (!url) {
+    throw new Error(`${name} URL is required`);
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`${name} error: ${response.status}, description: ${errorText || 'Unknown error'}`);
+  }
+
+  return response;
+}
+
+/**
+ * Build structured release payload from changelog sections
+ * @param {Object} release - Release information
+ * @param {string} release.projectName - Project name
+ * @param {string} [release.repository] - Repository name
+ * @param {string} [release.environment] - Deployment environment
+ * @param {string} [release.ref] - Git ref of the release
+ * @param {Array<Object>} release.sections - Sections from collectChangelog
+ * @returns {Object} - Release payload
+ */
+function buildReleasePayload({ projectName, repository = null, environment = null, ref = null, sections }) {
+  const entries = sections.flatMap(section => section.entries);
+  const unique = values => [...new Set(values.filter(Boolean))];
+
+  return {
+    project: projectName,
+    repository,
+    environment,
+    ref,
+    sections: sections.map(section => ({
+      prefix: section.prefix,
+      title: section.title,
+      emoji: section.emoji,
+      entries: section.entries.map(entry => ({
+        task_id: entry.taskId,
+        title: entry.title,
+        scope: entry.scope ?? null,
+        breaking: Boolean(entry.breaking),
+        author: entry.author,
+        authors: entry.authors || [entry.author],
+        contributors: (entry.contributors || []).map(({ login, name, telegram, slack }) => ({ login, name, telegram, slack })),
+        commit_count: entry.commitCount || 1,
+        commits: entry.commits || [],
+        pull_request: entry.pullRequest
+          ? { number: entry.pullRequest.number, url: entry.pullRequest.url, labels: entry.pullRequest.labels }
+          : null,
+        link: entry.link,
+        description: entry.description,
+        details: entry.details || []
+      }))
+    })),
+    task_ids: unique(entries.map(entry => entry.taskId)),
+    authors: unique(entries.flatMap(entry => entry.authors || [entry.author])),
+    links: unique(entries.map(entry => entry.link))
+  };
+}
+
+/**
+ * Send release payload to a generic webhook
+ * @param {Object} options - Send options
+ * @param {string} options.webhookUrl - Webhook URL
+ * @param {Object} options.release - Release information (see buildReleasePayload)
+ * @returns {Promise<number>} - Number of sent messages
+ */
+async function sendWebhookRelease({ webhookUrl, release }) {
+  await postWebhook(webhookUrl, buildReleasePayload(release));
+  return 1;
+}
+
+module.exports = {
+  postWebhook,
+  buildReleasePayload,
+  sendWebhookRelease
+};
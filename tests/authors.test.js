@@ -0,0 +1,155 @@
+jest.mock('@actions/github', () => ({
+  getOctokit: jest.fn(),
+  context: {
+    repo: { owner: 'test-owner', repo: 'test-repo' }
+  }
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const github = require('@actions/github');
+const {
+  parseAuthorsConfig,
+  parseCoAuthors,
+  getCommitPeople,
+  createAuthorResolver
+} = require('../src/authors');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('parseAuthorsConfig', () => {
+  test('returns empty list without input', () => {
+    expect(parseAuthorsConfig('')).toEqual([]);
+  });
+
+  test('normalizes authors', () => {
+    expect(parseAuthorsConfig(`
+- login: alice
+  emails: [Alice@Example.com]
+  name: Alice
+  telegram: "@alice_dev"
+  slack: U01ALICE
+- emails: bob@example.com
+`)).toEqual([
+      { login: 'alice', emails: ['alice@example.com'], name: 'Alice', telegram: 'alice_dev', slack: 'U01ALICE' },
+      { login: null, emails: ['bob@example.com'], name: null, telegram: null, slack: null }
+    ]);
+  });
+
+  test('reads authors from a file', () => {
+    const file = path.join(os.tmpdir(), `authors-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify([{ login: 'alice' }]));
+    try {
+      expect(parseAuthorsConfig(file)[0].login).toBe('alice');
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  test('rejects invalid authors', () => {
+    expect(() => parseAuthorsConfig('login: alice')).toThrow('Invalid authors input: expected a list of authors');
+    expect(() => parseAuthorsConfig('- name: Alice')).toThrow('Invalid authors input: author #1 needs a login or emails');
+    expect(() => parseAuthorsConfig('- login: alice\n  phone: 1')).toThrow('author #1 has unknown field phone');
+    expect(() => parseAuthorsConfig('- emails: alice')).toThrow('emails must be an email or a list of emails');
+    expect(() => parseAuthorsConfig('- login: alice\n  slack: 1')).toThrow('slack must be a non-empty string');
+  });
+});
+
+describe('parseCoAuthors', () => {
+  test('parses Co-authored-by trailers', () => {
+    const message = 'feat: pair\n\nBody\n\nRefs: TECH-1\nCo-authored-by: Bob Builder <bob@example.com>\nco-authored-by: Carol <carol@example.com>';
+
+    expect(parseCoAuthors(message)).toEqual([
+      { name: 'Bob Builder', email: 'bob@example.com' },
+      { name: 'Carol', email: 'carol@example.com' }
+    ]);
+  });
+
+  test('ignores trailers in the body', () => {
+    expect(parseCoAuthors('feat: x\n\nCo-authored-by: Bob <bob@example.com>\n\nmore text')).toEqual([]);
+  });
+});
+
+describe('getCommitPeople', () => {
+  test('lists the author and co-authors once', () => {
+    const commit = {
+      message: 'fix: x\n\nCo-authored-by: Alice <alice@example.com>\nCo-authored-by: Bob <bob@example.com>',
+      author: { username: 'alice', name: 'Alice', email: 'alice@example.com' }
+    };
+
+    expect(getCommitPeople(commit)).toEqual([
+      { login: 'alice', name: 'Alice', email: 'alice@example.com' },
+      { login: null, name: 'Bob', email: 'bob@example.com' }
+    ]);
+  });
+});
+
+describe('createAuthorResolver', () => {
+  const directory = parseAuthorsConfig(`
+- login: alice
+  name: Alice
+  telegram: alice_dev
+- emails: bob@example.com
+  name: Bob
+  slack: U01BOB
+`);
+
+  test('keeps commit authors as is without a directory', async () => {
+    const resolve = createAuthorResolver();
+
+    expect(await resolve({ message: 'fix: x', author: { username: 'alice' } })).toEqual([
+      { login: 'alice', name: 'alice', telegram: null, slack: null }
+    ]);
+    expect(await resolve({ message: 'fix: x', author: {} })).toEqual([
+      { login: null, name: 'unknown', telegram: null, slack: null }
+    ]);
+  });
+
+  test('matches directory entries by login and email', async () => {
+    const resolve = createAuthorResolver({ directory });
+    const commit = {
+      message: 'feat: x\n\nCo-authored-by: Bob B. <BOB@example.com>',
+      author: { username: 'ALICE', email: 'a@example.com' }
+    };
+
+    expect(await resolve(commit)).toEqual([
+      { login: 'alice', name: 'Alice', telegram: 'alice_dev', slack: null },
+      { login: null, name: 'Bob', telegram: null, slack: 'U01BOB' }
+    ]);
+  });
+
+  test('takes the login from a noreply email', async () => {
+    const resolve = createAuthorResolver({ directory });
+    const commit = { message: 'feat: x\n\nCo-authored-by: A <123+alice@users.noreply.github.com>', author: { username: 'carol' } };
+
+    expect((await resolve(commit))[1]).toEqual({ login: 'alice', name: 'Alice', telegram: 'alice_dev', slack: null });
+  });
+
+  test('looks up unknown emails through the GitHub API once', async () => {
+    const search = jest.fn().mockResolvedValue({ data: { items: [{ login: 'alice' }] } });
+    github.getOctokit.mockReturnValue({ rest: { search: { users: search } } });
+    const resolve = createAuthorResolver({ directory, token: 'gh-token' });
+    const commit = { message: 'fix: x', author: { name: 'Alice Git', email: 'alice@home.example.com' } };
+
+    expect(await resolve(commit)).toEqual([{ login: 'alice', name: 'Alice', telegram: 'alice_dev', slack: null }]);
+    await resolve(commit);
+    expect(search).toHaveBeenCalledTimes(1);
+    expect(search).toHaveBeenCalledWith({ q: 'alice@home.example.com in:email', per_page: 1 });
+  });
+
+  test('falls back to the git name when the lookup fails', async () => {
+    github.getOctokit.mockReturnValue({
+      rest: { search: { users: jest.fn().mockRejectedValue(new Error('rate limited')) } }
+    });
+    const core = { warning: jest.fn() };
+    const resolve = createAuthorResolver({ token: 'gh-token', core });
+
+    expect(await resolve({ message: 'fix: x', author: { name: 'Dan', email: 'dan@example.com' } })).toEqual([
+      { login: null, name: 'Dan', telegram: null, slack: null }
+    ]);
+    expect(core.warning).toHaveBeenCalledWith('Failed to find the GitHub login of dan@example.com: rate limited');
+  });
+});
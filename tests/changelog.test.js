@@ -1,11 +1,17 @@
 const {
   generateChangelog,
+  collectChangelog,
+  renderChangelog,
   getCardInfo,
   formatCommitEntry,
   generateTaskLink,
-  addProjectHeader,
   YOUGILE_BASE_URL
 } = require('../src/changelog');
+const { createPrefixCatalogue } = require('../src/prefixes');
+const { getLocale } = require('../src/locales');
+const { createAuthorResolver } = require('../src/authors');
+
+const contributor = login => ({ login, name: login, telegram: null, slack: null });
 
 // Mock console.error to avoid test output noise
 const originalError = console.error;
@@ -23,6 +29,10 @@ describe('generateTaskLink', () => {
     expect(link).toContain(YOUGILE_BASE_URL);
     expect(link).toContain('ссылка на задачу');
   });
+
+  test('returns empty string without task ID', () => {
+    expect(generateTaskLink(null)).toBe('');
+  });
 });
 
 describe('formatCommitEntry', () => {
@@ -41,6 +51,35 @@ describe('formatCommitEntry', () => {
     expect(entry).toContain('[link]');
   });
 
+  test('escapes author for MarkdownV2', () => {
+    const entry = formatCommitEntry({
+      message: 'feat: add feature',
+      prefix: 'feat',
+      emoji: '✨',
+      author: 'john-doe',
+      taskLink: ''
+    });
+
+    expect(entry).toBe('✨ add feature \\(john\\-doe\\)\n');
+  });
+
+  test('renders HTML entry with quoted problem description', () => {
+    const entry = formatCommitEntry({
+      message: 'feat: add <feature>',
+      prefix: 'feat',
+      emoji: '✨',
+      author: 'johndoe',
+      taskLink: generateTaskLink('TECH-1', 'HTML'),
+      description: 'Users & admins\ncannot login',
+      parseMode: 'HTML'
+    });
+
+    expect(entry).toBe(
+      `✨ add <feature> (johndoe) <a href="${YOUGILE_BASE_URL}/#TECH-1">ссылка на задачу</a>\n` +
+      '<blockquote><b>Какую проблему решаем</b>\nUsers &amp; admins\ncannot login</blockquote>\n'
+    );
+  });
+
   test('includes problem description when provided', () => {
     const entry = formatCommitEntry({
       message: 'feat: add feature',
@@ -56,18 +95,6 @@ describe('formatCommitEntry', () => {
   });
 });
 
-describe('addProjectHeader', () => {
-  test('adds project header to changelog', () => {
-    const result = addProjectHeader('Changelog content', 'MyProject');
-    expect(result).toBe('*MyProject*\n\nChangelog content');
-  });
-
-  test('returns empty changelog unchanged', () => {
-    expect(addProjectHeader('', 'MyProject')).toBe('');
-    expect(addProjectHeader('   ', 'MyProject')).toBe('   ');
-  });
-});
-
 describe('generateChangelog', () => {
   test('returns empty string for empty commits', async () => {
     expect(await generateChangelog([], ['feat'])).toBe('');
@@ -114,6 +141,24 @@ describe('generateChangelog', () => {
     expect(result.indexOf('Фичи')).toBeLessThan(result.indexOf('Исправления багов'));
   });
 
+  test('renders HTML changelog', async () => {
+    const commits = [
+      { message: 'feat(TECH-123): support <b> & *stars*', author: { username: 'johndoe' } }
+    ];
+    const result = await generateChangelog(commits, ['feat'], null, null, { parseMode: 'HTML' });
+
+    expect(result).toBe(
+      '<b>Фичи</b>\n' +
+      `✨ support &lt;b&gt; &amp; *stars* (johndoe) <a href="${YOUGILE_BASE_URL}/#TECH-123">ссылка на задачу</a>\n\n`
+    );
+  });
+
+  test('throws on unsupported parse mode', async () => {
+    const commits = [{ message: 'feat(TECH-123): feature', author: { username: 'user' } }];
+    await expect(generateChangelog(commits, ['feat'], null, null, { parseMode: 'Markdown' }))
+      .rejects.toThrow('Unsupported parse mode: Markdown');
+  });
+
   test('handles commits without author username', async () => {
     const commits = [
       { message: 'feat(TECH-123): feature', author: {} }
@@ -123,6 +168,368 @@ describe('generateChangelog', () => {
   });
 });
 
+describe('collectChangelog', () => {
+  test('uses titles and the problem marker of the locale', async () => {
+    const yogile = {
+      getTask: jest.fn().mockResolvedValue({ id: 'card-1', title: 'Export' }),
+      getTaskChat: jest.fn().mockResolvedValue([{ text: 'What problem we solve\nReports are slow' }])
+    };
+    const locale = getLocale('en');
+    const commits = [{ message: 'feat(TECH-1): add export', author: { username: 'user1' } }];
+
+    const sections = await collectChangelog(commits, ['feat'], yogile, null, { locale });
+
+    expect(sections[0].title).toBe('Features');
+    expect(sections[0].entries[0].description).toBe('Reports are slow');
+    expect(renderChangelog(sections, { parseMode: 'markdown', locale })).toBe(
+      '**Features**\n' +
+      `✨ Export (user1) [task link](${YOUGILE_BASE_URL}/#TECH-1)\n` +
+      '>**What problem we solve**\n>Reports are slow\n\n\n'
+    );
+  });
+
+  test('takes section titles from the prefix catalogue and reports unknown prefixes', async () => {
+    const core = { warning: jest.fn() };
+    const catalogue = createPrefixCatalogue({ hotfix: { title: 'Хотфиксы', emoji: '🚑' }, breaking: { hidden: true } });
+    const commits = [
+      { id: 'aaaaaaa111', message: 'hotfix(TECH-1)!: patch login', author: { username: 'user1' } },
+      { id: 'bbbbbbb222', message: 'build(TECH-2): bump node', author: { username: 'user2' } }
+    ];
+
+    const sections = await collectChangelog(commits, ['hotfix', 'build'], null, core, { catalogue });
+
+    expect(sections.map(({ prefix, title, emoji }) => ({ prefix, title, emoji }))).toEqual([
+      { prefix: 'hotfix', title: 'Хотфиксы', emoji: '🚑' },
+      { prefix: 'build', title: 'build', emoji: '📦' }
+    ]);
+    expect(core.warning).toHaveBeenCalledWith(
+      'Commits with a prefix missing from the prefix catalogue (1):\n  bbbbbbb build(TECH-2): bump node'
+    );
+  });
+
+  test('returns sections with unescaped entries', async () => {
+    const commits = [
+      { message: 'fix(TECH-2): fix-bug', author: { username: 'user2' } },
+      { message: 'feat(TECH-1): add feature', author: { username: 'user1' } },
+      { message: 'feat: no task', author: { username: 'user3' } }
+    ];
+
+    expect(await collectChangelog(commits, ['feat', 'fix', 'docs'])).toEqual([
+      {
+        prefix: 'feat',
+        title: 'Фичи',
+        emoji: '✨',
+        entries: [{
+          taskId: 'TECH-1',
+          title: 'add feature',
+          author: 'user1',
+          authors: ['user1'],
+          contributors: [contributor('user1')],
+          commits: [],
+          link: `${YOUGILE_BASE_URL}/#TECH-1`,
+          description: '',
+          scope: null,
+          breaking: false
+        }]
+      },
+      {
+        prefix: 'fix',
+        title: 'Исправления багов',
+        emoji: '🛠️',
+        entries: [{
+          taskId: 'TECH-2',
+          title: 'fix-bug',
+          author: 'user2',
+          authors: ['user2'],
+          contributors: [contributor('user2')],
+          commits: [],
+          link: `${YOUGILE_BASE_URL}/#TECH-2`,
+          description: '',
+          scope: null,
+          breaking: false
+        }]
+      }
+    ]);
+  });
+
+  test('uses card title and description from YouGile', async () => {
+    const mockYogile = {
+      getTask: jest.fn().mockResolvedValue({ id: 'task-id', title: 'Card title' }),
+      getTaskChat: jest.fn().mockResolvedValue([{ text: 'Какую проблему решаем\nProblem' }])
+    };
+    const commits = [{ message: 'feat(TECH-1): add feature', author: { username: 'user1' } }];
+
+    const [section] = await collectChangelog(commits, ['feat'], mockYogile);
+    expect(section.entries[0]).toEqual(expect.objectContaining({ title: 'Card title', description: 'Problem' }));
+  });
+
+  test('renders a multi-line rich description and links a shortened one to the card', async () => {
+    const mockYogile = {
+      getTask: jest.fn().mockResolvedValue({ id: 'task-id', title: 'Card title' }),
+      getTaskChat: jest.fn().mockResolvedValue([{
+        textHtml: '<p><strong>Какую проблему решаем</strong></p><ul><li>Login <b>fails</b></li>' +
+          '<li>See <a href="https://logs.example.com">logs</a></li></ul><p><strong>Решение</strong></p><p>Retry</p>'
+      }])
+    };
+    const commits = [{ message: 'fix(TECH-1): login', author: { username: 'user1' } }];
+
+    const full = await collectChangelog(commits, ['fix'], mockYogile);
+    expect(renderChangelog(full)).toContain(
+      '>*Какую проблему решаем*\n>• Login *fails*\n>• See [logs](https://logs.example.com)\n'
+    );
+
+    const short = await collectChangelog(commits, ['fix'], mockYogile, null, { descriptionLimit: 16 });
+    expect(short[0].entries[0].description).toBe('• Login fails\n•…');
+    expect(renderChangelog(short, { parseMode: 'HTML' })).toContain(
+      '<blockquote><b>Какую проблему решаем</b>\n• Login <b>fails</b>\n•… ' +
+      `<a href="${YOUGILE_BASE_URL}/#TECH-1">читать далее</a></blockquote>`
+    );
+  });
+
+  describe('commit bodies', () => {
+    const commits = [
+      { message: 'feat(TECH-1): add `csv` export\n\n- add the `--format` flag\n- see [spec](https://x.io/spec)', author: { username: 'alice' } },
+      { message: 'feat(TECH-1): export totals\n\n- add the `--format` flag\n- sum_rows', author: { username: 'bob' } }
+    ];
+
+    test('keeps code spans of titles without escaping them', async () => {
+      const sections = await collectChangelog(commits.slice(0, 1), ['feat']);
+
+      expect(sections[0].entries[0].details).toBeUndefined();
+      expect(renderChangelog(sections)).toContain('✨ add `csv` export \\(alice\\)');
+    });
+
+    test('lists bullet lines of the body under the entry', async () => {
+      const sections = await collectChangelog(commits.slice(0, 1), ['feat'], null, null, { body: 'bullets' });
+
+      expect(sections[0].entries[0].details).toEqual(['add the `--format` flag', 'see [spec](https://x.io/spec)']);
+      expect(renderChangelog(sections, { parseMode: 'HTML' })).toContain(
+        '\n  • add the <code>--format</code> flag\n  • see <a href="https://x.io/spec">spec</a>\n'
+      );
+    });
+
+    test('collects bullet lines of every commit of a task', async () => {
+      const sections = await collectChangelog(commits, ['feat'], null, null, { body: 'bullets', groupBy: 'task' });
+
+      expect(sections[0].entries[0].details).toEqual([
+        'add the `--format` flag',
+        'see [spec](https://x.io/spec)',
+        'sum_rows'
+      ]);
+    });
+
+    test('escapes a lone backtick and a backslash in titles and body bullets for MarkdownV2', async () => {
+      const sections = await collectChangelog([{
+        message: 'fix(TECH-1): handle ` in names\n\n- keep C:\\temp paths\n- quote ` alone',
+        author: { username: 'alice' }
+      }], ['fix'], null, null, { body: 'bullets' });
+
+      const text = renderChangelog(sections);
+      expect(text).toContain('🛠️ handle \\` in names \\(alice\\)');
+      expect(text).toContain('\n  • keep C:\\\\temp paths\n  • quote \\` alone\n');
+    });
+
+    test('rejects unsupported body mode', async () => {
+      await expect(collectChangelog(commits, ['feat'], null, null, { body: 'full' }))
+        .rejects.toThrow('Unsupported commit body mode: full, expected one of none, bullets');
+    });
+  });
+
+  describe('commits without task ID', () => {
+    const commits = [
+      { id: 'aaaaaaa111', message: 'feat(TECH-1): add feature', author: { username: 'user1' } },
+      { id: 'bbbbbbb222', message: 'fix: restart workers\n\nbody', author: { username: 'user2' } },
+      { id: 'ccccccc333', message: 'bump deps', author: { username: 'user3' } }
+    ];
+    const untrackedEntry = (title, author, sha) => ({
+      taskId: null,
+      title,
+      author,
+      authors: [author],
+      contributors: [contributor(author)],
+      commits: [sha],
+      link: null,
+      description: '',
+      scope: null,
+      breaking: false
+    });
+
+    test('lists them in a warning', async () => {
+      const core = { warning: jest.fn() };
+
+      await collectChangelog(commits, ['feat', 'fix'], null, core);
+
+      expect(core.warning).toHaveBeenCalledWith(
+        'Commits without task ID (2):\n  bbbbbbb fix: restart workers\n  ccccccc bump deps'
+      );
+    });
+
+    test('shows them in their prefix section in inline mode', async () => {
+      const sections = await collectChangelog(commits, ['feat', 'fix'], null, null, { untracked: 'inline' });
+
+      expect(sections.map(section => section.prefix)).toEqual(['feat', 'fix']);
+      expect(sections[1].entries).toEqual([untrackedEntry('restart workers', 'user2', 'bbbbbbb222')]);
+    });
+
+    test('shows them in a separate section in section mode', async () => {
+      const sections = await collectChangelog(commits, ['feat', 'fix'], null, null, { untracked: 'section' });
+
+      expect(sections.map(section => section.prefix)).toEqual(['feat', 'other']);
+      expect(sections[1]).toEqual({
+        prefix: 'other',
+        title: 'Другие изменения',
+        emoji: '📦',
+        entries: [
+          untrackedEntry('fix: restart workers', 'user2', 'bbbbbbb222'),
+          untrackedEntry('bump deps', 'user3', 'ccccccc333')
+        ]
+      });
+    });
+
+    test('renders them without a task link', async () => {
+      const text = await generateChangelog(commits, ['fix'], null, null, { untracked: 'inline' });
+
+      expect(text).toBe('*Исправления багов*\n🛠️ restart workers \\(user2\\)\n\n');
+    });
+
+    test('keeps breaking changes of untracked commits out in skip mode', async () => {
+      const sections = await collectChangelog([{ message: 'fix!: drop', author: {} }], ['fix']);
+
+      expect(sections).toEqual([]);
+    });
+
+    test('throws on unknown mode', async () => {
+      await expect(collectChangelog(commits, ['feat'], null, null, { untracked: 'all' }))
+        .rejects.toThrow('Unsupported untracked commits mode: all');
+    });
+  });
+});
+
+describe('breaking changes and scopes', () => {
+  const commits = [
+    { message: 'feat(api, TECH-1)!: new auth\n\nBREAKING CHANGE: tokens from v1 are rejected', author: { username: 'user1' } },
+    { message: 'fix(ui, TECH-2): fix layout', author: { username: 'user2' } }
+  ];
+
+  test('collects breaking changes into the first section', async () => {
+    const sections = await collectChangelog(commits, ['feat', 'fix']);
+
+    expect(sections.map(section => section.prefix)).toEqual(['breaking', 'feat', 'fix']);
+    expect(sections[0]).toEqual(expect.objectContaining({ title: 'Ломающие изменения', emoji: '💥' }));
+    expect(sections[0].entries[0]).toEqual(expect.objectContaining({
+      taskId: 'TECH-1', title: 'tokens from v1 are rejected', scope: 'api', breaking: true
+    }));
+    expect(sections[1].entries[0]).toEqual(expect.objectContaining({ title: 'new auth', breaking: true }));
+  });
+
+  test('renders highlighted breaking section and scopes', async () => {
+    const text = await generateChangelog(commits, ['feat', 'fix']);
+
+    expect(text.startsWith('*💥 Ломающие изменения*\n💥 *api:* tokens from v1 are rejected')).toBe(true);
+    expect(text).toContain('🛠️ *ui:* fix layout \\(user2\\)');
+  });
+
+  test('ignores prefixes that are not at the start of the message', async () => {
+    const sections = await collectChangelog([{ message: 'Revert "feat(TECH-1): x"', author: {} }], ['feat']);
+
+    expect(sections).toEqual([]);
+  });
+});
+
+describe('grouping by task', () => {
+  const commits = [
+    { message: 'fix(TECH-42): first try', author: { username: 'alice' } },
+    { message: 'feat(TECH-1): other feature', author: { username: 'carol' } },
+    { message: 'fix(TECH-42): second try', author: { username: 'bob' } },
+    { message: 'feat(TECH-42): new option', author: { username: 'alice' } },
+    { message: 'chore(TECH-7): not listed', author: { username: 'dave' } }
+  ];
+
+  test('merges commits of a task under the highest-priority prefix', async () => {
+    const sections = await collectChangelog(commits, ['feat', 'fix'], null, null, { groupBy: 'task' });
+
+    expect(sections.map(section => section.prefix)).toEqual(['feat']);
+    expect(sections[0].entries.map(entry => entry.taskId)).toEqual(['TECH-1', 'TECH-42']);
+    expect(sections[0].entries[1]).toEqual(expect.objectContaining({
+      title: 'new option',
+      author: 'alice, bob',
+      authors: ['alice', 'bob'],
+      commitCount: 3
+    }));
+  });
+
+  test('fetches each card once', async () => {
+    const mockYogile = {
+      getTask: jest.fn().mockResolvedValue({ id: 'task-id', title: 'Card title' }),
+      getTaskChat: jest.fn().mockResolvedValue([])
+    };
+
+    await collectChangelog(commits, ['feat', 'fix'], mockYogile);
+
+    expect(mockYogile.getTask.mock.calls.map(call => call[0])).toEqual(['TECH-1', 'TECH-42']);
+  });
+
+  test('renders authors and commit count', async () => {
+    const text = await generateChangelog(commits, ['fix'], null, null, { groupBy: 'task' });
+
+    expect(text).toContain('🛠️ first try \\(alice, bob; коммитов: 3\\)');
+  });
+
+  test('throws on unknown mode', async () => {
+    await expect(collectChangelog(commits, ['feat'], null, null, { groupBy: 'author' }))
+      .rejects.toThrow('Unsupported group mode: author');
+  });
+});
+
+describe('authors', () => {
+  const commits = [
+    {
+      message: 'feat(TECH-1): pair feature\n\nCo-authored-by: Bob Builder <bob@example.com>',
+      author: { username: 'alice', email: 'alice@example.com' }
+    }
+  ];
+  const resolveAuthors = createAuthorResolver({
+    directory: [
+      { login: 'alice', emails: [], name: 'Alice', telegram: 'alice_dev', slack: 'U01ALICE' },
+      { login: null, emails: ['bob@example.com'], name: 'Bob', telegram: null, slack: null }
+    ]
+  });
+
+  test('credits co-authors under their directory names', async () => {
+    const [section] = await collectChangelog(commits, ['feat'], null, null, { resolveAuthors });
+
+    expect(section.entries[0]).toEqual(expect.objectContaining({
+      author: 'Alice, Bob',
+      authors: ['Alice', 'Bob']
+    }));
+  });
+
+  test('mentions Telegram usernames', async () => {
+    const text = await generateChangelog(commits, ['feat'], null, null, { resolveAuthors });
+
+    expect(text).toContain('pair feature \\(@alice\\_dev, Bob\\)');
+  });
+
+  test('mentions Slack users in mrkdwn', async () => {
+    const sections = await collectChangelog(commits, ['feat'], null, null, { resolveAuthors });
+
+    expect(renderChangelog(sections, { parseMode: 'mrkdwn' })).toContain('pair feature (<@U01ALICE>, Bob)');
+  });
+});
+
+describe('renderChangelog', () => {
+  test('renders the same text as generateChangelog', async () => {
+    const commits = [
+      { message: 'feat(TECH-1): add feature', author: { username: 'user1' } },
+      { message: 'fix(TECH-2): fix bug', author: { username: 'user2' } }
+    ];
+    const sections = await collectChangelog(commits, ['feat', 'fix']);
+
+    expect(renderChangelog(sections)).toBe(await generateChangelog(commits, ['feat', 'fix']));
+    expect(renderChangelog([])).toBe('');
+  });
+});
+
 describe('getCardInfo', () => {
   test('returns null when yogileInstance is null', async () => {
     const result = await getCardInfo('TECH-123', null);
@@ -149,7 +556,9 @@ describe('getCardInfo', () => {
     expect(result).toEqual({
       title: 'Task Title',
       link: `${YOUGILE_BASE_URL}/#TECH-123`,
-      description: ''
+      description: '',
+      richDescription: [],
+      descriptionTruncated: false
     });
   });
 
@@ -178,6 +587,50 @@ describe('getCardInfo', () => {
     expect(result.description).toBe('Users cannot login');
   });
 
+  test('prefers the HTML of the chat message', async () => {
+    const mockYogile = {
+      getTask: jest.fn().mockResolvedValue({ id: 'task-id', title: 'Task Title' }),
+      getTaskChat: jest.fn().mockResolvedValue([{
+        text: 'Какую проблему решаем\nUsers cannot login',
+        textHtml: '<p>Какую проблему решаем</p><p>Users <b>cannot</b> <a href="https://sso.example.com">login</a></p>'
+      }])
+    };
+
+    const result = await getCardInfo('TECH-123', mockYogile);
+
+    expect(result.description).toBe('Users cannot login');
+    expect(result.richDescription).toEqual([[
+      { text: 'Users ', bold: false, code: false, url: null },
+      { text: 'cannot', bold: true, code: false, url: null },
+      { text: ' ', bold: false, code: false, url: null },
+      { text: 'login', bold: false, code: false, url: 'https://sso.example.com' }
+    ]]);
+  });
+
+  test('escapes a lone backtick and a backslash in the description for MarkdownV2', async () => {
+    const mockYogile = {
+      getTask: jest.fn().mockResolvedValue({ id: 'task-id', title: 'Task Title' }),
+      getTaskChat: jest.fn().mockResolvedValue([{ text: 'Какую проблему решаем\nFiles in C:\\temp with ` names' }])
+    };
+    const sections = await collectChangelog(
+      [{ message: 'fix(TECH-123): paths', author: { username: 'alice' } }], ['fix'], mockYogile
+    );
+
+    expect(renderChangelog(sections)).toContain('>Files in C:\\\\temp with \\` names\n');
+  });
+
+  test('shortens the description to the limit', async () => {
+    const mockYogile = {
+      getTask: jest.fn().mockResolvedValue({ id: 'task-id', title: 'Task Title' }),
+      getTaskChat: jest.fn().mockResolvedValue([{ text: 'Какую проблему решаем\nUsers cannot login\nafter a reset' }])
+    };
+
+    const result = await getCardInfo('TECH-123', mockYogile, null, 'Какую проблему решаем', 13);
+
+    expect(result.description).toBe('Users cannot…');
+    expect(result.descriptionTruncated).toBe(true);
+  });
+
   test('handles API errors gracefully', async () => {
     const mockYogile = {
       getTask: jest.fn().mockRejectedValue(new Error('API Error'))
@@ -0,0 +1,148 @@
+jest.mock('@actions/github', () => ({
+  getOctokit: jest.fn(),
+  context: {
+    repo: { owner: 'test-owner', repo: 'test-repo' }
+  }
+}));
+
+const github = require('@actions/github');
+const {
+  normalizeCompareCommit,
+  compareCommits,
+  fetchReleaseCommits
+} = require('../src/commits');
+
+function apiCommit(sha, message, login = 'dev') {
+  return {
+    sha,
+    html_url: `https://github.com/test-owner/test-repo/commit/${sha}`,
+    author: login ? { login } : null,
+    commit: {
+      message,
+      author: { name: 'Dev Name', email: 'dev@example.com', date: '2024-01-10T10:00:00Z' },
+      committer: { name: 'GitHub', date: '2024-01-10T11:00:00Z' }
+    }
+  };
+}
+
+function createOctokit(pages, files = {}) {
+  return {
+    rest: {
+      repos: {
+        compareCommitsWithBasehead: jest.fn(async ({ page }) => ({ data: pages[page - 1] })),
+        getCommit: jest.fn(async ({ ref }) => ({ data: { files: files[ref] || [] } })),
+        listTags: jest.fn()
+      }
+    },
+    paginate: jest.fn().mockResolvedValue([{ name: 'v1.1.0' }, { name: 'v1.0.0' }])
+  };
+}
+
+describe('normalizeCompareCommit', () => {
+  test('converts a compare API commit into the payload shape', () => {
+    expect(normalizeCompareCommit(apiCommit('abc1234567', 'feat: add #ABC-1'))).toEqual({
+      id: 'abc1234567',
+      message: 'feat: add #ABC-1',
+      timestamp: '2024-01-10T10:00:00Z',
+      url: 'https://github.com/test-owner/test-repo/commit/abc1234567',
+      author: { name: 'Dev Name', email: 'dev@example.com', username: 'dev' },
+      added: [],
+      modified: [],
+      removed: []
+    });
+  });
+
+  test('falls back to the git author name without a GitHub account', () => {
+    expect(normalizeCompareCommit(apiCommit('abc', 'fix: x', null)).author.username).toBe('Dev Name');
+  });
+
+  test('splits changed files by status', () => {
+    const commit = normalizeCompareCommit(apiCommit('abc', 'fix: x'), [
+      { filename: 'a.js', status: 'added' },
+      { filename: 'b.js', status: 'modified' },
+      { filename: 'c.js', status: 'removed' },
+      { filename: 'd.js', status: 'renamed', previous_filename: 'old/d.js' }
+    ]);
+
+    expect(commit.added).toEqual(['a.js', 'd.js']);
+    expect(commit.modified).toEqual(['b.js']);
+    expect(commit.removed).toEqual(['c.js', 'old/d.js']);
+  });
+});
+
+describe('compareCommits', () => {
+  test('reads every page of the range', async () => {
+    const first = Array.from({ length: 100 }, (_, i) => apiCommit(`a${i}`, 'fix: x'));
+    const octokit = createOctokit([
+      { total_commits: 101, commits: first },
+      { total_commits: 101, commits: [apiCommit('b0', 'feat: y')] }
+    ]);
+
+    const commits = await compareCommits({ octokit, owner: 'o', repo: 'r', base: 'v1.0.0', head: 'v1.1.0' });
+
+    expect(commits).toHaveLength(101);
+    expect(commits[100].sha).toBe('b0');
+    expect(octokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledTimes(2);
+    expect(octokit.rest.repos.compareCommitsWithBasehead).toHaveBeenLastCalledWith({
+      owner: 'o', repo: 'r', basehead: 'v1.0.0...v1.1.0', per_page: 100, page: 2
+    });
+  });
+});
+
+describe('fetchReleaseCommits', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('compares the previous version tag with the tag of the run', async () => {
+    const octokit = createOctokit([{ total_commits: 1, commits: [apiCommit('abc', 'feat: add')] }]);
+    github.getOctokit.mockReturnValue(octokit);
+
+    const result = await fetchReleaseCommits({ token: 'gh-token', ref: 'refs/tags/v1.1.0', sha: 'deadbeef' });
+
+    expect(result.base).toBe('v1.0.0');
+    expect(result.head).toBe('v1.1.0');
+    expect(result.commits.map(commit => commit.id)).toEqual(['abc']);
+    expect(octokit.rest.repos.getCommit).not.toHaveBeenCalled();
+  });
+
+  test('uses the base ref and the commit SHA for branch runs', async () => {
+    const octokit = createOctokit([{ total_commits: 0, commits: [] }]);
+    github.getOctokit.mockReturnValue(octokit);
+
+    const result = await fetchReleaseCommits({
+      token: 'gh-token', ref: 'refs/heads/main', sha: 'deadbeef', base: 'release-1'
+    });
+
+    expect(result).toEqual({ base: 'release-1', head: 'deadbeef', commits: [] });
+    expect(octokit.paginate).not.toHaveBeenCalled();
+  });
+
+  test('fetches changed files when asked', async () => {
+    const octokit = createOctokit(
+      [{ total_commits: 1, commits: [apiCommit('abc', 'feat: add')] }],
+      { abc: [{ filename: 'services/api/index.js', status: 'modified' }] }
+    );
+    github.getOctokit.mockReturnValue(octokit);
+
+    const { commits } = await fetchReleaseCommits({
+      token: 'gh-token', ref: 'refs/tags/v1.1.0', sha: 'deadbeef', withFiles: true
+    });
+
+    expect(commits[0].modified).toEqual(['services/api/index.js']);
+    expect(octokit.rest.repos.getCommit).toHaveBeenCalledWith({ owner: 'test-owner', repo: 'test-repo', ref: 'abc' });
+  });
+
+  test('fails without a previous version tag', async () => {
+    const octokit = createOctokit([]);
+    octokit.paginate.mockResolvedValue([{ name: 'v1.0.0' }]);
+    github.getOctokit.mockReturnValue(octokit);
+
+    await expect(fetchReleaseCommits({ token: 'gh-token', ref: 'refs/tags/v1.0.0', sha: 'deadbeef' }))
+      .rejects.toThrow('No previous version tag found, set base_ref to compare from');
+  });
+
+  test('requires a token', async () => {
+    await expect(fetchReleaseCommits({ token: '' })).rejects.toThrow('GitHub token is required');
+  });
+});
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readInputText, readConfigInput } = require('../src/config');
+
+describe('readInputText', () => {
+  test('returns inline text as is', () => {
+    expect(readInputText('a: 1\nb: 2')).toBe('a: 1\nb: 2');
+    expect(readInputText('missing.yml')).toBe('missing.yml');
+  });
+
+  test('reads a file named by the input', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'config-')), 'config.yml');
+    fs.writeFileSync(file, 'a: 1\n');
+
+    expect(readInputText(` ${file} `)).toBe('a: 1\n');
+  });
+
+  test('returns null for an empty input', () => {
+    expect(readInputText('')).toBeNull();
+    expect(readInputText('  ')).toBeNull();
+    expect(readInputText(undefined)).toBeNull();
+  });
+});
+
+describe('readConfigInput', () => {
+  test('parses YAML and JSON', () => {
+    expect(readConfigInput('- a\n- b', 'packages')).toEqual(['a', 'b']);
+    expect(readConfigInput('{"a": 1}', 'exclude')).toEqual({ a: 1 });
+    expect(readConfigInput('', 'exclude')).toBeUndefined();
+  });
+
+  test('names the input in parse errors', () => {
+    expect(() => readConfigInput('a: [1', 'authors')).toThrow(/^Invalid authors input: /);
+  });
+});
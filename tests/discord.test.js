@@ -0,0 +1,52 @@
+const { buildDiscordMessages, sendDiscordChangelog, MAX_MESSAGE_LENGTH } = require('../src/discord');
+const { YOUGILE_BASE_URL } = require('../src/changelog');
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const entry = (n) => ({
+  taskId: `TECH-${n}`,
+  title: `Feature ${n}`,
+  author: 'johndoe',
+  link: `${YOUGILE_BASE_URL}/#TECH-${n}`,
+  description: 'Problem description'
+});
+
+describe('buildDiscordMessages', () => {
+  test('disables mentions and link previews', () => {
+    const [message] = buildDiscordMessages([
+      { prefix: 'feat', title: 'Фичи', emoji: '✨', entries: [entry(1)] }
+    ], 'P');
+
+    expect(message.content.startsWith('**P**\n\n**Фичи**\n✨ Feature 1 (johndoe)')).toBe(true);
+    expect(message.allowed_mentions).toEqual({ parse: [] });
+    expect(message.flags).toBe(4);
+  });
+
+  test('keeps every message within the Discord limit', () => {
+    const entries = Array.from({ length: 50 }, (_, i) => entry(i));
+    const messages = buildDiscordMessages([{ prefix: 'feat', title: 'Фичи', emoji: '✨', entries }], 'P');
+
+    expect(messages.length).toBeGreaterThan(1);
+    messages.forEach((message, index) => {
+      expect(message.content.length).toBeLessThanOrEqual(MAX_MESSAGE_LENGTH);
+      expect(message.content.startsWith(`**P** (${index + 1}/${messages.length})`)).toBe(true);
+    });
+  });
+});
+
+describe('sendDiscordChangelog', () => {
+  test('reports webhook errors', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 404, text: jest.fn().mockResolvedValue('Unknown Webhook') });
+
+    await expect(sendDiscordChangelog({
+      webhookUrl: 'https://discord.com/api/webhooks/x',
+      sections: [{ prefix: 'feat', title: 'Фичи', emoji: '✨', entries: [entry(1)] }],
+      projectName: 'P'
+    })).rejects.toThrow('Discord webhook error: 404, description: Unknown Webhook');
+  });
+});
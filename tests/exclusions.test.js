@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseExclusionRules,
+  getExclusionReason,
+  excludeCommits
+} = require('../src/exclusions');
+const { collectChangelog } = require('../src/changelog');
+
+const defaults = parseExclusionRules('');
+
+describe('parseExclusionRules', () => {
+  test('merges fields over the defaults', () => {
+    const rules = parseExclusionRules('merges: false\nauthors: ci-robot\n');
+
+    expect(rules.merges).toBe(false);
+    expect(rules.authors.map(String)).toEqual(['/^ci-robot$/i']);
+    expect(rules.markers).toEqual(['[skip changelog]', '[changelog skip]']);
+    expect(rules.trailers).toEqual([{ token: 'changelog', value: 'skip' }]);
+  });
+
+  test('turns a rule off with an empty list', () => {
+    expect(parseExclusionRules('{"authors": [], "markers": null}')).toEqual(expect.objectContaining({
+      authors: [],
+      markers: []
+    }));
+  });
+
+  test('reads rules from a file', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'exclude-')), 'exclude.yml');
+    fs.writeFileSync(file, 'messages: ["^docs"]\n');
+
+    expect(parseExclusionRules(file).messages.map(String)).toEqual(['/^docs/im']);
+  });
+
+  test.each([
+    ['- bots', 'expected a map of authors, messages, markers, trailers and merges'],
+    ['bots: true', 'unknown field bots'],
+    ['authors: [1]', 'authors must be a string or a list of strings'],
+    ['merges: "no"', 'merges must be true or false'],
+    ['messages: ["("]', 'message pattern ('],
+    ['trailers: skip', 'trailer "skip" must look like "Token: value"']
+  ])('rejects %j', (input, message) => {
+    expect(() => parseExclusionRules(input)).toThrow(message);
+  });
+});
+
+describe('getExclusionReason', () => {
+  test.each([
+    [{ message: 'chore(deps): bump yaml', author: { username: 'dependabot[bot]' } }, 'author dependabot[bot]'],
+    [{ message: 'chore: sync', author: { name: 'renovate[bot]' } }, 'author renovate[bot]'],
+    [{ message: "Merge branch 'main' into feature", author: {} }, 'merge commit'],
+    [{ message: 'Merge pull request #12 from org/feature', author: {} }, 'merge commit'],
+    [{ message: 'fix(TECH-1): typo [Skip Changelog]', author: {} }, 'marker [skip changelog]'],
+    [{ message: 'fix(TECH-1): typo\n\nChangelog: Skip', author: {} }, 'trailer changelog: skip']
+  ])('excludes %j', (commit, reason) => {
+    expect(getExclusionReason(commit, defaults)).toBe(reason);
+  });
+
+  test('keeps regular commits', () => {
+    expect(getExclusionReason({ message: 'feat(TECH-1): merge branches in the editor', author: { username: 'alice' } }, defaults))
+      .toBeNull();
+    expect(getExclusionReason({ message: 'fix: x\n\nChangelog: keep' }, defaults)).toBeNull();
+  });
+
+  test('matches message patterns', () => {
+    const rules = parseExclusionRules('messages: ["^chore\\\\(release\\\\)"]');
+
+    expect(getExclusionReason({ message: 'chore(release): 1.2.0' }, rules)).toBe('message /^chore\\(release\\)/im');
+  });
+});
+
+describe('excludeCommits', () => {
+  test('lists excluded commits in the log', () => {
+    const core = { info: jest.fn() };
+    const commits = [
+      { id: 'aaaaaaa111', message: 'feat(TECH-1): feature', author: { username: 'alice' } },
+      { id: 'bbbbbbb222', message: 'chore(deps): bump', author: { username: 'dependabot[bot]' } }
+    ];
+
+    expect(excludeCommits(commits, defaults, core)).toEqual([commits[0]]);
+    expect(core.info).toHaveBeenCalledWith('Excluded commits (1):\n  bbbbbbb chore(deps): bump (author dependabot[bot])');
+  });
+
+  test('keeps every commit without rules', () => {
+    const commits = [{ message: 'Merge branch x' }];
+    expect(excludeCommits(commits, null)).toBe(commits);
+  });
+
+  test('keeps excluded commits out of the changelog', async () => {
+    const commits = [
+      { message: 'feat(TECH-1): feature', author: { username: 'alice' } },
+      { message: 'feat(TECH-2): bump deps', author: { username: 'dependabot[bot]' } },
+      { message: 'feat(TECH-3): internal [skip changelog]', author: { username: 'bob' } }
+    ];
+
+    const sections = await collectChangelog(commits, ['feat'], null, null, { exclusions: defaults });
+
+    expect(sections[0].entries.map(entry => entry.taskId)).toEqual(['TECH-1']);
+  });
+});
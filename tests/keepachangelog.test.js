@@ -0,0 +1,199 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const github = require('@actions/github');
+const {
+  renderRelease,
+  mergePackageSections,
+  hasVersion,
+  insertRelease,
+  updateChangelog,
+  writeChangelogFile,
+  commitChangelogFile
+} = require('../src/keepachangelog');
+
+jest.mock('@actions/github', () => ({
+  getOctokit: jest.fn(),
+  context: {
+    repo: { owner: 'test-owner', repo: 'test-repo' },
+    payload: { repository: { default_branch: 'main' } }
+  }
+}));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const entry = (taskId, title) => ({
+  taskId, title, author: 'alice', link: `https://example.com/#${taskId}`, description: ''
+});
+
+const sections = [
+  { prefix: 'feat', title: 'Фичи', emoji: '✨', entries: [entry('TECH-1', 'Add *export*')] },
+  { prefix: 'fix', title: 'Исправления багов', emoji: '🛠️', entries: [entry('TECH-2', 'Fix login')] },
+  { prefix: 'refactor', title: 'Рефакторинг', emoji: '♻️', entries: [entry('TECH-3', 'Split module')] }
+];
+
+const release = { version: '1.2.0', date: '2026-01-31' };
+
+describe('renderRelease', () => {
+  test('maps prefixes onto Keep a Changelog categories in standard order', () => {
+    expect(renderRelease(sections, release)).toBe(
+      '## [1.2.0] - 2026-01-31\n' +
+      '\n### Added\n\n- Add \\*export\\* ([TECH-1](https://example.com/#TECH-1), @alice)\n' +
+      '\n### Changed\n\n- Split module ([TECH-3](https://example.com/#TECH-3), @alice)\n' +
+      '\n### Fixed\n\n- Fix login ([TECH-2](https://example.com/#TECH-2), @alice)\n'
+    );
+  });
+
+  test('marks breaking entries and scopes instead of a separate category', () => {
+    const breaking = { ...entry('TECH-4', 'New auth'), scope: 'api', breaking: true };
+    const text = renderRelease([
+      { prefix: 'breaking', entries: [{ ...breaking, title: 'Old tokens rejected' }] },
+      { prefix: 'feat', entries: [breaking] }
+    ], release);
+
+    expect(text).toBe(
+      '## [1.2.0] - 2026-01-31\n\n### Added\n\n- **BREAKING** **api:** New auth ([TECH-4](https://example.com/#TECH-4), @alice)\n'
+    );
+  });
+
+  test('mentions every author of a merged task entry', () => {
+    const merged = [{ prefix: 'fix', entries: [{ ...entry('TECH-5', 'Fix'), author: 'alice, bob', authors: ['alice', 'bob'] }] }];
+
+    expect(renderRelease(merged, release)).toContain('- Fix ([TECH-5](https://example.com/#TECH-5), @alice, @bob)');
+  });
+
+  test('keeps code spans and lists body bullets under the entry', () => {
+    const detailed = [{ prefix: 'feat', entries: [{ ...entry('TECH-6', 'Add `csv` *export*'), details: ['use `--format`'] }] }];
+
+    expect(renderRelease(detailed, release)).toContain(
+      '- Add `csv` \\*export\\* ([TECH-6](https://example.com/#TECH-6), @alice)\n  - use `--format`\n'
+    );
+  });
+
+  test('renders entries without task ID without a link', () => {
+    const untracked = [{ prefix: 'other', entries: [{ ...entry(null, 'bump deps'), link: null }] }];
+
+    expect(renderRelease(untracked, release)).toContain('### Changed\n\n- bump deps (@alice)\n');
+  });
+});
+
+describe('mergePackageSections', () => {
+  test('puts entries of every package into one version marked with the package name', () => {
+    const merged = mergePackageSections([
+      { projectName: 'api', sections: [sections[0], sections[1]] },
+      { projectName: 'web', sections: [{ ...sections[0], entries: [{ ...entry('TECH-9', 'Dark theme'), scope: 'ui' }] }] }
+    ]);
+
+    expect(merged.map(section => section.entries.map(item => item.taskId))).toEqual([['TECH-1', 'TECH-9'], ['TECH-2']]);
+    expect(renderRelease(merged, release)).toContain(
+      '### Added\n\n- **api:** Add \\*export\\* ([TECH-1](https://example.com/#TECH-1), @alice)\n' +
+      '- **web/ui:** Dark theme ([TECH-9](https://example.com/#TECH-9), @alice)\n'
+    );
+  });
+});
+
+describe('hasVersion', () => {
+  test('finds version headings with or without brackets and v prefix', () => {
+    expect(hasVersion('## [1.2.0] - 2026-01-31', '1.2.0')).toBe(true);
+    expect(hasVersion('## v1.2.0', '1.2.0')).toBe(true);
+    expect(hasVersion('## [1.2.0-rc.1] - 2026-01-30', '1.2.0')).toBe(false);
+    expect(hasVersion('## [1.2.10]', '1.2.1')).toBe(false);
+  });
+});
+
+describe('insertRelease', () => {
+  test('creates file header for empty changelog', () => {
+    const content = insertRelease('', '## [1.0.0] - 2026-01-01\n');
+
+    expect(content.startsWith('# Changelog\n')).toBe(true);
+    expect(content).toContain('keepachangelog.com');
+    expect(content.endsWith('## [1.0.0] - 2026-01-01\n')).toBe(true);
+  });
+
+  test('puts release below Unreleased and above the latest version', () => {
+    const current = '# Changelog\n\n## [Unreleased]\n\n- WIP\n\n## [1.1.0] - 2026-01-01\n\n### Added\n\n- Old\n';
+
+    expect(insertRelease(current, '## [1.2.0] - 2026-01-31\n')).toBe(
+      '# Changelog\n\n## [Unreleased]\n\n- WIP\n\n## [1.2.0] - 2026-01-31\n\n## [1.1.0] - 2026-01-01\n\n### Added\n\n- Old\n'
+    );
+  });
+
+  test('appends release when there are no versions yet', () => {
+    expect(insertRelease('# Changelog\n', '## [1.0.0] - 2026-01-01\n')).toBe('# Changelog\n\n## [1.0.0] - 2026-01-01\n');
+  });
+});
+
+describe('updateChangelog', () => {
+  test('skips version that is already present', () => {
+    const current = '# Changelog\n\n## [1.2.0] - 2026-01-30\n';
+
+    expect(updateChangelog(current, sections, release)).toEqual({ content: current, skipped: true });
+  });
+});
+
+describe('writeChangelogFile', () => {
+  test('writes release to file and skips it on re-runs', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'changelog-')), 'CHANGELOG.md');
+
+    expect(writeChangelogFile({ path: file, sections, ...release })).toEqual({ skipped: false });
+    const written = fs.readFileSync(file, 'utf8');
+    expect(written).toContain('## [1.2.0] - 2026-01-31');
+
+    expect(writeChangelogFile({ path: file, sections, ...release })).toEqual({ skipped: true });
+    expect(fs.readFileSync(file, 'utf8')).toBe(written);
+  });
+});
+
+describe('commitChangelogFile', () => {
+  const mockOctokit = (getContent) => {
+    const octokit = {
+      rest: {
+        repos: {
+          getContent,
+          createOrUpdateFileContents: jest.fn().mockResolvedValue({ data: { commit: { sha: 'abc123' } } })
+        }
+      }
+    };
+    github.getOctokit.mockReturnValue(octokit);
+    return octokit;
+  };
+
+  test('updates existing file on the default branch', async () => {
+    const current = '# Changelog\n\n## [1.1.0] - 2026-01-01\n';
+    const octokit = mockOctokit(jest.fn().mockResolvedValue({
+      data: { content: Buffer.from(current).toString('base64'), sha: 'file-sha' }
+    }));
+
+    const result = await commitChangelogFile({ token: 'gh-token', sections, ...release });
+
+    expect(result).toEqual({ skipped: false, sha: 'abc123' });
+    expect(octokit.rest.repos.getContent).toHaveBeenCalledWith(
+      { owner: 'test-owner', repo: 'test-repo', path: 'CHANGELOG.md', ref: 'main' }
+    );
+    const call = octokit.rest.repos.createOrUpdateFileContents.mock.calls[0][0];
+    expect(call).toEqual(expect.objectContaining({ branch: 'main', sha: 'file-sha', path: 'CHANGELOG.md' }));
+    expect(Buffer.from(call.content, 'base64').toString('utf8')).toContain('## [1.2.0] - 2026-01-31\n\n### Added');
+  });
+
+  test('creates missing file', async () => {
+    const octokit = mockOctokit(jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 })));
+
+    await commitChangelogFile({ token: 'gh-token', branch: 'release', sections, ...release });
+
+    const call = octokit.rest.repos.createOrUpdateFileContents.mock.calls[0][0];
+    expect(call.branch).toBe('release');
+    expect(call.sha).toBeUndefined();
+  });
+
+  test('does not commit already present version', async () => {
+    const current = '## [1.2.0] - 2026-01-31\n';
+    const octokit = mockOctokit(jest.fn().mockResolvedValue({
+      data: { content: Buffer.from(current).toString('base64'), sha: 'file-sha' }
+    }));
+
+    expect(await commitChangelogFile({ token: 'gh-token', sections, ...release })).toEqual({ skipped: true });
+    expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getLocale, loadLocale } = require('../src/locales');
+
+const writeLocale = (content) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'locale-')), 'locale.json');
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+};
+
+describe('loadLocale', () => {
+  test('returns bundled locales, ru by default', () => {
+    expect(loadLocale('')).toBe(getLocale('ru'));
+    expect(loadLocale('en').prefixes.feat).toBe('Features');
+    expect(loadLocale(' ru ').taskLink).toBe('ссылка на задачу');
+  });
+
+  test('rejects unknown locales', () => {
+    expect(() => loadLocale('de')).toThrow('Unknown locale "de", expected one of ru, en or a path to a locale file');
+  });
+
+  test('merges a custom locale file over its base locale', () => {
+    const locale = loadLocale(writeLocale({ extends: 'en', prefixes: { hotfix: 'Hotfixes' }, problemTitle: 'Problem' }));
+
+    expect(locale.prefixes).toEqual(expect.objectContaining({ feat: 'Features', hotfix: 'Hotfixes' }));
+    expect(locale.emojis.feat).toBe('✨');
+    expect(locale.problemTitle).toBe('Problem');
+    expect(locale.taskLink).toBe('task link');
+  });
+
+  test('extends ru by default', () => {
+    expect(loadLocale(writeLocale({ taskLink: 'задача' })).prefixes.feat).toBe('Фичи');
+  });
+
+  test.each([
+    ['{', 'Invalid locale'],
+    [[], 'expected a JSON object'],
+    [{ extends: 'de' }, 'extends unknown locale "de"'],
+    [{ prefixes: ['feat'] }, 'prefixes must be a map of strings'],
+    [{ emojis: { feat: 1 } }, 'emojis must be a map of strings'],
+    [{ taskLink: '' }, 'taskLink must be a non-empty string'],
+    [{ title: 'x' }, 'unknown field title']
+  ])('rejects invalid locale file %j', (content, message) => {
+    expect(() => loadLocale(writeLocale(content))).toThrow(message);
+  });
+});
@@ -0,0 +1,55 @@
+const { buildMattermostMessages, sendMattermostChangelog, MAX_MESSAGE_LENGTH } = require('../src/mattermost');
+const { YOUGILE_BASE_URL } = require('../src/changelog');
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const entry = (n, extra = {}) => ({
+  taskId: `TECH-${n}`,
+  title: `Feature ${n}`,
+  author: 'john_doe',
+  link: `${YOUGILE_BASE_URL}/#TECH-${n}`,
+  description: '',
+  ...extra
+});
+
+describe('buildMattermostMessages', () => {
+  test('renders changelog as Markdown', () => {
+    const messages = buildMattermostMessages([
+      { prefix: 'feat', title: 'Фичи', emoji: '✨', entries: [entry(1, { title: 'Use *stars*', description: 'Problem' })] }
+    ], 'My_Project');
+
+    expect(messages).toEqual([{
+      text: '**My\\_Project**\n\n**Фичи**\n' +
+        `✨ Use \\*stars\\* (john\\_doe) [ссылка на задачу](${YOUGILE_BASE_URL}/#TECH-1)\n` +
+        '>**Какую проблему решаем**\n>Problem'
+    }]);
+  });
+
+  test('splits long changelog', () => {
+    const entries = Array.from({ length: 200 }, (_, i) => entry(i, { description: 'x'.repeat(100) }));
+    const messages = buildMattermostMessages([{ prefix: 'feat', title: 'Фичи', emoji: '✨', entries }], 'P');
+
+    expect(messages.length).toBeGreaterThan(1);
+    messages.forEach(message => expect(message.text.length).toBeLessThanOrEqual(MAX_MESSAGE_LENGTH));
+  });
+});
+
+describe('sendMattermostChangelog', () => {
+  test('posts messages to webhook', async () => {
+    global.fetch.mockResolvedValue({ ok: true });
+
+    const count = await sendMattermostChangelog({
+      webhookUrl: 'https://mattermost.example.com/hooks/x',
+      sections: [{ prefix: 'feat', title: 'Фичи', emoji: '✨', entries: [entry(1)] }],
+      projectName: 'P'
+    });
+
+    expect(count).toBe(1);
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).text).toContain('Feature 1');
+  });
+});
@@ -2,11 +2,15 @@ const {
   detectFailures,
   calculateMTTR,
   calculateCycleTimes,
+  calculateLeadTimes,
   createMetricRow,
   MAX_LEAD_TIME_DAYS,
   MAX_CYCLE_TIME_DAYS
 } = require('../src/metrics');
 
+const github = require('@actions/github');
+const { parseExclusionRules } = require('../src/exclusions');
+
 // Mock @actions/core
 jest.mock('@actions/core', () => ({
   info: jest.fn(),
@@ -348,6 +352,34 @@ describe('calculateCycleTimes', () => {
   });
 });
 
+describe('calculateLeadTimes', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('leaves excluded commits out of the mean', async () => {
+    const now = Date.now();
+    jest.setSystemTime(now);
+    const listPulls = jest.fn().mockResolvedValue({ data: [] });
+    github.getOctokit.mockReturnValue({ rest: { repos: { listPullRequestsAssociatedWithCommit: listPulls } } });
+
+    const hoursAgo = hours => new Date(now - hours * 60 * 60 * 1000).toISOString();
+    const commits = [
+      { id: 'aaa', message: 'feat(TECH-1): feature', timestamp: hoursAgo(2), author: { username: 'alice' } },
+      { id: 'bbb', message: 'chore(deps): bump', timestamp: hoursAgo(200), author: { username: 'dependabot[bot]' } },
+      { id: 'ccc', message: "Merge branch 'main' into feature", timestamp: hoursAgo(100), author: { username: 'alice' } }
+    ];
+
+    expect(await calculateLeadTimes(commits, 'gh-token', parseExclusionRules(''))).toBe(2 * 60 * 60);
+    expect(listPulls).toHaveBeenCalledTimes(1);
+    expect(await calculateLeadTimes(commits, 'gh-token')).toBe((2 + 200 + 100) / 3 * 60 * 60);
+  });
+});
+
 describe('metrics constants', () => {
   test('MAX_LEAD_TIME_DAYS is 30', () => {
     expect(MAX_LEAD_TIME_DAYS).toBe(30);
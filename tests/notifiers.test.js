@@ -0,0 +1,314 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const {
+  registerNotifier,
+  parseNotifiersConfig,
+  readLegacyNotifierConfigs,
+  createNotifiers,
+  runNotifiers,
+  runPackageNotifiers
+} = require('../src/notifiers');
+
+jest.mock('@actions/core', () => ({
+  getInput: jest.fn().mockReturnValue(''),
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  core.getInput.mockReturnValue('');
+});
+
+const release = {
+  projectName: 'MyProject',
+  repository: 'repo',
+  environment: 'production',
+  ref: 'refs/tags/v1.0.0',
+  sections: [
+    {
+      prefix: 'feat',
+      title: 'Фичи',
+      emoji: '✨',
+      entries: [
+        { taskId: 'TECH-1', title: 'Feature', author: 'alice', link: 'https://example.com/#TECH-1', description: '' }
+      ]
+    }
+  ]
+};
+
+describe('parseNotifiersConfig', () => {
+  test('returns empty list without input', () => {
+    expect(parseNotifiersConfig('')).toEqual([]);
+  });
+
+  test('parses YAML list with options and unique names', () => {
+    const configs = parseNotifiersConfig(`
+- type: slack
+  webhook_url: https://hooks.slack.com/a
+- type: slack
+  webhook_url: https://hooks.slack.com/b
+  environments: staging
+- type: telegram
+  name: team
+  token: t
+  targets: [1, 2]
+`);
+
+    expect(configs).toEqual([
+      { type: 'slack', name: 'slack', environments: [], options: { webhook_url: 'https://hooks.slack.com/a' } },
+      { type: 'slack', name: 'slack#2', environments: ['staging'], options: { webhook_url: 'https://hooks.slack.com/b' } },
+      { type: 'telegram', name: 'team', environments: [], options: { token: 't', targets: [1, 2] } }
+    ]);
+  });
+
+  test('parses JSON input', () => {
+    expect(parseNotifiersConfig('[{"type": "console"}]')).toEqual([
+      { type: 'console', name: 'console', environments: [], options: {} }
+    ]);
+  });
+
+  test('throws on unknown type and invalid entries', () => {
+    expect(() => parseNotifiersConfig('- type: pager')).toThrow('notifier #1 has unknown type "pager"');
+    expect(() => parseNotifiersConfig('- slack')).toThrow('notifier #1 must be an object');
+    expect(() => parseNotifiersConfig('- type: [')).toThrow('Invalid notifiers input');
+  });
+});
+
+describe('readLegacyNotifierConfigs', () => {
+  test('falls back to console without channel inputs', () => {
+    expect(readLegacyNotifierConfigs().map(config => config.type)).toEqual(['console']);
+  });
+
+  test('builds Telegram and webhook notifiers from single-channel inputs', () => {
+    const inputs = { token: 't', chat_id: '1', slack_webhook_url: 'https://hooks.slack.com/a', webhook_url: 'https://example.com' };
+    core.getInput.mockImplementation(name => inputs[name] || '');
+
+    expect(readLegacyNotifierConfigs().map(config => config.type)).toEqual(['telegram', 'slack', 'webhook']);
+  });
+});
+
+describe('createNotifiers', () => {
+  test('validates notifier options', () => {
+    expect(() => createNotifiers(parseNotifiersConfig('- type: slack'))).toThrow('Notifier "slack": webhook_url is required');
+    expect(() => createNotifiers(parseNotifiersConfig('- type: telegram\n  token: t')))
+      .toThrow('Notifier "telegram": targets or chat_id is required');
+    expect(() => createNotifiers(parseNotifiersConfig('- type: telegram\n  token: t\n  chat_id: 1\n  parse_mode: mrkdwn')))
+      .toThrow('unsupported parse mode mrkdwn');
+    expect(() => createNotifiers(parseNotifiersConfig('- type: console\n  template: "{{#sections}}\\n{{title}}\\n"')))
+      .toThrow('Notifier "console": Template error: unclosed {{#sections}}');
+  });
+});
+
+describe('runPackageNotifiers', () => {
+  const sent = [];
+  registerNotifier('recording', () => ({
+    async send(rel) {
+      sent.push({ projectName: rel.projectName, packages: rel.packages ? rel.packages.map(item => item.projectName) : null });
+      return { ok: true, summary: 'done' };
+    }
+  }));
+
+  const createRouting = () => {
+    const notifiers = createNotifiers(parseNotifiersConfig(`
+- type: recording
+  name: chat
+- type: recording
+  name: mail
+- type: github_release
+  token: t
+`));
+    const releaseNotifier = notifiers[2];
+    releaseNotifier.send = jest.fn().mockResolvedValue({ ok: true, summary: 'published' });
+    return { notifiers, releaseNotifier };
+  };
+  const packageRelease = (name, notifiers = []) => ({
+    pkg: { name, notifiers },
+    release: { ...release, projectName: name, package: name }
+  });
+
+  beforeEach(() => {
+    sent.length = 0;
+  });
+
+  test('sends a package through its own notifiers only', async () => {
+    const { notifiers } = createRouting();
+    const report = await runPackageNotifiers(notifiers, [packageRelease('api', ['mail']), packageRelease('web')], {
+      projectName: 'MyProject'
+    });
+
+    expect(sent.map(item => item.projectName)).toEqual(['api', 'web', 'web']);
+    expect(report.map(entry => [entry.package, entry.name])).toEqual([
+      ['api', 'mail'],
+      ['web', 'chat'],
+      ['web', 'mail'],
+      [undefined, 'github_release']
+    ]);
+  });
+
+  test('publishes every package through a GitHub Release notifier at once', async () => {
+    const { notifiers, releaseNotifier } = createRouting();
+    await runPackageNotifiers(notifiers, [packageRelease('api'), packageRelease('web', ['chat'])], { projectName: 'MyProject' });
+    await runPackageNotifiers(notifiers, [packageRelease('api'), packageRelease('web', ['github_release'])], {
+      projectName: 'MyProject'
+    });
+
+    expect(releaseNotifier.send).toHaveBeenCalledTimes(2);
+    const [[first], [second]] = releaseNotifier.send.mock.calls;
+    expect(first.packages.map(item => item.projectName)).toEqual(['api']);
+    expect(second).toEqual(expect.objectContaining({ projectName: 'MyProject', package: null, targets: [] }));
+    expect(second.packages.map(item => item.projectName)).toEqual(['api', 'web']);
+    expect(second.sections).toHaveLength(2);
+  });
+
+  test('sends commits of no package under the project name', async () => {
+    const { notifiers, releaseNotifier } = createRouting();
+    const report = await runPackageNotifiers(
+      notifiers,
+      [packageRelease('api', ['chat']), { pkg: null, release }],
+      { projectName: 'MyProject' }
+    );
+
+    expect(sent.map(item => item.projectName)).toEqual(['api', 'MyProject', 'MyProject']);
+    expect(report.filter(entry => !entry.package).map(entry => entry.name)).toEqual(['chat', 'mail', 'github_release']);
+    expect(releaseNotifier.send.mock.calls[0][0].packages.map(item => item.projectName)).toEqual(['MyProject']);
+  });
+
+  test('runs every notifier once per release without packages', async () => {
+    const { notifiers, releaseNotifier } = createRouting();
+    const report = await runPackageNotifiers(notifiers, [{ pkg: null, release }], { projectName: 'MyProject' });
+
+    expect(report.map(entry => entry.name)).toEqual(['chat', 'mail', 'github_release']);
+    expect(releaseNotifier.send.mock.calls[0][0].packages).toBeUndefined();
+    expect(sent.every(item => item.packages === null)).toBe(true);
+  });
+});
+
+describe('package-aware notifiers', () => {
+  test('writes every package of a monorepo into one changelog version', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'notifiers-')), 'CHANGELOG.md');
+    const [notifier] = createNotifiers(parseNotifiersConfig(`- type: changelog_file\n  path: ${file}`));
+
+    expect(notifier.combinesPackages).toBe(true);
+    const report = await runNotifiers([notifier], {
+      ...release,
+      packages: [{ ...release, projectName: 'api', package: 'api' }, { ...release, projectName: 'web', package: 'web' }]
+    });
+
+    expect(report[0].status).toBe('delivered');
+    const content = fs.readFileSync(file, 'utf8');
+    expect(content.match(/## \[1\.0\.0\]/g)).toHaveLength(1);
+    expect(content).toContain('- **api:** Feature');
+    expect(content).toContain('- **web:** Feature');
+  });
+
+  test('marks the GitHub Release notifier as combining packages', () => {
+    const [notifier] = createNotifiers(parseNotifiersConfig('- type: github_release\n  token: t'));
+    expect(notifier.combinesPackages).toBe(true);
+  });
+});
+
+describe('runNotifiers', () => {
+  test('uses registered notifiers and keeps going after a failure', async () => {
+    const sent = [];
+    registerNotifier('test', options => ({
+      async send(rel) {
+        if (options.fail) {
+          throw new Error('boom');
+        }
+        sent.push(rel.projectName);
+        return { ok: true, summary: 'done' };
+      }
+    }));
+
+    const notifiers = createNotifiers(parseNotifiersConfig(`
+- type: test
+  name: broken
+  fail: true
+- type: test
+  name: working
+- type: test
+  name: staging-only
+  environments: [staging]
+`));
+    const report = await runNotifiers(notifiers, release);
+
+    expect(sent).toEqual(['MyProject']);
+    expect(report.map(entry => [entry.name, entry.status, entry.summary])).toEqual([
+      ['broken', 'failed', 'boom'],
+      ['working', 'delivered', 'done'],
+      ['staging-only', 'skipped', 'not used for production']
+    ]);
+  });
+
+  test('reports Telegram message IDs', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: jest.fn().mockResolvedValue({ ok: true, result: { message_id: 7 } })
+    });
+
+    const notifiers = createNotifiers(parseNotifiersConfig('- type: telegram\n  token: t\n  chat_id: 1'));
+    const [entry] = await runNotifiers(notifiers, release);
+
+    expect(entry.status).toBe('delivered');
+    expect(entry.messageIds).toEqual([{ chat_id: '1', message_thread_id: null, message_ids: [7] }]);
+  });
+
+  test('sends the release in the locale of the notifier', async () => {
+    const sent = [];
+    registerNotifier('capture', () => ({
+      async send(rel) {
+        sent.push([rel.sections[0].title, rel.locale?.taskLink]);
+        return { ok: true, summary: 'done' };
+      }
+    }));
+
+    const notifiers = createNotifiers(parseNotifiersConfig('- type: capture\n- type: capture\n  locale: en'));
+    await runNotifiers(notifiers, { ...release, prefixCatalogue: { feat: { emoji: '🚀' } } });
+
+    expect(sent).toEqual([['Фичи', undefined], ['Features', 'task link']]);
+    expect(() => createNotifiers(parseNotifiersConfig('- type: console\n  locale: de')))
+      .toThrow('Notifier "console": Unknown locale "de"');
+  });
+
+  test('sends to the Telegram targets of the release when given', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: jest.fn().mockResolvedValue({ ok: true, result: { message_id: 7 } })
+    });
+
+    const notifiers = createNotifiers(parseNotifiersConfig('- type: telegram\n  token: t\n  chat_id: 1'));
+    const [entry] = await runNotifiers(notifiers, {
+      ...release,
+      targets: [{ chatId: '2', messageThreadId: null, environments: [] }]
+    });
+
+    expect(entry.messageIds).toEqual([{ chat_id: '2', message_thread_id: null, message_ids: [7] }]);
+  });
+
+  test('renders Telegram messages with the template option', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: jest.fn().mockResolvedValue({ ok: true, result: { message_id: 7 } })
+    });
+
+    const notifiers = createNotifiers(parseNotifiersConfig(`
+- type: telegram
+  token: t
+  chat_id: 1
+  parse_mode: HTML
+  template: "{{project}} {{version}}: {{#sections}}{{#entries}}{{title}}{{/entries}}{{/sections}}"
+`));
+    await runNotifiers(notifiers, release);
+
+    const [, request] = global.fetch.mock.calls.find(([url]) => url.endsWith('/sendMessage'));
+    const body = JSON.parse(request.body);
+    expect(body.text).toBe('MyProject 1.0.0: Feature');
+  });
+});
@@ -0,0 +1,79 @@
+const { buildChangelogOutputs } = require('../src/outputs');
+const { YOUGILE_BASE_URL } = require('../src/changelog');
+
+const sections = [
+  {
+    prefix: 'feat',
+    title: 'Фичи',
+    emoji: '✨',
+    entries: [{
+      taskId: 'TECH-1',
+      title: 'Export *all* reports',
+      author: 'alice',
+      authors: ['alice'],
+      contributors: [{ login: 'alice', name: 'alice', telegram: 'alice_dev', slack: null }],
+      commits: ['aaaaaaa111'],
+      link: `${YOUGILE_BASE_URL}/#TECH-1`,
+      description: 'Reports are slow',
+      scope: 'api',
+      breaking: false
+    }]
+  }
+];
+
+const release = {
+  projectName: 'My_App',
+  repository: 'test-repo',
+  environment: 'production',
+  ref: 'refs/tags/v1.0.0',
+  sections
+};
+
+describe('buildChangelogOutputs', () => {
+  test('builds JSON, GitHub Markdown and plain text of a release', () => {
+    const outputs = buildChangelogOutputs([release]);
+
+    expect(JSON.parse(outputs.json)).toEqual(expect.objectContaining({
+      project: 'My_App',
+      ref: 'refs/tags/v1.0.0',
+      task_ids: ['TECH-1'],
+      authors: ['alice']
+    }));
+    expect(JSON.parse(outputs.json).sections[0].entries[0]).toEqual(expect.objectContaining({
+      task_id: 'TECH-1',
+      title: 'Export *all* reports',
+      description: 'Reports are slow',
+      commits: ['aaaaaaa111'],
+      link: `${YOUGILE_BASE_URL}/#TECH-1`
+    }));
+    expect(outputs.markdown).toBe(
+      '**Фичи**\n' +
+      `✨ **api:** Export \\*all\\* reports (alice) [ссылка на задачу](${YOUGILE_BASE_URL}/#TECH-1)\n` +
+      '>**Какую проблему решаем**\n>Reports are slow'
+    );
+    expect(outputs.text).toBe(
+      'Фичи\n' +
+      `✨ api: Export *all* reports (alice) ссылка на задачу (${YOUGILE_BASE_URL}/#TECH-1)\n` +
+      '  Какую проблему решаем\n  Reports are slow'
+    );
+  });
+
+  test('keeps an entry after a described one out of the Markdown quote', () => {
+    const second = { ...sections[0].entries[0], taskId: 'TECH-2', title: 'Second', description: '', link: null };
+    const outputs = buildChangelogOutputs([{ ...release, sections: [{ ...sections[0], entries: [sections[0].entries[0], second] }] }]);
+
+    expect(outputs.markdown).toContain('>Reports are slow\n\n✨ **api:** Second (alice)');
+  });
+
+  test('lists packages of a monorepo', () => {
+    const outputs = buildChangelogOutputs(
+      [{ ...release, projectName: 'api' }, { ...release, projectName: 'web_app' }],
+      { packages: true }
+    );
+
+    expect(JSON.parse(outputs.json).map(item => item.project)).toEqual(['api', 'web_app']);
+    expect(outputs.markdown.startsWith('## api\n\n**Фичи**\n')).toBe(true);
+    expect(outputs.markdown).toContain('\n\n## web\\_app\n\n**Фичи**\n');
+    expect(outputs.text).toContain('\n\nweb_app\n\nФичи\n');
+  });
+});
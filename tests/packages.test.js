@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parsePackagesConfig,
+  matchPath,
+  findCommitPackages,
+  groupCommitsByPackage
+} = require('../src/packages');
+
+describe('parsePackagesConfig', () => {
+  test('returns empty list without input', () => {
+    expect(parsePackagesConfig('')).toEqual([]);
+  });
+
+  test('normalizes scopes, paths, targets and notifiers', () => {
+    expect(parsePackagesConfig(`
+- name: API
+  scopes: api
+  paths: [services/api]
+  targets: '["-100111"]'
+  project: api
+- name: Web
+  paths: apps/web/**
+  notifiers: slack
+  targets:
+    - chat_id: -100222
+      message_thread_id: 5
+`)).toEqual([
+      {
+        name: 'API',
+        scopes: ['api'],
+        paths: ['services/api'],
+        targets: [{ chatId: '-100111', messageThreadId: null, environments: [] }],
+        notifiers: [],
+        project: 'api'
+      },
+      {
+        name: 'Web',
+        scopes: [],
+        paths: ['apps/web/**'],
+        targets: [{ chatId: '-100222', messageThreadId: 5, environments: [] }],
+        notifiers: ['slack'],
+        project: ''
+      }
+    ]);
+  });
+
+  test('reads packages from a file', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'packages-')), 'packages.yml');
+    fs.writeFileSync(file, '- name: api\n  scopes: [api]\n');
+
+    expect(parsePackagesConfig(file).map(pkg => pkg.name)).toEqual(['api']);
+  });
+
+  test.each([
+    ['name: api', 'expected a list of packages'],
+    ['- api', 'package #1 must be an object'],
+    ['- scopes: [api]', 'package #1 needs a name'],
+    ['- name: api', 'package #1 needs scopes or paths'],
+    ['- name: api\n  scopes: [api]\n- name: api\n  scopes: [web]', 'package #2 has duplicate name "api"'],
+    ['- name: api\n  scopes: [{ a: 1 }]', 'scopes, paths and notifiers must be strings or lists of strings'],
+    ['- name: api\n  scopes: [api]\n  chat: 1', 'package #1 has unknown field chat'],
+    ['- name: api\n  scopes: [api]\n  targets: "[{}]"', 'package #1 has invalid targets']
+  ])('rejects %j', (input, message) => {
+    expect(() => parsePackagesConfig(input)).toThrow(message);
+  });
+});
+
+describe('matchPath', () => {
+  test.each([
+    ['services/api', 'services/api/src/index.js', true],
+    ['services/api/', 'services/api', true],
+    ['services/api', 'services/api-gateway/index.js', false],
+    ['apps/web/**', 'apps/web/src/app.tsx', true],
+    ['apps/*/package.json', 'apps/web/package.json', true],
+    ['apps/*/package.json', 'apps/web/src/package.json', false],
+    ['**/*.md', 'README.md', true],
+    ['**/*.md', 'docs/guide/intro.md', true],
+    ['docs/?.md', 'docs/a.md', true],
+    ['./libs/ui/**', 'libs/ui/button.js', true]
+  ])('%s matches %s: %s', (pattern, file, expected) => {
+    expect(matchPath(pattern, file)).toBe(expected);
+  });
+});
+
+describe('groupCommitsByPackage', () => {
+  const packages = parsePackagesConfig(`
+- name: API
+  scopes: [api]
+  paths: services/api
+- name: Web
+  paths: apps/web/**
+`);
+  const commits = [
+    { id: '1', message: 'feat(api, TECH-1): add endpoint', modified: [] },
+    { id: '2', message: 'fix(TECH-2): fix layout', modified: ['apps/web/src/app.tsx'] },
+    { id: '3', message: 'chore(TECH-3): shared config', modified: ['services/api/.env', 'apps/web/.env'] },
+    { id: '4', message: 'docs(TECH-4): readme', added: ['README.md'] }
+  ];
+
+  test('finds packages by scope and changed files', () => {
+    expect(findCommitPackages(commits[0], packages).map(pkg => pkg.name)).toEqual(['API']);
+    expect(findCommitPackages(commits[2], packages).map(pkg => pkg.name)).toEqual(['API', 'Web']);
+    expect(findCommitPackages(commits[3], packages)).toEqual([]);
+  });
+
+  test('splits commits by package and keeps commits of no package', () => {
+    const groups = groupCommitsByPackage(commits, packages);
+
+    expect(groups.map(group => [group.package && group.package.name, group.commits.map(commit => commit.id)])).toEqual([
+      ['API', ['1', '3']],
+      ['Web', ['2', '3']],
+      [null, ['4']]
+    ]);
+  });
+});
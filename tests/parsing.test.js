@@ -1,19 +1,27 @@
 const {
   escapeMarkdown,
+  escapeHtml,
+  escapeSlack,
   getFirstLine,
   extractTaskId,
   hasTaskId,
   removeTaskIdSuffix,
   parseProblemDescription,
+  parseBodyBullets,
   hasPrefix,
-  replacePrefix
+  replacePrefix,
+  parseCommitMessage,
+  extractPrefix,
+  getTagName,
+  getVersion
 } = require('../src/parsing');
 
 describe('escapeMarkdown', () => {
   test('escapes special characters', () => {
     expect(escapeMarkdown('Hello *world*')).toBe('Hello \\*world\\*');
     expect(escapeMarkdown('Test [link]')).toBe('Test \\[link\\]');
-    expect(escapeMarkdown('Code `inline`')).toBe('Code `inline`'); // backticks not escaped
+    expect(escapeMarkdown('Code `inline`')).toBe('Code \\`inline\\`');
+    expect(escapeMarkdown('C:\\temp')).toBe('C:\\\\temp');
   });
 
   test('handles empty/null input', () => {
@@ -27,6 +35,27 @@ describe('escapeMarkdown', () => {
   });
 });
 
+describe('escapeHtml', () => {
+  test('escapes HTML special characters', () => {
+    expect(escapeHtml('a < b & "c" > d')).toBe('a &lt; b &amp; &quot;c&quot; &gt; d');
+    expect(escapeHtml('feat(TECH-1): *x*')).toBe('feat(TECH-1): *x*');
+  });
+
+  test('handles empty/null input', () => {
+    expect(escapeHtml(null)).toBe('');
+  });
+});
+
+describe('escapeSlack', () => {
+  test('escapes Slack control characters only', () => {
+    expect(escapeSlack('a < b & "c" > *d*')).toBe('a &lt; b &amp; "c" &gt; *d*');
+  });
+
+  test('handles empty/null input', () => {
+    expect(escapeSlack(undefined)).toBe('');
+  });
+});
+
 describe('getFirstLine', () => {
   test('returns first line of multi-line message', () => {
     expect(getFirstLine('First line\nSecond line')).toBe('First line');
@@ -49,6 +78,8 @@ describe('extractTaskId', () => {
     expect(extractTaskId('feat(TECH-123): add feature')).toBe('TECH-123');
     expect(extractTaskId('fix(ABC-1): fix bug')).toBe('ABC-1');
     expect(extractTaskId('chore(PROJECT-99999): update')).toBe('PROJECT-99999');
+    expect(extractTaskId('feat(api, TECH-7): add feature')).toBe('TECH-7');
+    expect(extractTaskId('feat: add feature\n\nRefs: TECH-8')).toBe('TECH-8');
   });
 
   test('returns null for messages without task ID suffix', () => {
@@ -94,10 +125,21 @@ describe('parseProblemDescription', () => {
   const problemTitle = 'Какую проблему решаем';
 
   test('extracts problem description', () => {
-    const message = 'Some text\nКакую проблему решаем\nПользователи не могут войти\nMore text';
+    const message = 'Some text\nКакую проблему решаем\nПользователи не могут войти\n\nMore text';
     expect(parseProblemDescription(message, problemTitle)).toBe('Пользователи не могут войти');
   });
 
+  test('keeps every line of the problem section', () => {
+    const message = 'Какую проблему решаем:\n\nПользователи не могут войти\nпосле смены пароля\n\nКак проверить\nВойти';
+    expect(parseProblemDescription(message, problemTitle)).toBe('Пользователи не могут войти\nпосле смены пароля');
+  });
+
+  test('reads the problem section of an HTML message', () => {
+    const message = '<p><b>Какую проблему решаем</b></p><p>Пользователи &#171;не&#187; могут</p><p>войти</p>' +
+      '<p><b>Как проверить</b></p><p>Войти</p>';
+    expect(parseProblemDescription(message, problemTitle)).toBe('Пользователи «не» могут\nвойти');
+  });
+
   test('returns empty string when no problem section', () => {
     expect(parseProblemDescription('Just some text', problemTitle)).toBe('');
   });
@@ -115,6 +157,18 @@ describe('parseProblemDescription', () => {
   });
 });
 
+describe('parseBodyBullets', () => {
+  test('takes bullet lines with their indented continuations', () => {
+    const body = 'Why we did it.\n\n- add `--format`\n* keep the old\n  output\n• drop v1\nnot a bullet';
+    expect(parseBodyBullets(body)).toEqual(['add `--format`', 'keep the old output', 'drop v1']);
+  });
+
+  test('returns no bullets for an empty body', () => {
+    expect(parseBodyBullets('')).toEqual([]);
+    expect(parseBodyBullets(undefined)).toEqual([]);
+  });
+});
+
 describe('hasPrefix', () => {
   test('returns true when prefix found', () => {
     expect(hasPrefix('feat: add feature', 'feat')).toBe(true);
@@ -124,6 +178,11 @@ describe('hasPrefix', () => {
   test('returns false when prefix not found', () => {
     expect(hasPrefix('feat: add feature', 'fix')).toBe(false);
     expect(hasPrefix('feature: add feature', 'feat')).toBe(false);
+    expect(hasPrefix('chore: revert feat: add feature', 'feat')).toBe(false);
+  });
+
+  test('matches scoped and breaking headers', () => {
+    expect(hasPrefix('feat(api)!: add feature', 'feat')).toBe(true);
   });
 
   test('handles empty/null input', () => {
@@ -137,6 +196,7 @@ describe('replacePrefix', () => {
   test('replaces prefix with emoji', () => {
     expect(replacePrefix('feat: add feature', 'feat', '✨')).toBe('✨ add feature');
     expect(replacePrefix('fix: bug fix', 'fix', '🛠️')).toBe('🛠️ bug fix');
+    expect(replacePrefix('fix(api)!: bug fix', 'fix', '🛠️')).toBe('🛠️ bug fix');
   });
 
   test('returns message unchanged if prefix not found', () => {
@@ -149,3 +209,89 @@ describe('replacePrefix', () => {
     expect(replacePrefix('feat: test', null, '✨')).toBe('feat: test');
   });
 });
+
+describe('extractPrefix', () => {
+  test('returns Conventional Commits type', () => {
+    expect(extractPrefix('feat(TECH-1): add')).toBe('feat');
+    expect(extractPrefix('fix!: drop')).toBe('fix');
+    expect(extractPrefix('Merge branch main')).toBe(null);
+  });
+});
+
+describe('parseCommitMessage', () => {
+  test('parses type, scope, task IDs, breaking marker, body and footers', () => {
+    const message = [
+      'feat(api, TECH-1)!: drop v1 endpoints',
+      '',
+      'Clients must use v2.',
+      'See the migration guide.',
+      '',
+      'BREAKING CHANGE: /v1 routes are removed',
+      'Refs: TECH-2, TECH-3',
+      'Reviewed-by: bob'
+    ].join('\n');
+
+    expect(parseCommitMessage(message)).toEqual({
+      type: 'feat',
+      scope: 'api',
+      taskIds: ['TECH-1', 'TECH-2', 'TECH-3'],
+      breaking: true,
+      breakingDescription: '/v1 routes are removed',
+      subject: 'drop v1 endpoints',
+      body: 'Clients must use v2.\nSee the migration guide.',
+      footers: [
+        { token: 'BREAKING CHANGE', value: '/v1 routes are removed' },
+        { token: 'Refs', value: 'TECH-2, TECH-3' },
+        { token: 'Reviewed-by', value: 'bob' }
+      ]
+    });
+  });
+
+  test('uses subject as breaking description for the ! marker', () => {
+    const parsed = parseCommitMessage('fix!: change defaults');
+
+    expect(parsed.breaking).toBe(true);
+    expect(parsed.breakingDescription).toBe('change defaults');
+    expect(parsed.scope).toBe(null);
+  });
+
+  test('joins multi-line footer values', () => {
+    const parsed = parseCommitMessage('feat: x\n\nBREAKING-CHANGE: first line\n  second line');
+
+    expect(parsed.breaking).toBe(true);
+    expect(parsed.breakingDescription).toBe('first line\n  second line');
+  });
+
+  test('keeps body without footers', () => {
+    const parsed = parseCommitMessage('docs(TECH-5): update readme\n\nJust a body.');
+
+    expect(parsed).toEqual(expect.objectContaining({ taskIds: ['TECH-5'], body: 'Just a body.', footers: [] }));
+  });
+
+  test('returns header as subject for non-conventional messages', () => {
+    expect(parseCommitMessage('Merge pull request #1 from feat: x')).toEqual(expect.objectContaining({
+      type: null,
+      scope: null,
+      taskIds: [],
+      breaking: false,
+      subject: 'Merge pull request #1 from feat: x'
+    }));
+    expect(parseCommitMessage(null).subject).toBe('');
+  });
+});
+
+describe('getTagName', () => {
+  test('returns tag for tag refs only', () => {
+    expect(getTagName('refs/tags/v1.2.0')).toBe('v1.2.0');
+    expect(getTagName('refs/heads/main')).toBeNull();
+    expect(getTagName(undefined)).toBeNull();
+  });
+});
+
+describe('getVersion', () => {
+  test('strips v prefix from tag', () => {
+    expect(getVersion('refs/tags/v1.2.0')).toBe('1.2.0');
+    expect(getVersion('refs/tags/2024.05')).toBe('2024.05');
+    expect(getVersion('refs/heads/main')).toBeNull();
+  });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parsePrefixCatalogue,
+  createPrefixCatalogue,
+  getPrefixInfo,
+  resolvePrefixes
+} = require('../src/prefixes');
+
+const DEFAULT_PREFIXES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'chore'];
+
+describe('parsePrefixCatalogue', () => {
+  test('returns no overrides without input', () => {
+    expect(parsePrefixCatalogue('')).toEqual({});
+    expect(parsePrefixCatalogue(undefined)).toEqual({});
+  });
+
+  test('parses YAML and JSON maps', () => {
+    expect(parsePrefixCatalogue('hotfix:\n  title: Хотфиксы\n  emoji: 🚑\n  order: 0.5\nchore:\n  hidden: true\n')).toEqual({
+      hotfix: { title: 'Хотфиксы', emoji: '🚑', order: 0.5 },
+      chore: { hidden: true }
+    });
+    expect(parsePrefixCatalogue('{"ci": {"title": "CI"}}')).toEqual({ ci: { title: 'CI' } });
+  });
+
+  test('normalizes labels to a list', () => {
+    expect(parsePrefixCatalogue('fix:\n  labels: bug\nfeat:\n  labels: [enhancement, feature]\n')).toEqual({
+      fix: { labels: ['bug'] },
+      feat: { labels: ['enhancement', 'feature'] }
+    });
+  });
+
+  test('reads catalogue from a file', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'prefixes-')), 'prefixes.yml');
+    fs.writeFileSync(file, 'build:\n  title: Сборка\n');
+
+    expect(parsePrefixCatalogue(file)).toEqual({ build: { title: 'Сборка' } });
+  });
+
+  test.each([
+    ['- feat', 'expected a map of prefixes'],
+    ['Hot-fix:\n  title: X', 'prefix "Hot-fix" must consist of lowercase latin letters'],
+    ['hotfix: Хотфиксы', 'prefix "hotfix" must be a map of title, emoji, order, hidden and labels'],
+    ['hotfix:\n  emoji: 🚑', 'prefix "hotfix" is not a default prefix and needs a title'],
+    ['feat:\n  title: ""', 'prefix "feat" title must be a non-empty string'],
+    ['feat:\n  color: red', 'prefix "feat" has unknown field color'],
+    ['feat:\n  order: first', 'prefix "feat" order must be a number'],
+    ['feat:\n  hidden: "yes"', 'prefix "feat" hidden must be true or false'],
+    ['feat:\n  labels: [1]', 'prefix "feat" labels must be a label or a list of labels'],
+    ['other:\n  labels: misc', 'prefix "other" cannot have labels'],
+    ['feat: [', 'Invalid prefix_catalogue input']
+  ])('rejects %j', (input, message) => {
+    expect(() => parsePrefixCatalogue(input)).toThrow(message);
+  });
+});
+
+describe('createPrefixCatalogue', () => {
+  test('merges overrides over the defaults', () => {
+    const catalogue = createPrefixCatalogue({ feat: { emoji: '🚀' }, hotfix: { title: 'Хотфиксы' } });
+
+    expect(catalogue.feat).toEqual({ title: 'Фичи', emoji: '🚀', hidden: false, custom: false });
+    expect(catalogue.hotfix).toEqual({ title: 'Хотфиксы', emoji: '📦', hidden: false, custom: true });
+    expect(catalogue.fix.title).toBe('Исправления багов');
+  });
+});
+
+describe('getPrefixInfo', () => {
+  test('falls back to the prefix name for prefixes missing from the catalogue', () => {
+    expect(getPrefixInfo(createPrefixCatalogue(), 'build')).toEqual({ title: 'build', emoji: '📦' });
+  });
+});
+
+describe('resolvePrefixes', () => {
+  test('keeps the prefixes input order without catalogue', () => {
+    expect(resolvePrefixes(['fix', 'feat'], createPrefixCatalogue())).toEqual(['fix', 'feat']);
+  });
+
+  test('adds new prefixes, hides and sorts by order', () => {
+    const catalogue = createPrefixCatalogue({
+      hotfix: { title: 'Хотфиксы', order: 0.5 },
+      ci: { title: 'CI' },
+      chore: { hidden: true },
+      docs: { order: 100 }
+    });
+
+    expect(resolvePrefixes(DEFAULT_PREFIXES, catalogue)).toEqual(
+      ['feat', 'hotfix', 'fix', 'style', 'refactor', 'perf', 'test', 'ci', 'docs']
+    );
+  });
+
+  test('reports prefixes missing from the catalogue', () => {
+    const core = { warning: jest.fn() };
+
+    expect(resolvePrefixes(['feat', 'build'], createPrefixCatalogue(), core)).toEqual(['feat', 'build']);
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Prefixes missing from the prefix catalogue: build'));
+  });
+});
@@ -0,0 +1,172 @@
+jest.mock('@actions/github', () => ({
+  getOctokit: jest.fn(),
+  context: {
+    repo: { owner: 'test-owner', repo: 'test-repo' }
+  }
+}));
+
+const github = require('@actions/github');
+const {
+  findLabelPrefix,
+  findPullTaskIds,
+  pullToCommit,
+  createPullRequestLoader,
+  collapsePullRequests
+} = require('../src/pulls');
+const { collectChangelog, renderChangelog } = require('../src/changelog');
+const { parsePrefixCatalogue, createPrefixCatalogue } = require('../src/prefixes');
+
+const catalogue = createPrefixCatalogue(parsePrefixCatalogue(`
+feat:
+  labels: [enhancement, Feature]
+fix:
+  labels: bug
+breaking:
+  labels: breaking-change
+`));
+
+const pull = (number, title, extra = {}) => ({
+  number,
+  title,
+  body: '',
+  html_url: `https://github.com/test-owner/test-repo/pull/${number}`,
+  merge_commit_sha: `merge${number}`,
+  merged_at: '2024-01-10T10:00:00Z',
+  user: { login: 'alice' },
+  head: { ref: 'main' },
+  labels: [],
+  ...extra
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('findLabelPrefix', () => {
+  test('maps labels to catalogue prefixes case-insensitively', () => {
+    expect(findLabelPrefix(catalogue, ['documentation', 'feature'])).toBe('feat');
+    expect(findLabelPrefix(catalogue, ['BUG'])).toBe('fix');
+    expect(findLabelPrefix(catalogue, ['breaking-change'])).toBeNull();
+    expect(findLabelPrefix(catalogue, [])).toBeNull();
+  });
+});
+
+describe('findPullTaskIds', () => {
+  test('takes task IDs from the title, branch name and body', () => {
+    expect(findPullTaskIds(pull(1, 'feat(TECH-1): export'))).toEqual(['TECH-1']);
+    expect(findPullTaskIds(pull(2, '[TECH-2] Export'))).toEqual(['TECH-2']);
+    expect(findPullTaskIds(pull(3, 'Export', { head: { ref: 'feature/TECH-3-export' } }))).toEqual(['TECH-3']);
+    expect(findPullTaskIds(pull(4, 'Export', { body: 'Closes TECH-4 and TECH-5' }))).toEqual(['TECH-4', 'TECH-5']);
+    expect(findPullTaskIds(pull(5, 'Export', { body: null }))).toEqual([]);
+    expect(findPullTaskIds(pull(6, 'Export', { body: '[TECH-6] Export\n\nRefs: TECH-7, TECH-8' }))).toEqual(['TECH-6', 'TECH-7', 'TECH-8']);
+  });
+
+  test('does not take names like UTF-8 for task IDs', () => {
+    const untracked = pull(7, 'Export', {
+      head: { ref: 'fix/store-in-UTF-8' },
+      body: 'Stores files in UTF-8 and checks them with SHA-256.\nDates follow ISO-8601, see TECH-9 later.'
+    });
+
+    expect(findPullTaskIds(untracked)).toEqual([]);
+    expect(pullToCommit(untracked, catalogue).message).toBe('Export');
+  });
+});
+
+describe('pullToCommit', () => {
+  test('builds a Conventional Commit from labels and the title', () => {
+    const commit = pullToCommit(
+      pull(12, 'TECH-7: Add CSV export', { labels: [{ name: 'enhancement' }], user: { login: 'bob' } }),
+      catalogue
+    );
+
+    expect(commit).toEqual({
+      id: 'merge12',
+      message: 'feat: Add CSV export\n\nRefs: TECH-7',
+      timestamp: '2024-01-10T10:00:00Z',
+      url: 'https://github.com/test-owner/test-repo/pull/12',
+      author: { username: 'bob' },
+      pullRequest: { number: 12, url: 'https://github.com/test-owner/test-repo/pull/12', labels: ['enhancement'], commits: [] }
+    });
+  });
+
+  test('keeps the prefix and scope of a conventional title without mapped labels', () => {
+    expect(pullToCommit(pull(3, 'fix(api, TECH-3): handle timeouts'), catalogue).message)
+      .toBe('fix(api): handle timeouts\n\nRefs: TECH-3');
+  });
+
+  test('marks breaking changes by label', () => {
+    const commit = pullToCommit(pull(4, 'Drop v1 tokens', { labels: [{ name: 'bug' }, { name: 'breaking-change' }] }), catalogue);
+
+    expect(commit.message).toBe('fix: Drop v1 tokens\n\nBREAKING CHANGE: Drop v1 tokens');
+  });
+});
+
+describe('createPullRequestLoader', () => {
+  test('returns the merged pull request of a commit once', async () => {
+    const list = jest.fn().mockResolvedValue({
+      data: [pull(1, 'open', { merged_at: null }), pull(2, 'merged')]
+    });
+    github.getOctokit.mockReturnValue({ rest: { repos: { listPullRequestsAssociatedWithCommit: list } } });
+    const loadPull = createPullRequestLoader({ token: 'gh-token' });
+
+    expect((await loadPull('abc')).number).toBe(2);
+    await loadPull('abc');
+    expect(list).toHaveBeenCalledTimes(1);
+    expect(list).toHaveBeenCalledWith({ owner: 'test-owner', repo: 'test-repo', commit_sha: 'abc' });
+  });
+
+  test('warns and returns null on API errors', async () => {
+    github.getOctokit.mockReturnValue({
+      rest: { repos: { listPullRequestsAssociatedWithCommit: jest.fn().mockRejectedValue(new Error('Not Found')) } }
+    });
+    const core = { warning: jest.fn() };
+    const loadPull = createPullRequestLoader({ token: 'gh-token', core });
+
+    expect(await loadPull('abcdef1234')).toBeNull();
+    expect(core.warning).toHaveBeenCalledWith('GitHub API error getting PR for commit abcdef1: Not Found');
+  });
+
+  test('requires a token', () => {
+    expect(() => createPullRequestLoader({ token: '' })).toThrow('GitHub token is required');
+  });
+});
+
+describe('collapsePullRequests', () => {
+  const commits = [
+    { id: 'c1', message: 'wip', author: { username: 'alice' } },
+    { id: 'c2', message: 'fix(TECH-9): direct push', author: { username: 'carol' } },
+    { id: 'c3', message: 'review fixes', author: { username: 'alice' } }
+  ];
+  const pulls = { c1: pull(5, 'Add export', { labels: ['feature'], head: { ref: 'TECH-5-export' } }), c3: pull(5, 'Add export') };
+  const loadPull = sha => Promise.resolve(pulls[sha] || null);
+
+  test('replaces commits of a pull request with one commit in place of the first', async () => {
+    const collapsed = await collapsePullRequests(commits, loadPull, catalogue);
+
+    expect(collapsed.map(commit => commit.id)).toEqual(['merge5', 'c2']);
+    expect(collapsed[0].message).toBe('feat: Add export\n\nRefs: TECH-5');
+  });
+
+  test('renders pull request entries with a number link', async () => {
+    const collapsed = await collapsePullRequests(commits, loadPull, catalogue);
+    const sections = await collectChangelog(collapsed, ['feat', 'fix'], null, null, { catalogue });
+
+    expect(sections[0].entries[0]).toEqual(expect.objectContaining({
+      taskId: 'TECH-5',
+      title: 'Add export',
+      author: 'alice',
+      commits: ['c1', 'c3'],
+      pullRequest: {
+        number: 5,
+        url: 'https://github.com/test-owner/test-repo/pull/5',
+        labels: ['feature'],
+        commits: ['c1', 'c3']
+      }
+    }));
+    expect(sections[1].entries[0].commits).toEqual(['c2']);
+    expect(sections[1].entries[0].pullRequest).toBeUndefined();
+    expect(renderChangelog(sections)).toContain(
+      '✨ Add export \\(alice\\) [\\#5](https://github.com/test-owner/test-repo/pull/5)'
+    );
+  });
+});
@@ -0,0 +1,134 @@
+const github = require('@actions/github');
+const {
+  buildReleaseBody,
+  publishRelease,
+  sendGitHubRelease,
+  MAX_BODY_LENGTH
+} = require('../src/releases');
+
+jest.mock('@actions/github', () => ({
+  getOctokit: jest.fn(),
+  context: {
+    repo: { owner: 'test-owner', repo: 'test-repo' }
+  }
+}));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const sections = [
+  {
+    prefix: 'feat',
+    title: 'Фичи',
+    emoji: '✨',
+    entries: [
+      { taskId: 'TECH-1', title: 'Add *bold* feature', author: 'alice', link: 'https://example.com/#TECH-1', description: 'Slow page' }
+    ]
+  }
+];
+
+/**
+ * Create mocked Octokit with releases API
+ * @param {Object|null} existing - Release returned by getReleaseByTag, null for 404
+ */
+const mockOctokit = (existing) => ({
+  rest: {
+    repos: {
+      getReleaseByTag: existing
+        ? jest.fn().mockResolvedValue({ data: existing })
+        : jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 })),
+      createRelease: jest.fn().mockResolvedValue({ data: { id: 2, html_url: 'https://github.com/r/releases/2' } }),
+      updateRelease: jest.fn().mockResolvedValue({ data: { id: 1, html_url: 'https://github.com/r/releases/1' } })
+    }
+  }
+});
+
+describe('buildReleaseBody', () => {
+  test('renders GitHub Markdown with sections, links, authors and descriptions', () => {
+    const body = buildReleaseBody(sections);
+
+    expect(body).toContain('**Фичи**');
+    expect(body).toContain('✨ Add \\*bold\\* feature (alice) [ссылка на задачу](');
+    expect(body).toContain('>Slow page');
+  });
+
+  test('ends a quoted description with a blank line so the next entry stays out of the quote', () => {
+    const body = buildReleaseBody([{
+      ...sections[0],
+      entries: [
+        ...sections[0].entries,
+        { taskId: 'TECH-2', title: 'Second', author: 'bob', link: 'https://example.com/#TECH-2', description: '' }
+      ]
+    }]);
+
+    expect(body).toContain('>Slow page\n\n✨ Second (bob)');
+  });
+
+  test('puts packages of a monorepo into one body with a heading each', () => {
+    const body = buildReleaseBody([], {
+      packages: [{ projectName: 'api', sections }, { projectName: 'web_app', sections }]
+    });
+
+    expect(body.startsWith('## api\n\n**Фичи**\n')).toBe(true);
+    expect(body).toContain('>Slow page\n\n## web\\_app\n\n**Фичи**\n');
+  });
+
+  test('cuts too long body at a line boundary', () => {
+    const entries = Array.from({ length: 2000 }, (_, i) => ({
+      taskId: `TECH-${i}`, title: 'x'.repeat(100), author: 'a', link: 'https://example.com', description: ''
+    }));
+    const body = buildReleaseBody([{ ...sections[0], entries }]);
+
+    expect(body.length).toBeLessThanOrEqual(MAX_BODY_LENGTH);
+    expect(body.endsWith('\n…')).toBe(true);
+  });
+});
+
+describe('publishRelease', () => {
+  test('creates release when tag has none', async () => {
+    const octokit = mockOctokit(null);
+
+    const result = await publishRelease({ octokit, owner: 'o', repo: 'r', tag: 'v1.0.0', body: 'Body' });
+
+    expect(result).toEqual({ id: 2, url: 'https://github.com/r/releases/2', updated: false });
+    expect(octokit.rest.repos.createRelease).toHaveBeenCalledWith({
+      owner: 'o', repo: 'r', tag_name: 'v1.0.0', name: 'v1.0.0', body: 'Body'
+    });
+  });
+
+  test('updates existing release on re-runs', async () => {
+    const octokit = mockOctokit({ id: 1 });
+
+    const result = await publishRelease({ octokit, owner: 'o', repo: 'r', tag: 'v1.0.0', body: 'Body' });
+
+    expect(result.updated).toBe(true);
+    expect(octokit.rest.repos.updateRelease).toHaveBeenCalledWith({ owner: 'o', repo: 'r', release_id: 1, body: 'Body' });
+    expect(octokit.rest.repos.createRelease).not.toHaveBeenCalled();
+  });
+
+  test('rethrows errors other than 404', async () => {
+    const octokit = mockOctokit(null);
+    octokit.rest.repos.getReleaseByTag.mockRejectedValue(Object.assign(new Error('Forbidden'), { status: 403 }));
+
+    await expect(publishRelease({ octokit, owner: 'o', repo: 'r', tag: 'v1', body: '' })).rejects.toThrow('Forbidden');
+  });
+});
+
+describe('sendGitHubRelease', () => {
+  test('publishes to the current repository', async () => {
+    const octokit = mockOctokit(null);
+    github.getOctokit.mockReturnValue(octokit);
+
+    await sendGitHubRelease({ token: 'gh-token', tag: 'v1.0.0', sections });
+
+    expect(github.getOctokit).toHaveBeenCalledWith('gh-token');
+    expect(octokit.rest.repos.createRelease).toHaveBeenCalledWith(
+      expect.objectContaining({ owner: 'test-owner', repo: 'test-repo', tag_name: 'v1.0.0' })
+    );
+  });
+
+  test('throws without token', async () => {
+    await expect(sendGitHubRelease({ tag: 'v1', sections })).rejects.toThrow('GitHub token is required');
+  });
+});
@@ -0,0 +1,116 @@
+const {
+  parseRichText,
+  extractSection,
+  truncateRichText,
+  richTextToPlain,
+  renderRichText,
+  parseInlineMarkdown,
+  formatInlineMarkdown,
+  parseDescriptionLimit
+} = require('../src/richtext');
+const { getFormatter } = require('../src/formatters');
+
+const plain = text => ({ text, bold: false, code: false, url: null });
+
+describe('parseRichText', () => {
+  test('splits plain text into trimmed lines', () => {
+    expect(parseRichText('  First  \r\n\nSecond')).toEqual([[plain('First')], [], [plain('Second')]]);
+    expect(parseRichText('')).toEqual([]);
+  });
+
+  test('reads paragraphs, breaks, lists, bold text, links and entities of HTML', () => {
+    const lines = parseRichText(
+      '<p>Line &amp; <strong>bold</strong><br>next</p><ul><li>one</li><li><a href="https://x.io?a=1&amp;b=2">two</a></li></ul>'
+    );
+
+    expect(lines).toEqual([
+      [plain('Line & '), { text: 'bold', bold: true, code: false, url: null }],
+      [plain('next')],
+      [plain('• one')],
+      [plain('• '), { text: 'two', bold: false, code: false, url: 'https://x.io?a=1&b=2' }]
+    ]);
+  });
+});
+
+describe('extractSection', () => {
+  test('takes the lines after the heading up to a blank line', () => {
+    const lines = parseRichText('Intro\n## Problem:\n\nfirst\nsecond\n\nafter');
+    expect(richTextToPlain(extractSection(lines, 'Problem'))).toBe('first\nsecond');
+  });
+
+  test('stops at the next bold heading', () => {
+    const lines = parseRichText('<p><b>Problem</b></p><p>first</p><p><b>Solution</b></p><p>fix</p>');
+    expect(richTextToPlain(extractSection(lines, 'Problem'))).toBe('first');
+  });
+
+  test('returns no lines without the heading', () => {
+    expect(extractSection(parseRichText('Something else'), 'Problem')).toEqual([]);
+    expect(extractSection(parseRichText('Problem\nfirst'), '')).toEqual([]);
+  });
+});
+
+describe('truncateRichText', () => {
+  const lines = parseRichText('<p>Users <b>cannot log in</b></p><p>at all</p>');
+
+  test('keeps text within the limit', () => {
+    expect(truncateRichText(lines, 0)).toEqual({ lines, truncated: false });
+    expect(truncateRichText(lines, 100).truncated).toBe(false);
+  });
+
+  test('cuts text and ends it with an ellipsis', () => {
+    const { lines: cut, truncated } = truncateRichText(lines, 13);
+
+    expect(truncated).toBe(true);
+    expect(cut).toEqual([[plain('Users '), { text: 'cannot', bold: true, code: false, url: null }, plain('…')]]);
+  });
+});
+
+describe('renderRichText', () => {
+  const lines = parseRichText('<p>See <a href="https://x.io">the <b>log</b></a></p><p><b> bold </b>end_</p>');
+
+  test.each([
+    ['MarkdownV2', 'See [the](https://x.io) *[log](https://x.io)*\n*bold* end\\_'],
+    ['HTML', 'See <a href="https://x.io">the</a> <b><a href="https://x.io">log</a></b>\n<b>bold</b> end_'],
+    ['text', 'See the (https://x.io) log (https://x.io)\nbold end_']
+  ])('renders in %s', (parseMode, expected) => {
+    expect(renderRichText(lines, getFormatter(parseMode))).toBe(expected);
+  });
+});
+
+describe('parseInlineMarkdown', () => {
+  test('marks code spans and links', () => {
+    expect(parseInlineMarkdown('use `npm ci` per [docs](https://x.io/a_b) [not a link](ftp)')).toEqual([
+      plain('use '),
+      { text: 'npm ci', bold: false, code: true, url: null },
+      plain(' per '),
+      { text: 'docs', bold: false, code: false, url: 'https://x.io/a_b' },
+      plain(' [not a link](ftp)')
+    ]);
+    expect(parseInlineMarkdown('')).toEqual([]);
+  });
+});
+
+describe('formatInlineMarkdown', () => {
+  const title = 'fix `a_b\\c` in [v1.2](https://x.io/a_b) *now*';
+
+  test.each([
+    ['MarkdownV2', 'fix `a_b\\\\c` in [v1\\.2](https://x.io/a_b) \\*now\\*'],
+    ['HTML', 'fix <code>a_b\\c</code> in <a href="https://x.io/a_b">v1.2</a> *now*'],
+    ['mrkdwn', 'fix `a_b\\c` in <https://x.io/a_b|v1.2> *now*'],
+    ['markdown', 'fix `a_b\\c` in [v1.2](https://x.io/a_b) \\*now\\*']
+  ])('escapes only the text parts in %s', (parseMode, expected) => {
+    expect(formatInlineMarkdown(title, getFormatter(parseMode))).toBe(expected);
+  });
+});
+
+describe('parseDescriptionLimit', () => {
+  test('reads a number of characters', () => {
+    expect(parseDescriptionLimit('')).toBe(0);
+    expect(parseDescriptionLimit(' 300 ')).toBe(300);
+    expect(parseDescriptionLimit('0')).toBe(0);
+  });
+
+  test.each(['-1', 'many', '1'])('rejects %j', input => {
+    expect(() => parseDescriptionLimit(input)).toThrow(`Invalid description_limit input: ${input}`);
+  });
+});
@@ -0,0 +1,121 @@
+const {
+  renderBlocks,
+  buildSlackMessages,
+  postSlackWebhook,
+  sendSlackChangelog,
+  MAX_BLOCKS,
+  MAX_TEXT_LENGTH
+} = require('../src/slack');
+const { YOUGILE_BASE_URL } = require('../src/changelog');
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const entry = (n, extra = {}) => ({
+  taskId: `TECH-${n}`,
+  title: `Feature ${n}`,
+  author: 'johndoe',
+  link: `${YOUGILE_BASE_URL}/#TECH-${n}`,
+  description: '',
+  ...extra
+});
+
+const sections = [
+  { prefix: 'feat', title: 'Фичи', emoji: '✨', entries: [entry(1, { title: 'Support <b> & co' })] },
+  { prefix: 'fix', title: 'Исправления багов', emoji: '🛠️', entries: [entry(2, { description: 'Users cannot login' })] }
+];
+
+describe('renderBlocks', () => {
+  test('renders sections and entries as mrkdwn blocks', () => {
+    const blocks = renderBlocks(sections);
+
+    expect(blocks.map(block => block.type)).toEqual(['section', 'section', 'divider', 'section', 'section']);
+    expect(blocks[0].text).toEqual({ type: 'mrkdwn', text: '*Фичи*' });
+    expect(blocks[1].text.text).toBe(
+      `✨ Support &lt;b&gt; &amp; co (johndoe) <${YOUGILE_BASE_URL}/#TECH-1|ссылка на задачу>`
+    );
+    expect(blocks[4].text.text).toContain('\n>*Какую проблему решаем*\n>Users cannot login');
+  });
+
+  test('truncates entries longer than the Block Kit limit', () => {
+    const blocks = renderBlocks([
+      { prefix: 'feat', title: 'Фичи', emoji: '✨', entries: [entry(1, { description: 'a&b '.repeat(1000) })] }
+    ]);
+
+    expect(blocks[1].text.text.length).toBeLessThanOrEqual(MAX_TEXT_LENGTH);
+    expect(blocks[1].text.text.endsWith('…')).toBe(true);
+    expect(blocks[1].text.text).not.toMatch(/&a?m?p?…$/);
+  });
+});
+
+describe('buildSlackMessages', () => {
+  test('adds project header', () => {
+    const messages = buildSlackMessages(sections, 'MyProject');
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].text).toBe('MyProject');
+    expect(messages[0].blocks[0]).toEqual({
+      type: 'header',
+      text: { type: 'plain_text', text: 'MyProject', emoji: true }
+    });
+  });
+
+  test('returns no messages for empty changelog', () => {
+    expect(buildSlackMessages([], 'MyProject')).toEqual([]);
+  });
+
+  test('splits messages over the block limit', () => {
+    const entries = Array.from({ length: MAX_BLOCKS + 10 }, (_, i) => entry(i));
+    const messages = buildSlackMessages([{ prefix: 'feat', title: 'Фичи', emoji: '✨', entries }], 'MyProject');
+
+    expect(messages).toHaveLength(2);
+    messages.forEach((message, index) => {
+      expect(message.blocks.length).toBeLessThanOrEqual(MAX_BLOCKS);
+      expect(message.blocks[0].text.text).toBe(`MyProject (${index + 1}/2)`);
+    });
+  });
+});
+
+describe('postSlackWebhook', () => {
+  test('posts JSON payload', async () => {
+    global.fetch.mockResolvedValue({ ok: true, text: jest.fn().mockResolvedValue('ok') });
+
+    await postSlackWebhook('https://hooks.slack.com/services/x', { text: 'Hi' });
+
+    expect(global.fetch).toHaveBeenCalledWith('https://hooks.slack.com/services/x', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ text: 'Hi' })
+    }));
+  });
+
+  test('throws on webhook error', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 400, text: jest.fn().mockResolvedValue('invalid_blocks') });
+
+    await expect(postSlackWebhook('https://hooks.slack.com/services/x', {}))
+      .rejects.toThrow('Slack webhook error: 400, description: invalid_blocks');
+  });
+
+  test('throws when webhook URL is missing', async () => {
+    await expect(postSlackWebhook('', {})).rejects.toThrow('Slack webhook URL is required');
+  });
+});
+
+describe('sendSlackChangelog', () => {
+  test('posts every message in order', async () => {
+    global.fetch.mockResolvedValue({ ok: true, text: jest.fn().mockResolvedValue('ok') });
+    const entries = Array.from({ length: MAX_BLOCKS + 10 }, (_, i) => entry(i));
+
+    const count = await sendSlackChangelog({
+      webhookUrl: 'https://hooks.slack.com/services/x',
+      sections: [{ prefix: 'feat', title: 'Фичи', emoji: '✨', entries }],
+      projectName: 'MyProject'
+    });
+
+    expect(count).toBe(2);
+    expect(JSON.parse(global.fetch.mock.calls[1][1].body).text).toBe('MyProject (2/2)');
+  });
+});
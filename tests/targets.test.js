@@ -0,0 +1,259 @@
+const {
+  parseTargets,
+  filterTargets,
+  describeTarget,
+  parseMessageIds,
+  formatMessageIds,
+  deliverToTargets
+} = require('../src/targets');
+
+const okResponse = (result = {}) => ({
+  ok: true,
+  json: jest.fn().mockResolvedValue({ ok: true, result })
+});
+
+jest.mock('@actions/core', () => ({
+  warning: jest.fn()
+}));
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('parseTargets', () => {
+  test('falls back to single chat ID', () => {
+    expect(parseTargets('', '12345')).toEqual([
+      { chatId: '12345', messageThreadId: null, environments: [] }
+    ]);
+  });
+
+  test('returns empty list without input and fallback', () => {
+    expect(parseTargets('', '')).toEqual([]);
+    expect(parseTargets(undefined)).toEqual([]);
+  });
+
+  test('parses chat IDs and target objects', () => {
+    const input = JSON.stringify([
+      -100111,
+      { chat_id: '-100222', environments: ['staging'] },
+      { chat_id: '-100333', message_thread_id: '42', environment: 'production' }
+    ]);
+
+    expect(parseTargets(input, 'ignored')).toEqual([
+      { chatId: '-100111', messageThreadId: null, environments: [] },
+      { chatId: '-100222', messageThreadId: null, environments: ['staging'] },
+      { chatId: '-100333', messageThreadId: 42, environments: ['production'] }
+    ]);
+  });
+
+  test('accepts already parsed list', () => {
+    expect(parseTargets([1, { chat_id: 2, message_thread_id: 3 }])).toEqual([
+      { chatId: '1', messageThreadId: null, environments: [] },
+      { chatId: '2', messageThreadId: 3, environments: [] }
+    ]);
+  });
+
+  test('throws on invalid JSON', () => {
+    expect(() => parseTargets('[oops')).toThrow('Invalid targets input');
+  });
+
+  test('throws on target without chat_id', () => {
+    expect(() => parseTargets('[{"message_thread_id": 1}]')).toThrow('target #1 has no chat_id');
+  });
+
+  test('throws on invalid message_thread_id', () => {
+    expect(() => parseTargets('[{"chat_id": 1, "message_thread_id": "topic"}]'))
+      .toThrow('invalid message_thread_id');
+  });
+});
+
+describe('filterTargets', () => {
+  const targets = parseTargets(JSON.stringify([
+    { chat_id: 'dev' },
+    { chat_id: 'qa', environments: ['staging'] },
+    { chat_id: 'product', environments: ['production'] }
+  ]));
+
+  test('keeps targets without environments and matching ones', () => {
+    expect(filterTargets(targets, 'staging').map(t => t.chatId)).toEqual(['dev', 'qa']);
+    expect(filterTargets(targets, 'production').map(t => t.chatId)).toEqual(['dev', 'product']);
+  });
+});
+
+describe('describeTarget', () => {
+  test('includes thread ID when present', () => {
+    expect(describeTarget({ chatId: '1', messageThreadId: null })).toBe('1');
+    expect(describeTarget({ chatId: '1', messageThreadId: 7 })).toBe('1/7');
+  });
+});
+
+describe('parseMessageIds', () => {
+  test('returns empty map without input', () => {
+    expect(parseMessageIds('').size).toBe(0);
+  });
+
+  test('maps message IDs by target name', () => {
+    const ids = parseMessageIds(JSON.stringify([
+      { chat_id: '1', message_thread_id: null, message_ids: [10, 11] },
+      { chat_id: '2', message_thread_id: 5, message_ids: [20] }
+    ]));
+
+    expect(ids.get('1')).toEqual([10, 11]);
+    expect(ids.get('2/5')).toEqual([20]);
+  });
+
+  test('accepts already parsed list', () => {
+    expect(parseMessageIds([{ chat_id: 1, message_ids: [5] }]).get('1')).toEqual([5]);
+  });
+
+  test('throws on invalid input', () => {
+    expect(() => parseMessageIds('{')).toThrow('Invalid message IDs input');
+    expect(() => parseMessageIds('{}')).toThrow('expected an array');
+  });
+});
+
+describe('formatMessageIds', () => {
+  test('lists successful deliveries only', () => {
+    const results = [
+      { target: { chatId: '1', messageThreadId: null }, ok: true, messageIds: [10] },
+      { target: { chatId: '2', messageThreadId: 5 }, ok: false, error: new Error('x') }
+    ];
+
+    expect(formatMessageIds(results)).toEqual([
+      { chat_id: '1', message_thread_id: null, message_ids: [10] }
+    ]);
+  });
+
+  test('round-trips through parseMessageIds', () => {
+    const results = [{ target: { chatId: '2', messageThreadId: 5 }, ok: true, messageIds: [20, 21] }];
+    expect(parseMessageIds(JSON.stringify(formatMessageIds(results))).get('2/5')).toEqual([20, 21]);
+  });
+
+  test('keeps messages of packages in one chat apart', () => {
+    const target = { chatId: '1', messageThreadId: null };
+    const output = [
+      ...formatMessageIds([{ target, ok: true, messageIds: [10] }], 'api'),
+      ...formatMessageIds([{ target, ok: true, messageIds: [20, 21] }], 'web')
+    ];
+
+    expect(output[0]).toEqual({ chat_id: '1', message_thread_id: null, message_ids: [10], package: 'api' });
+    const ids = parseMessageIds(JSON.stringify(output));
+    expect(ids.get('api:1')).toEqual([10]);
+    expect(ids.get('web:1')).toEqual([20, 21]);
+    expect(ids.has('1')).toBe(false);
+  });
+});
+
+describe('deliverToTargets', () => {
+  const errorResponse = (status, description) => ({
+    ok: false,
+    status,
+    json: jest.fn().mockResolvedValue({ ok: false, description })
+  });
+
+  /**
+   * Route mocked Telegram API calls by method name
+   * @param {Object} handlers - Response factories by method, receiving the request body
+   */
+  const mockApi = (handlers) => {
+    global.fetch.mockImplementation(async (url, options) => {
+      const method = url.split('/').pop();
+      const body = JSON.parse(options.body);
+      return handlers[method] ? handlers[method](body) : okResponse({ message_id: 1 });
+    });
+  };
+
+  const calledMethods = () => global.fetch.mock.calls.map(call => call[0].split('/').pop());
+
+  test('edits previous messages and pins the first one', async () => {
+    mockApi({ editMessageText: () => okResponse({ message_id: 10 }) });
+
+    const targets = parseTargets('[1]');
+    const results = await deliverToTargets({
+      token: 'test-token',
+      targets,
+      texts: ['Hello'],
+      previousMessageIds: new Map([['1', [10]]]),
+      pin: true
+    });
+
+    expect(results[0]).toEqual(expect.objectContaining({ ok: true, updated: true, messageIds: [10] }));
+    expect(calledMethods()).toEqual(['getMe', 'getChat', 'editMessageText', 'pinChatMessage']);
+  });
+
+  test('edits the messages of its own package only', async () => {
+    mockApi({ editMessageText: body => okResponse({ message_id: body.message_id }) });
+
+    const results = await deliverToTargets({
+      token: 'test-token',
+      targets: parseTargets('[1]'),
+      texts: ['Hello'],
+      previousMessageIds: new Map([['api:1', [10]], ['web:1', [20]]]),
+      packageName: 'web'
+    });
+
+    expect(results[0]).toEqual(expect.objectContaining({ ok: true, updated: true, messageIds: [20] }));
+  });
+
+  test('reports pin failure without failing delivery', async () => {
+    mockApi({
+      sendMessage: () => okResponse({ message_id: 3 }),
+      pinChatMessage: () => errorResponse(400, 'Bad Request: not enough rights')
+    });
+
+    const results = await deliverToTargets({ token: 'test-token', targets: parseTargets('[1]'), texts: ['Hello'], pin: true });
+
+    expect(results[0].ok).toBe(true);
+    expect(results[0].pinError.message).toContain('not enough rights');
+  });
+
+  test('delivers to each target independently', async () => {
+    mockApi({
+      getChat: body => (body.chat_id === '1'
+        ? errorResponse(400, 'Bad Request: chat not found')
+        : okResponse({ id: 2 })),
+      sendMessage: () => okResponse({ message_id: 5 })
+    });
+
+    const targets = parseTargets('[1, {"chat_id": 2, "message_thread_id": 9}]');
+    const results = await deliverToTargets({ token: 'test-token', targets, texts: ['Hello'] });
+
+    expect(results.map(r => r.ok)).toEqual([false, true]);
+    expect(results[0].error.message).toContain('chat not found');
+    expect(results[0].error.kind).toBe('chat_not_found');
+    expect(results[0].error.permanent).toBe(true);
+    expect(results[1].messageIds).toEqual([5]);
+    expect(calledMethods()).toEqual(['getMe', 'getChat', 'getChat', 'sendMessage']);
+    expect(JSON.parse(global.fetch.mock.calls[3][1].body)).toEqual(
+      expect.objectContaining({ chat_id: '2', message_thread_id: 9 })
+    );
+  });
+
+  test('sends nothing when the token is invalid', async () => {
+    mockApi({ getMe: () => errorResponse(401, 'Unauthorized') });
+
+    const results = await deliverToTargets({ token: 'bad-token', targets: parseTargets('[1, 2]'), texts: ['Hello'] });
+
+    expect(results.map(r => r.ok)).toEqual([false, false]);
+    expect(results[0].error.kind).toBe('unauthorized');
+    expect(calledMethods()).toEqual(['getMe']);
+  });
+
+  test('removes sent parts when a later part fails', async () => {
+    let sent = 0;
+    mockApi({
+      sendMessage: () => (++sent === 2
+        ? errorResponse(400, "Bad Request: can't parse entities")
+        : okResponse({ message_id: sent }))
+    });
+
+    const results = await deliverToTargets({ token: 'test-token', targets: parseTargets('[1]'), texts: ['One', 'Two'] });
+
+    expect(results[0].ok).toBe(false);
+    expect(calledMethods()).toEqual(['getMe', 'getChat', 'sendMessage', 'sendMessage', 'deleteMessage']);
+    expect(JSON.parse(global.fetch.mock.calls[4][1].body).message_id).toBe(1);
+  });
+});
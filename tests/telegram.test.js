@@ -1,4 +1,25 @@
-const { sendMessage, BASE_URL } = require('../src/telegram');
+const {
+  sendMessage,
+  sendMessages,
+  editMessageText,
+  updateMessages,
+  pinChatMessage,
+  callApi,
+  TelegramError,
+  BASE_URL,
+  RETRY_ATTEMPTS,
+  RETRY_DELAY_MS,
+  MAX_RETRY_AFTER_SECONDS
+} = require('../src/telegram');
+
+jest.mock('@actions/core', () => ({
+  warning: jest.fn()
+}));
+
+const okResponse = (result = {}) => ({
+  ok: true,
+  json: jest.fn().mockResolvedValue({ ok: true, result })
+});
 
 // Mock global fetch
 global.fetch = jest.fn();
@@ -23,8 +44,14 @@ describe('sendMessage', () => {
 
     expect(global.fetch).toHaveBeenCalledTimes(1);
     expect(global.fetch).toHaveBeenCalledWith(
-      expect.stringContaining(`${BASE_URL}/bottest-token/sendMessage`)
+      `${BASE_URL}/bottest-token/sendMessage`,
+      expect.objectContaining({ method: 'POST' })
     );
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+      chat_id: '12345',
+      text: 'Hello World',
+      parse_mode: 'MarkdownV2'
+    });
     expect(result).toEqual({ ok: true, result: { message_id: 123 } });
   });
 
@@ -77,8 +104,36 @@ describe('sendMessage', () => {
       text: 'Hello'
     });
 
-    const calledUrl = global.fetch.mock.calls[0][0];
-    expect(calledUrl).toContain('parse_mode=MarkdownV2');
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.parse_mode).toBe('MarkdownV2');
+  });
+
+  test('does not put text into the URL', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: jest.fn().mockResolvedValue({ ok: true })
+    });
+
+    await sendMessage({
+      token: 'test-token',
+      chatId: '12345',
+      text: 'x'.repeat(4000)
+    });
+
+    expect(global.fetch.mock.calls[0][0]).toBe(`${BASE_URL}/bottest-token/sendMessage`);
+  });
+
+  test('sends message_thread_id only when provided', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: jest.fn().mockResolvedValue({ ok: true })
+    });
+
+    await sendMessage({ token: 'test-token', chatId: '12345', text: 'Hello' });
+    await sendMessage({ token: 'test-token', chatId: '12345', text: 'Hello', messageThreadId: 42 });
+
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).not.toHaveProperty('message_thread_id');
+    expect(JSON.parse(global.fetch.mock.calls[1][1].body).message_thread_id).toBe(42);
   });
 
   test('allows custom parseMode', async () => {
@@ -95,7 +150,210 @@ describe('sendMessage', () => {
       parseMode: 'HTML'
     });
 
-    const calledUrl = global.fetch.mock.calls[0][0];
-    expect(calledUrl).toContain('parse_mode=HTML');
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.parse_mode).toBe('HTML');
+  });
+});
+
+describe('sendMessages', () => {
+  test('sends messages in order', async () => {
+    global.fetch
+      .mockResolvedValueOnce({ ok: true, json: jest.fn().mockResolvedValue({ ok: true, result: { message_id: 1 } }) })
+      .mockResolvedValueOnce({ ok: true, json: jest.fn().mockResolvedValue({ ok: true, result: { message_id: 2 } }) });
+
+    const result = await sendMessages({
+      token: 'test-token',
+      chatId: '12345',
+      texts: ['First', 'Second']
+    });
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).text).toBe('First');
+    expect(JSON.parse(global.fetch.mock.calls[1][1].body).text).toBe('Second');
+    expect(result.map(r => r.result.message_id)).toEqual([1, 2]);
+  });
+
+  test('stops on first failed message', async () => {
+    global.fetch.mockResolvedValue({
+      ok: false,
+      status: 400,
+      json: jest.fn().mockResolvedValue({ description: 'Bad Request' })
+    });
+
+    await expect(sendMessages({
+      token: 'test-token',
+      chatId: '12345',
+      texts: ['First', 'Second']
+    })).rejects.toThrow('Telegram API error: 400');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('editMessageText', () => {
+  test('edits message through editMessageText', async () => {
+    global.fetch.mockResolvedValue(okResponse({ message_id: 7 }));
+
+    await editMessageText({ token: 'test-token', chatId: '12345', messageId: 7, text: 'New' });
+
+    expect(global.fetch.mock.calls[0][0]).toBe(`${BASE_URL}/bottest-token/editMessageText`);
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+      chat_id: '12345',
+      message_id: 7,
+      text: 'New',
+      parse_mode: 'MarkdownV2'
+    });
+  });
+
+  test('treats unchanged message as success', async () => {
+    global.fetch.mockResolvedValue({
+      ok: false,
+      status: 400,
+      json: jest.fn().mockResolvedValue({ description: 'Bad Request: message is not modified' })
+    });
+
+    const result = await editMessageText({ token: 'test-token', chatId: '12345', messageId: 7, text: 'Same' });
+    expect(result).toEqual({ ok: true, result: { message_id: 7 } });
+  });
+
+  test('throws when message ID is missing', async () => {
+    await expect(editMessageText({ token: 'test-token', chatId: '12345', text: 'New' }))
+      .rejects.toThrow('Message ID is required');
+  });
+});
+
+describe('pinChatMessage', () => {
+  test('pins message silently by default', async () => {
+    global.fetch.mockResolvedValue(okResponse(true));
+
+    await pinChatMessage({ token: 'test-token', chatId: '12345', messageId: 7 });
+
+    expect(global.fetch.mock.calls[0][0]).toBe(`${BASE_URL}/bottest-token/pinChatMessage`);
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+      chat_id: '12345',
+      message_id: 7,
+      disable_notification: true
+    });
+  });
+});
+
+describe('updateMessages', () => {
+  test('edits existing messages and sends extra parts', async () => {
+    global.fetch
+      .mockResolvedValueOnce(okResponse({ message_id: 1 }))
+      .mockResolvedValueOnce(okResponse({ message_id: 9 }));
+
+    const result = await updateMessages({
+      token: 'test-token',
+      chatId: '12345',
+      messageIds: [1],
+      texts: ['First', 'Second']
+    });
+
+    expect(global.fetch.mock.calls.map(call => call[0].split('/').pop())).toEqual(['editMessageText', 'sendMessage']);
+    expect(result.map(r => r.result.message_id)).toEqual([1, 9]);
+  });
+
+  test('deletes messages left without text', async () => {
+    global.fetch.mockResolvedValue(okResponse({ message_id: 1 }));
+
+    await updateMessages({
+      token: 'test-token',
+      chatId: '12345',
+      messageIds: [1, 2],
+      texts: ['Only']
+    });
+
+    expect(global.fetch.mock.calls.map(call => call[0].split('/').pop())).toEqual(['editMessageText', 'deleteMessage']);
+    expect(JSON.parse(global.fetch.mock.calls[1][1].body).message_id).toBe(2);
+  });
+});
+
+describe('callApi', () => {
+  const errorResponse = (status, description, parameters) => ({
+    ok: false,
+    status,
+    json: jest.fn().mockResolvedValue({ ok: false, description, parameters })
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('honours retry_after on 429 responses', async () => {
+    const core = require('@actions/core');
+    global.fetch
+      .mockResolvedValueOnce(errorResponse(429, 'Too Many Requests: retry after 5', { retry_after: 5 }))
+      .mockResolvedValueOnce(okResponse({ message_id: 1 }));
+
+    const promise = callApi('test-token', 'sendMessage', {});
+    await jest.advanceTimersByTimeAsync(4999);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+
+    await expect(promise).resolves.toEqual({ ok: true, result: { message_id: 1 } });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('retrying in 5000ms'));
+  });
+
+  test('gives up when retry_after exceeds the bound', async () => {
+    global.fetch.mockResolvedValue(
+      errorResponse(429, 'Too Many Requests', { retry_after: MAX_RETRY_AFTER_SECONDS + 1 })
+    );
+
+    await expect(callApi('test-token', 'sendMessage', {})).rejects.toMatchObject({ kind: 'rate_limited' });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries server and network errors with backoff', async () => {
+    global.fetch
+      .mockResolvedValueOnce(errorResponse(502, 'Bad Gateway'))
+      .mockRejectedValueOnce(new TypeError('fetch failed'))
+      .mockResolvedValueOnce(okResponse({ message_id: 1 }));
+
+    const promise = callApi('test-token', 'sendMessage', {});
+    await jest.runAllTimersAsync();
+
+    await expect(promise).resolves.toEqual({ ok: true, result: { message_id: 1 } });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('throws after exceeding max retries', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 500, json: jest.fn().mockRejectedValue(new Error('not json')) });
+
+    const promise = callApi('test-token', 'sendMessage', {});
+    const assertion = expect(promise).rejects.toThrow('Telegram API error: 500, description: Unknown error');
+    await jest.runAllTimersAsync();
+    await assertion;
+    expect(global.fetch).toHaveBeenCalledTimes(RETRY_ATTEMPTS);
+  });
+
+  test.each([
+    [401, 'Unauthorized', 'unauthorized'],
+    [400, 'Bad Request: chat not found', 'chat_not_found'],
+    [403, 'Forbidden: bot was kicked from the group chat', 'forbidden']
+  ])('does not retry permanent %s error', async (status, description, kind) => {
+    global.fetch.mockResolvedValue(errorResponse(status, description));
+
+    const error = await callApi('test-token', 'sendMessage', {}).catch(e => e);
+
+    expect(error).toBeInstanceOf(TelegramError);
+    expect(error.kind).toBe(kind);
+    expect(error.permanent).toBe(true);
+    expect(error.hint).not.toBe('');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('telegram constants', () => {
+  test('RETRY_ATTEMPTS is 3', () => {
+    expect(RETRY_ATTEMPTS).toBe(3);
+  });
+
+  test('RETRY_DELAY_MS is 1000', () => {
+    expect(RETRY_DELAY_MS).toBe(1000);
   });
 });
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_TEMPLATE,
+  parseTemplate,
+  renderTemplate,
+  loadTemplate,
+  buildTemplateView,
+  renderTemplateMessages
+} = require('../src/template');
+const { renderChangelog, YOUGILE_BASE_URL } = require('../src/changelog');
+const { getFormatter } = require('../src/formatters');
+
+const entry = (taskId, title, extra = {}) => ({
+  taskId,
+  title,
+  author: 'alice',
+  link: `${YOUGILE_BASE_URL}/#${taskId}`,
+  description: '',
+  scope: null,
+  breaking: false,
+  ...extra
+});
+
+const sections = [
+  {
+    prefix: 'feat',
+    title: 'Фичи',
+    emoji: '✨',
+    entries: [
+      entry('TECH-1', 'Add `export.csv`', {
+        scope: 'api',
+        description: 'Reports are slow',
+        details: ['add the `--format` flag', 'see [spec](https://x.io/spec)']
+      }),
+      entry('TECH-2', 'Merged task', {
+        author: 'alice, bob',
+        authors: ['alice', 'bob'],
+        contributors: [
+          { login: 'alice', name: 'alice', telegram: 'alice_dev', slack: null },
+          { login: 'bob', name: 'bob', telegram: null, slack: null }
+        ],
+        commitCount: 3,
+        pullRequest: { number: 42, url: 'https://github.com/test-owner/test-repo/pull/42', labels: ['feature'] }
+      })
+    ]
+  },
+  { prefix: 'fix', title: 'Исправления багов', emoji: '🛠️', entries: [entry(null, 'bump deps', { link: null })] }
+];
+
+const release = {
+  projectName: 'My-App',
+  repository: 'test-owner/test-repo',
+  environment: 'production',
+  ref: 'refs/tags/v1.2.0',
+  sections
+};
+
+describe('parseTemplate', () => {
+  test('builds nested blocks and drops standalone tag lines', () => {
+    expect(parseTemplate('{{#items}}\n- {{name}}\n{{/items}}\n{{! note }}\nend')).toEqual([
+      {
+        type: 'block',
+        name: 'items',
+        inverted: false,
+        children: [
+          { type: 'text', text: '- ' },
+          { type: 'value', name: 'name', raw: false },
+          { type: 'text', text: '\n' }
+        ]
+      },
+      { type: 'text', text: 'end' }
+    ]);
+  });
+
+  test('reports unclosed and unexpected tags', () => {
+    expect(() => parseTemplate('{{#sections}}{{title}}')).toThrow('Template error: unclosed {{#sections}}');
+    expect(() => parseTemplate('{{#a}}{{/b}}')).toThrow('Template error: unexpected {{/b}}');
+    expect(() => parseTemplate('{{/a}}')).toThrow('Template error: unexpected {{/a}}');
+  });
+});
+
+describe('renderTemplate', () => {
+  test('escapes literal text and values, keeps raw values', () => {
+    const view = { name: 'a_b', raw: '*x*' };
+
+    expect(renderTemplate('{{name}} - {{{raw}}} {{&raw}}', view)).toBe('a\\_b \\- *x* *x*');
+    expect(renderTemplate('<{{name}}>', view, { parseMode: 'HTML' })).toBe('&lt;a_b&gt;');
+  });
+
+  test('renders lists, conditionals and inverted blocks', () => {
+    const template = '{{#items}}({{.}}){{/items}}{{^items}}none{{/items}}{{#flag}} on{{/flag}}';
+
+    expect(renderTemplate(template, { items: ['a', 'b'], flag: true }, { parseMode: 'markdown' })).toBe('(a)(b) on');
+    expect(renderTemplate(template, { items: [], flag: false }, { parseMode: 'markdown' })).toBe('none');
+  });
+
+  test('looks names up through outer contexts', () => {
+    const view = { project: 'app', labels: { link: 'open' }, items: [{ title: 'x' }] };
+
+    expect(renderTemplate('{{#items}}{{project}}/{{title}} {{labels.link}}{{/items}}', view, { parseMode: 'markdown' }))
+      .toBe('app/x open');
+  });
+
+  test('applies markup helpers of the parse mode', () => {
+    const view = { url: 'https://example.com/a_b', title: 'T' };
+    const template = '{{#bold}}{{title}}{{/bold}} {{#link}}go{{/link}}\n{{#quote}}q{{/quote}}';
+
+    expect(renderTemplate(template, view, { parseMode: 'HTML' }))
+      .toBe('<b>T</b> <a href="https://example.com/a_b">go</a>\n<blockquote>q</blockquote>');
+    expect(renderTemplate('{{#link}}go{{/link}}', {}, { parseMode: 'HTML' })).toBe('go');
+  });
+});
+
+describe('loadTemplate', () => {
+  test('reads file paths and keeps inline templates', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'template-')), 'changelog.tpl');
+    fs.writeFileSync(file, '{{project}}\n');
+
+    expect(loadTemplate(file)).toBe('{{project}}\n');
+    expect(loadTemplate('{{project}} released')).toBe('{{project}} released');
+    expect(loadTemplate('  ')).toBeNull();
+    expect(loadTemplate(undefined)).toBeNull();
+  });
+});
+
+describe('buildTemplateView', () => {
+  test('exposes release, section and entry fields', () => {
+    const view = buildTemplateView(release);
+
+    expect(view).toEqual(expect.objectContaining({
+      project: 'My-App',
+      version: '1.2.0',
+      environment: 'production',
+      repository: 'test-owner/test-repo',
+      authors: ['alice', 'bob'],
+      taskIds: ['TECH-1', 'TECH-2']
+    }));
+    expect(view.sections[0].entries[0]).toEqual(expect.objectContaining({
+      taskId: 'TECH-1', scope: 'api', url: `${YOUGILE_BASE_URL}/#TECH-1`, emoji: '✨', commitCount: 1, multipleCommits: false
+    }));
+    expect(view.sections[0].entries[1]).toEqual(expect.objectContaining({
+      authors: ['alice', 'bob'],
+      mentions: '@alice\\_dev, bob',
+      multipleCommits: true,
+      pullRequest: expect.objectContaining({ number: 42 })
+    }));
+  });
+
+  test('puts emoji into the breaking section heading', () => {
+    const view = buildTemplateView({ ...release, sections: [{ prefix: 'breaking', title: 'Ломающие изменения', emoji: '💥', entries: [] }] });
+
+    expect(view.sections[0]).toEqual(expect.objectContaining({ heading: '💥 Ломающие изменения', breaking: true }));
+  });
+});
+
+describe('renderTemplateMessages', () => {
+  test.each(['MarkdownV2', 'HTML', 'markdown'])('default template matches the built-in format in %s', (parseMode) => {
+    const formatter = getFormatter(parseMode);
+    const expected = `${formatter.bold(formatter.escape(release.projectName))}\n\n${renderChangelog(sections, { parseMode })}`.trimEnd();
+
+    expect(renderTemplateMessages(release, { template: DEFAULT_TEMPLATE, parseMode })).toEqual([expected]);
+  });
+
+  test('splits long changelog by entries with part markers', () => {
+    const many = [{
+      prefix: 'feat',
+      title: 'Фичи',
+      emoji: '✨',
+      entries: Array.from({ length: 30 }, (_, i) => entry(`TECH-${i}`, `Feature number ${i} ${'x'.repeat(60)}`))
+    }];
+    const messages = renderTemplateMessages({ ...release, sections: many }, { template: DEFAULT_TEMPLATE, limit: 1000 });
+
+    expect(messages.length).toBeGreaterThan(1);
+    messages.forEach((message, index) => {
+      expect(message.length).toBeLessThanOrEqual(1000);
+      expect(message.startsWith(`*My\\-App* \\(${index + 1}/${messages.length}\\)`)).toBe(true);
+    });
+    expect(messages.join('\n').match(/Feature number/g)).toHaveLength(30);
+  });
+
+  describe('an entry longer than a message', () => {
+    const description = Array.from({ length: 200 }, (_, i) => `Line ${i} with some text (x)`).join('\n');
+    const long = [{
+      prefix: 'feat',
+      title: 'Фичи',
+      emoji: '✨',
+      entries: [entry('TECH-1', 'Long task', { description }), entry('TECH-2', 'Short task')]
+    }];
+
+    test('is cut by line with the header and quote in every message', () => {
+      const messages = renderTemplateMessages({ ...release, sections: long }, { template: DEFAULT_TEMPLATE, limit: 1000 });
+
+      expect(messages.length).toBeGreaterThan(2);
+      messages.forEach((message, index) => {
+        expect(message.length).toBeLessThanOrEqual(1000);
+        expect(message.startsWith(`*My\\-App* \\(${index + 1}/${messages.length}\\)\n\n*Фичи*\n`)).toBe(true);
+      });
+      messages.slice(1, -1).forEach(message => {
+        message.split('\n').slice(3).forEach(line => expect(line).toMatch(/^>Line \d+ with some text \\\(x\\\)$/));
+      });
+      expect(messages.join('\n').match(/Line \d+ with/g)).toHaveLength(200);
+    });
+
+    test('keeps HTML blockquotes balanced in every message', () => {
+      const messages = renderTemplateMessages(
+        { ...release, sections: long },
+        { template: DEFAULT_TEMPLATE, parseMode: 'HTML', limit: 1000 }
+      );
+
+      expect(messages.length).toBeGreaterThan(2);
+      messages.forEach((message, index) => {
+        expect(message.length).toBeLessThanOrEqual(1000);
+        expect(message.startsWith(`<b>My-App</b> (${index + 1}/${messages.length})\n\n<b>Фичи</b>\n`)).toBe(true);
+        expect(message.split('<blockquote>').length).toBe(message.split('</blockquote>').length);
+      });
+    });
+
+    test('cuts an oversized line without breaking escape sequences', () => {
+      const sections = [{ ...long[0], entries: [entry('TECH-1', 'Long task', { description: 'a.'.repeat(300) })] }];
+      const messages = renderTemplateMessages({ ...release, sections }, { template: DEFAULT_TEMPLATE, limit: 200 });
+
+      expect(messages.length).toBeGreaterThan(2);
+      messages.forEach(message => {
+        expect(message.length).toBeLessThanOrEqual(200);
+        message.split('\n').forEach(line => expect(line.match(/\\*$/)[0].length % 2).toBe(0));
+      });
+      messages.slice(1).forEach(message => expect(message.split('\n')[3]).toMatch(/^>/));
+    });
+  });
+
+  test('default template leaves out the header without a project name', () => {
+    const [message] = renderTemplateMessages({ ...release, projectName: '' }, { template: DEFAULT_TEMPLATE, parseMode: 'markdown' });
+
+    expect(message).toBe(renderChangelog(sections, { parseMode: 'markdown' }).trim());
+  });
+
+  test('returns no messages for an empty release', () => {
+    expect(renderTemplateMessages({ ...release, sections: [] }, { template: DEFAULT_TEMPLATE })).toEqual([]);
+  });
+});
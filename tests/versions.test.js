@@ -0,0 +1,135 @@
+const github = require('@actions/github');
+const {
+  parseSemver,
+  compareSemver,
+  detectBump,
+  bumpVersion,
+  findLastVersionTag,
+  fetchLastVersionTag,
+  computeNextVersion
+} = require('../src/versions');
+
+jest.mock('@actions/github', () => ({
+  getOctokit: jest.fn(),
+  context: {
+    repo: { owner: 'test-owner', repo: 'test-repo' }
+  }
+}));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const commit = message => ({ message, author: { username: 'alice' } });
+
+describe('parseSemver', () => {
+  test('parses versions with or without v prefix', () => {
+    expect(parseSemver('v1.2.3')).toEqual({ major: 1, minor: 2, patch: 3, prerelease: null });
+    expect(parseSemver('2.0.0-rc.1+build.5')).toEqual({ major: 2, minor: 0, patch: 0, prerelease: 'rc.1' });
+    expect(parseSemver('release-1')).toBeNull();
+    expect(parseSemver('1.2')).toBeNull();
+  });
+});
+
+describe('compareSemver', () => {
+  test('orders releases above their prereleases', () => {
+    const sorted = ['1.10.0', '1.2.0', '2.0.0-rc.10', '2.0.0', '2.0.0-rc.2']
+      .map(parseSemver)
+      .sort(compareSemver)
+      .map(version => `${version.major}.${version.minor}.${version.patch}${version.prerelease ? `-${version.prerelease}` : ''}`);
+
+    expect(sorted).toEqual(['1.2.0', '1.10.0', '2.0.0-rc.2', '2.0.0-rc.10', '2.0.0']);
+  });
+});
+
+describe('detectBump', () => {
+  test('picks the highest bump of the commits', () => {
+    expect(detectBump([commit('fix: a'), commit('feat(TECH-1)!: b')])).toBe('major');
+    expect(detectBump([commit('fix: a'), commit('refactor: b\n\nBREAKING CHANGE: removed c')])).toBe('major');
+    expect(detectBump([commit('fix: a'), commit('feat(TECH-1): b')])).toBe('minor');
+    expect(detectBump([commit('fix: a'), commit('Merge branch main')])).toBe('patch');
+    expect(detectBump([])).toBeNull();
+  });
+});
+
+describe('bumpVersion', () => {
+  test.each([
+    ['1.2.3', 'major', '2.0.0'],
+    ['1.2.3', 'minor', '1.3.0'],
+    ['1.2.3', 'patch', '1.2.4'],
+    ['v0.9.9', 'minor', '0.10.0'],
+    ['2.0.0-rc.1', 'major', '2.0.0'],
+    ['1.3.0-rc.1', 'minor', '1.3.0'],
+    ['1.3.0-rc.1', 'major', '2.0.0'],
+    ['1.2.4-beta', 'patch', '1.2.4']
+  ])('%s with %s gives %s', (version, bump, expected) => {
+    expect(bumpVersion(version, bump)).toBe(expected);
+  });
+
+  test('rejects invalid versions and bumps', () => {
+    expect(() => bumpVersion('latest', 'patch')).toThrow('Invalid semantic version: latest');
+    expect(() => bumpVersion('1.0.0', 'huge')).toThrow('Unsupported bump: huge');
+  });
+});
+
+describe('findLastVersionTag', () => {
+  test('returns the tag with the highest version', () => {
+    expect(findLastVersionTag(['latest', 'v1.9.0', 'v1.10.0', 'v1.10.0-rc.1'])).toBe('v1.10.0');
+    expect(findLastVersionTag(['latest'])).toBeNull();
+  });
+
+  test('takes only versions below the given one', () => {
+    expect(findLastVersionTag(['v1.1.0', 'v1.2.0', 'v1.3.0'], 'v1.2.0')).toBe('v1.1.0');
+    expect(findLastVersionTag(['v1.1.0'], 'v1.0.0')).toBeNull();
+  });
+});
+
+describe('fetchLastVersionTag', () => {
+  test('lists repository tags and skips the tag of the run', async () => {
+    const octokit = {
+      paginate: jest.fn().mockResolvedValue([{ name: 'v1.3.0' }, { name: 'v1.2.0' }, { name: 'latest' }]),
+      rest: { repos: { listTags: jest.fn() } }
+    };
+    github.getOctokit.mockReturnValue(octokit);
+
+    expect(await fetchLastVersionTag({ token: 'gh-token', ref: 'refs/tags/v1.3.0' })).toBe('v1.2.0');
+    expect(octokit.paginate).toHaveBeenCalledWith(
+      octokit.rest.repos.listTags,
+      { owner: 'test-owner', repo: 'test-repo', per_page: 100 }
+    );
+  });
+
+  test('skips tags above the version tag of the run', async () => {
+    github.getOctokit.mockReturnValue({
+      paginate: jest.fn().mockResolvedValue([{ name: 'v2.0.0' }, { name: 'v1.2.0' }, { name: 'v1.1.0' }]),
+      rest: { repos: { listTags: jest.fn() } }
+    });
+
+    expect(await fetchLastVersionTag({ token: 'gh-token', ref: 'refs/tags/v1.2.0' })).toBe('v1.1.0');
+    expect(await fetchLastVersionTag({ token: 'gh-token', ref: 'refs/heads/main' })).toBe('v2.0.0');
+  });
+
+  test('requires a token', async () => {
+    await expect(fetchLastVersionTag({ token: '' })).rejects.toThrow('GitHub token is required');
+  });
+});
+
+describe('computeNextVersion', () => {
+  test('bumps the last version', () => {
+    expect(computeNextVersion([commit('feat: a')], 'v1.2.3'))
+      .toEqual({ bump: 'minor', lastVersion: '1.2.3', nextVersion: '1.3.0' });
+  });
+
+  test('counts the first release from 0.0.0', () => {
+    expect(computeNextVersion([commit('fix: a')], null))
+      .toEqual({ bump: 'patch', lastVersion: '0.0.0', nextVersion: '0.0.1' });
+  });
+
+  test('keeps the version without commits', () => {
+    expect(computeNextVersion([], '1.2.3')).toEqual({ bump: 'none', lastVersion: '1.2.3', nextVersion: '1.2.3' });
+  });
+
+  test('rejects invalid last version', () => {
+    expect(() => computeNextVersion([], 'latest')).toThrow('Invalid semantic version: latest');
+  });
+});
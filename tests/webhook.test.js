@@ -0,0 +1,119 @@
+const { postWebhook, buildReleasePayload, sendWebhookRelease } = require('../src/webhook');
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const sections = [
+  {
+    prefix: 'feat',
+    title: 'Фичи',
+    emoji: '✨',
+    entries: [
+      { taskId: 'TECH-1', title: 'Feature', author: 'alice', link: 'https://example.com/#TECH-1', description: 'Problem' },
+      { taskId: 'TECH-2', title: 'Other', author: 'bob', link: 'https://example.com/#TECH-2', description: '' }
+    ]
+  },
+  {
+    prefix: 'fix',
+    title: 'Исправления багов',
+    emoji: '🛠️',
+    entries: [
+      { taskId: 'TECH-1', title: 'Fix', author: 'alice', link: 'https://example.com/#TECH-1', description: '' }
+    ]
+  }
+];
+
+describe('buildReleasePayload', () => {
+  test('builds structured payload with unique task IDs, authors and links', () => {
+    const payload = buildReleasePayload({
+      projectName: 'MyProject',
+      repository: 'repo',
+      environment: 'production',
+      ref: 'refs/tags/v1.0.0',
+      sections
+    });
+
+    expect(payload).toEqual(expect.objectContaining({
+      project: 'MyProject',
+      repository: 'repo',
+      environment: 'production',
+      ref: 'refs/tags/v1.0.0',
+      task_ids: ['TECH-1', 'TECH-2'],
+      authors: ['alice', 'bob'],
+      links: ['https://example.com/#TECH-1', 'https://example.com/#TECH-2']
+    }));
+    expect(payload.sections[0]).toEqual(expect.objectContaining({ prefix: 'feat', title: 'Фичи', emoji: '✨' }));
+    expect(payload.sections[0].entries[0]).toEqual({
+      task_id: 'TECH-1',
+      title: 'Feature',
+      scope: null,
+      breaking: false,
+      author: 'alice',
+      authors: ['alice'],
+      contributors: [],
+      commit_count: 1,
+      commits: [],
+      pull_request: null,
+      link: 'https://example.com/#TECH-1',
+      description: 'Problem',
+      details: []
+    });
+  });
+
+  test('defaults optional fields to null', () => {
+    const payload = buildReleasePayload({ projectName: 'P', sections: [] });
+    expect(payload).toEqual({
+      project: 'P',
+      repository: null,
+      environment: null,
+      ref: null,
+      sections: [],
+      task_ids: [],
+      authors: [],
+      links: []
+    });
+  });
+});
+
+describe('postWebhook', () => {
+  test('posts JSON payload', async () => {
+    global.fetch.mockResolvedValue({ ok: true });
+
+    await postWebhook('https://example.com/hook', { a: 1 });
+
+    expect(global.fetch).toHaveBeenCalledWith('https://example.com/hook', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"a":1}'
+    });
+  });
+
+  test('throws with service name on error', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 500, text: jest.fn().mockResolvedValue('') });
+
+    await expect(postWebhook('https://example.com/hook', {}, 'Discord webhook'))
+      .rejects.toThrow('Discord webhook error: 500, description: Unknown error');
+  });
+
+  test('throws when URL is missing', async () => {
+    await expect(postWebhook('', {})).rejects.toThrow('Webhook URL is required');
+  });
+});
+
+describe('sendWebhookRelease', () => {
+  test('posts release payload', async () => {
+    global.fetch.mockResolvedValue({ ok: true });
+
+    const count = await sendWebhookRelease({
+      webhookUrl: 'https://example.com/hook',
+      release: { projectName: 'P', sections }
+    });
+
+    expect(count).toBe(1);
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).task_ids).toEqual(['TECH-1', 'TECH-2']);
+  });
+});